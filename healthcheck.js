@@ -1,26 +1,46 @@
 #!/usr/bin/env node
+// Container health check: passes only when the server reports ready
 const http = require('http');
 
 const options = {
     hostname: 'localhost',
-    port: 3000,
-    path: '/health',
+    port: parseInt(process.env.PORT, 10) || 3000,
+    path: '/health/ready',
     method: 'GET',
     timeout: 5000
 };
 
 const req = http.request(options, (res) => {
-    if (res.statusCode === 200) {
-        console.log('Health check passed');
-        process.exit(0);
-    } else {
-        console.log(\`Health check failed with status: \${res.statusCode}\`);
+    let body = '';
+    res.setEncoding('utf8');
+    res.on('data', (chunk) => { body += chunk; });
+    res.on('end', () => {
+        if (res.statusCode === 200) {
+            console.log('Health check passed');
+            process.exit(0);
+        }
+
+        let details = `status ${res.statusCode}`;
+        try {
+            const { status, dependencies = {} } = JSON.parse(body);
+            const down = Object.entries(dependencies)
+                .filter(([, dependency]) => dependency.status === 'down')
+                .map(([name, dependency]) => `${name}: ${dependency.error}`);
+            details = [status, ...down].join(', ');
+        } catch (error) {
+            // Not a readiness response; the status code says enough
+        }
+        console.log(`Health check failed: ${details}`);
         process.exit(1);
-    }
+    });
+});
+
+req.on('timeout', () => {
+    req.destroy(new Error('timed out'));
 });
 
 req.on('error', (err) => {
-    console.log(\`Health check failed: \${err.message}\`);
+    console.log(`Health check failed: ${err.message}`);
     process.exit(1);
 });
 
@@ -0,0 +1,272 @@
+/**
+ * Server configuration
+ *
+ * Every setting is read here, once, from the environment and optionally a
+ * JSON file (CONFIG_FILE) whose keys are the same variable names; the
+ * environment wins. Values are checked against SCHEMA and the server
+ * refuses to start on anything invalid instead of running half-configured.
+ *
+ * Public URLs (API, WebSocket, IPFS gateway and WebUI) all derive from
+ * PUBLIC_BASE_URL, so a deployment only has to name its own address.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+// type: string | int | bool | url | list | enum | rate | map | privateKey.
+// A list's `item` and a map's `value` are a type or a spec of their own;
+// `scale` turns seconds into milliseconds. A rate is "count/seconds", a map
+// is "name=value,..." (or an object in CONFIG_FILE) and a privateKey a PEM
+// of `keyType`, with newlines optionally written as \n. Settings without a
+// default stay undefined when unset
+const SCHEMA = {
+    NODE_ENV: { key: 'env', type: 'enum', values: ['development', 'production', 'test'], default: 'development' },
+    PORT: { key: 'port', type: 'int', min: 1, max: 65535, default: 3000 },
+    HOST: { key: 'host', type: 'string', default: '0.0.0.0' },
+    PUBLIC_BASE_URL: { key: 'publicBaseUrl', type: 'url', protocols: ['http:', 'https:'] },
+    PUBLIC_GATEWAY_URL: { key: 'publicGatewayUrl', type: 'url', protocols: ['http:', 'https:'] },
+    PUBLIC_WEBUI_URL: { key: 'publicWebuiUrl', type: 'url', protocols: ['http:', 'https:'] },
+    CORS_ORIGINS: { key: 'corsOrigins', type: 'list', item: 'url' },
+
+    MONGODB_URI: { key: 'mongodbUri', type: 'url', protocols: ['mongodb:', 'mongodb+srv:'] },
+    REDIS_URL: { key: 'redisUrl', type: 'url', protocols: ['redis:', 'rediss:', 'memory:'] },
+    MESSAGE_STORE_FILE: { key: 'messageStoreFile', type: 'string' },
+
+    JWT_SECRET: { key: 'jwtSecret', type: 'string' },
+    SYSTEM_SIGNING_KEY: { key: 'systemSigningKey', type: 'privateKey', keyType: 'ed25519' },
+    ADMIN_USERNAMES: { key: 'adminUsernames', type: 'list', default: [] },
+
+    IPFS_STORE: { key: 'ipfs.store', type: 'enum', values: ['kubo', 'memory', 'fs'], default: 'kubo' },
+    IPFS_STORE_PATH: { key: 'ipfs.storePath', type: 'string' },
+    IPFS_API_URL: { key: 'ipfs.apiUrl', type: 'url', protocols: ['http:', 'https:'], default: 'http://ipfs:5001/api/v0' },
+    IPFS_GATEWAYS: { key: 'ipfs.gateways', type: 'list', item: 'url', default: [] },
+    IPFS_PUBSUB_ENABLE: { key: 'ipfs.pubsubEnabled', type: 'bool', default: true },
+    IPFS_RELAY_TOPICS: { key: 'ipfs.relayTopics', type: 'int', min: 1, default: 16 },
+
+    PIN_USER_QUOTA_BYTES: { key: 'ipfs.pins.userQuotaBytes', type: 'int', min: 0 },
+    PIN_GLOBAL_QUOTA_BYTES: { key: 'ipfs.pins.globalQuotaBytes', type: 'int', min: 0 },
+    PIN_TTL_SECONDS: { key: 'ipfs.pins.defaultTtlMs', type: 'int', min: 0, scale: 1000 },
+    PIN_SWEEP_INTERVAL_SECONDS: { key: 'ipfs.pins.sweepIntervalMs', type: 'int', min: 1, scale: 1000 },
+
+    MAILBOX_PUBLISH_DELAY_SECONDS: { key: 'mailbox.publishDelayMs', type: 'int', min: 0, scale: 1000 },
+
+    MESSAGE_DEDUPE_WINDOW_SECONDS: { key: 'messages.dedupeWindowMs', type: 'int', min: 1, scale: 1000, default: 24 * 60 * 60 * 1000 },
+    MESSAGE_EXPIRY_SWEEP_SECONDS: { key: 'messages.expirySweepMs', type: 'int', min: 1, scale: 1000, default: 60 * 1000 },
+
+    ATTACHMENT_CHUNK_BYTES: { key: 'attachments.chunkSize', type: 'int', min: 1024, default: 1024 * 1024 },
+    ATTACHMENT_MAX_BYTES: { key: 'attachments.maxBytes', type: 'int', min: 1, default: 1024 * 1024 * 1024 },
+
+    LOG_LEVEL: { key: 'log.level', type: 'enum', values: ['debug', 'info', 'warn', 'error'], default: 'info' },
+    LOG_FORMAT: { key: 'log.format', type: 'enum', values: ['json', 'pretty'], default: 'json' },
+
+    METRICS_TOKEN: { key: 'metrics.token', type: 'string' },
+
+    HTTP_RATE_LIMIT: { key: 'limits.http', type: 'rate', default: { count: 100, intervalMs: 15 * 60 * 1000 } },
+    SOCKET_RATE_LIMITS: { key: 'limits.rates', type: 'map', value: 'rate', default: {} },
+    SOCKET_PAYLOAD_LIMITS: { key: 'limits.payloadBytes', type: 'map', value: { type: 'int', min: 1 }, default: {} },
+    SOCKET_MAX_CONNECTIONS_PER_USER: { key: 'limits.maxConnectionsPerUser', type: 'int', min: 0, default: 10 },
+    RATE_LIMIT_BAN_AFTER: { key: 'limits.banAfter', type: 'int', min: 0, default: 20 },
+    RATE_LIMIT_BAN_WINDOW_SECONDS: { key: 'limits.banWindowMs', type: 'int', min: 1, scale: 1000, default: 60 * 1000 },
+    RATE_LIMIT_BAN_SECONDS: { key: 'limits.banMs', type: 'int', min: 1, scale: 1000, default: 5 * 60 * 1000 },
+
+    HEALTH_PROBE_TIMEOUT_MS: { key: 'health.timeoutMs', type: 'int', min: 1, default: 3000 },
+    // Messages still flow without IPFS, so it does not fail readiness unless
+    // left out; "none" makes every dependency required
+    HEALTH_OPTIONAL: { key: 'health.optional', type: 'list', item: { type: 'enum', values: ['mongodb', 'redis', 'ipfs', 'none'] }, default: ['ipfs'] }
+};
+
+class ConfigError extends Error {
+    constructor(errors) {
+        super(`Invalid configuration: ${errors.join('; ')}`);
+        this.name = 'ConfigError';
+        this.errors = errors;
+    }
+}
+
+function parseUrl(value, protocols) {
+    let url;
+    try {
+        url = new URL(value);
+    } catch (error) {
+        return { error: 'must be a URL' };
+    }
+    if (protocols && !protocols.includes(url.protocol)) {
+        return { error: `must use ${protocols.map(protocol => protocol.slice(0, -1)).join(' or ')}` };
+    }
+    // Trailing slashes would double up when paths are appended; memory:// keeps its own
+    return { value: url.host ? value.replace(/\/+$/, '') : value };
+}
+
+/**
+ * Parse one raw value (a string from the environment, or any JSON value
+ * from the config file). Returns { value } or { error }.
+ */
+function parseValue(raw, spec) {
+    switch (spec.type) {
+        case 'string':
+            return typeof raw === 'string' ? { value: raw } : { error: 'must be a string' };
+
+        case 'int': {
+            const value = typeof raw === 'number' ? raw : (/^-?\d+$/.test(String(raw).trim()) ? Number(raw) : NaN);
+            if (!Number.isSafeInteger(value)) return { error: 'must be an integer' };
+            if (spec.min !== undefined && value < spec.min) return { error: `must be at least ${spec.min}` };
+            if (spec.max !== undefined && value > spec.max) return { error: `must be at most ${spec.max}` };
+            return { value: value * (spec.scale || 1) };
+        }
+
+        case 'bool': {
+            if (typeof raw === 'boolean') return { value: raw };
+            const value = String(raw).trim().toLowerCase();
+            if (['true', '1', 'yes', 'on'].includes(value)) return { value: true };
+            if (['false', '0', 'no', 'off'].includes(value)) return { value: false };
+            return { error: 'must be true or false' };
+        }
+
+        case 'url':
+            return typeof raw === 'string' ? parseUrl(raw.trim(), spec.protocols) : { error: 'must be a URL' };
+
+        case 'list': {
+            const items = Array.isArray(raw) ? raw : String(raw).split(',');
+            const values = [];
+            for (const item of items.map(item => String(item).trim()).filter(Boolean)) {
+                const itemSpec = typeof spec.item === 'string' ? { type: spec.item } : spec.item;
+                const parsed = itemSpec ? parseValue(item, itemSpec) : { value: item };
+                if (parsed.error) return { error: `${item} ${parsed.error}` };
+                values.push(parsed.value);
+            }
+            return { value: values };
+        }
+
+        case 'enum':
+            return spec.values.includes(raw) ? { value: raw } : { error: `must be one of ${spec.values.join(', ')}` };
+
+        case 'rate': {
+            const match = /^(\d+)\s*\/\s*(\d+)s?$/.exec(String(raw).trim());
+            if (!match || Number(match[1]) < 1 || Number(match[2]) < 1) {
+                return { error: 'must be count/seconds, e.g. 30/10' };
+            }
+            return { value: { count: Number(match[1]), intervalMs: Number(match[2]) * 1000 } };
+        }
+
+        case 'map': {
+            const entries = raw && typeof raw === 'object' && !Array.isArray(raw)
+                ? Object.entries(raw)
+                : String(raw).split(',').filter(entry => entry.trim()).map(entry => entry.split('='));
+            const values = {};
+            for (const [name, item] of entries) {
+                const valueSpec = typeof spec.value === 'string' ? { type: spec.value } : spec.value;
+                if (!name || !name.trim() || item === undefined) return { error: 'must be name=value pairs' };
+                const parsed = parseValue(typeof item === 'string' ? item.trim() : item, valueSpec);
+                if (parsed.error) return { error: `${name.trim()} ${parsed.error}` };
+                values[name.trim()] = parsed.value;
+            }
+            return { value: values };
+        }
+
+        case 'privateKey': {
+            if (typeof raw !== 'string') return { error: 'must be a PEM private key' };
+            const pem = raw.trim().replace(/\\n/g, '\n');
+            let key;
+            try {
+                key = crypto.createPrivateKey(pem);
+            } catch (error) {
+                return { error: 'must be a PEM private key' };
+            }
+            if (spec.keyType && key.asymmetricKeyType !== spec.keyType) {
+                return { error: `must be an ${spec.keyType} key` };
+            }
+            return { value: pem };
+        }
+
+        default:
+            throw new Error(`Unknown config type ${spec.type}`);
+    }
+}
+
+function setPath(target, key, value) {
+    const parts = key.split('.');
+    const last = parts.pop();
+    const parent = parts.reduce((node, part) => (node[part] = node[part] || {}), target);
+    parent[last] = value;
+}
+
+function readConfigFile(file) {
+    let data;
+    try {
+        data = JSON.parse(fs.readFileSync(path.resolve(file), 'utf8'));
+    } catch (error) {
+        throw new ConfigError([`CONFIG_FILE ${file} could not be read: ${error.message}`]);
+    }
+    if (!data || typeof data !== 'object' || Array.isArray(data)) {
+        throw new ConfigError([`CONFIG_FILE ${file} must hold a JSON object`]);
+    }
+
+    const unknown = Object.keys(data).filter(name => !SCHEMA[name]);
+    if (unknown.length) {
+        throw new ConfigError(unknown.map(name => `CONFIG_FILE ${file}: unknown setting ${name}`));
+    }
+    return data;
+}
+
+/**
+ * Public addresses of this deployment. The gateway and WebUI default to
+ * the usual Kubo ports on the same host as the API.
+ */
+function publicUrls(config) {
+    const base = new URL(config.publicBaseUrl || `http://localhost:${config.port}`);
+    const origin = `${base.protocol}//${base.hostname}`;
+
+    return {
+        host: base.host,
+        api: base.href.replace(/\/+$/, ''),
+        ws: base.href.replace(/\/+$/, '').replace(/^http/, 'ws'),
+        gateway: config.publicGatewayUrl || `${origin}:8080`,
+        webui: config.publicWebuiUrl || `${origin}:5001/webui`
+    };
+}
+
+/**
+ * Load, validate and return the configuration. Throws a ConfigError that
+ * lists every bad value.
+ */
+function loadConfig(env = process.env) {
+    const file = env.CONFIG_FILE ? readConfigFile(env.CONFIG_FILE) : {};
+    const config = {};
+    const errors = [];
+
+    for (const [name, spec] of Object.entries(SCHEMA)) {
+        const raw = env[name] !== undefined && env[name] !== '' ? env[name] : file[name];
+
+        let value = spec.default;
+        if (raw !== undefined && raw !== null && raw !== '') {
+            const parsed = parseValue(raw, spec);
+            if (parsed.error) {
+                errors.push(`${name} ${parsed.error}`);
+                continue;
+            }
+            value = parsed.value;
+        }
+        setPath(config, spec.key, value);
+    }
+
+    if (config.ipfs.store === 'fs' && !config.ipfs.storePath) {
+        errors.push('IPFS_STORE_PATH is required when IPFS_STORE is fs');
+    }
+    if (config.env === 'production' && (!config.jwtSecret || config.jwtSecret === 'CHANGE_ME')) {
+        errors.push('JWT_SECRET must be set in production');
+    }
+    if (errors.length) throw new ConfigError(errors);
+
+    config.public = publicUrls(config);
+    if (!config.corsOrigins) {
+        config.corsOrigins = [...new Set([new URL(config.public.api).origin, `http://localhost:${config.port}`])];
+    }
+    return config;
+}
+
+module.exports = {
+    SCHEMA,
+    ConfigError,
+    loadConfig
+};
@@ -0,0 +1,65 @@
+/**
+ * JWT authentication for Express routes and Socket.IO handshakes
+ */
+
+const { ApiError, connectError, sendError } = require('../utils/errors');
+
+function extractBearerToken(header) {
+    if (typeof header !== 'string') return null;
+    const [scheme, token] = header.split(' ');
+    return scheme && scheme.toLowerCase() === 'bearer' && token ? token : null;
+}
+
+/**
+ * Express middleware that rejects requests without a valid access token and
+ * attaches the verified user to `req.user`.
+ */
+function createAuthMiddleware(authService) {
+    return (req, res, next) => {
+        try {
+            const token = extractBearerToken(req.headers.authorization);
+            req.user = authService.verifyAccessToken(token);
+            next();
+        } catch (error) {
+            sendError(res, error);
+        }
+    };
+}
+
+/**
+ * Socket.IO middleware for `io.use()`. The token is read from
+ * `handshake.auth.token` or, for non-browser clients, the Authorization header.
+ */
+function createSocketAuthMiddleware(authService) {
+    return (socket, next) => {
+        try {
+            const token = socket.handshake.auth?.token
+                || extractBearerToken(socket.handshake.headers?.authorization);
+            socket.data.user = authService.verifyAccessToken(token);
+            next();
+        } catch (error) {
+            next(connectError(error));
+        }
+    };
+}
+
+/**
+ * Express middleware, used after the auth middleware, that only lets the
+ * listed usernames through.
+ */
+function createAdminMiddleware(adminUsernames = []) {
+    const admins = new Set(adminUsernames);
+    return (req, res, next) => {
+        if (!req.user || !admins.has(req.user.username)) {
+            return sendError(res, new ApiError('FORBIDDEN', 'Admin access required'));
+        }
+        next();
+    };
+}
+
+module.exports = {
+    extractBearerToken,
+    createAuthMiddleware,
+    createSocketAuthMiddleware,
+    createAdminMiddleware
+};
@@ -0,0 +1,52 @@
+/**
+ * HTTP request metrics and access to GET /metrics
+ */
+
+const crypto = require('crypto');
+
+/**
+ * Route template of a finished request, e.g. /api/messages/:id/status.
+ * Requests that matched no route share one label so unknown paths cannot
+ * create new series.
+ */
+function routeLabel(req) {
+    if (req.route) return req.baseUrl && req.route.path === '/' ? req.baseUrl : `${req.baseUrl}${req.route.path}`;
+    return req.baseUrl ? `${req.baseUrl}/*` : 'unmatched';
+}
+
+/**
+ * Express middleware that observes every request in `histogram`.
+ */
+function createHttpMetricsMiddleware(histogram) {
+    return (req, res, next) => {
+        const end = histogram.startTimer();
+        res.on('finish', () => {
+            end({ method: req.method, route: routeLabel(req), status_code: res.statusCode });
+        });
+        next();
+    };
+}
+
+/**
+ * Guard for the metrics endpoint: open when no token is configured, else
+ * the scraper must send it as a bearer token.
+ */
+function createMetricsAuthMiddleware(token) {
+    const expected = token ? crypto.createHash('sha256').update(token).digest() : null;
+
+    return (req, res, next) => {
+        if (!expected) return next();
+
+        const [scheme, supplied] = (req.headers.authorization || '').split(' ');
+        const digest = crypto.createHash('sha256').update(supplied || '').digest();
+        if (scheme?.toLowerCase() !== 'bearer' || !crypto.timingSafeEqual(digest, expected)) {
+            return res.status(401).json({ error: 'Metrics token required' });
+        }
+        next();
+    };
+}
+
+module.exports = {
+    createHttpMetricsMiddleware,
+    createMetricsAuthMiddleware
+};
@@ -0,0 +1,54 @@
+/**
+ * Socket.IO protocol version negotiation
+ *
+ * Clients list the versions they speak in the handshake, as
+ * io(url, { auth: { token, protocol: [1, 2] } }) or ?protocol=1,2, and the
+ * connection uses the highest one the server also speaks. The choice is
+ * sent back in the 'session' event on connect. Clients that send nothing
+ * get version 1; clients with no version in common are refused with
+ * UNSUPPORTED_PROTOCOL.
+ *
+ *   1  Events are answered through the acknowledgement callback when the
+ *      client passes one, else as separate events (message_sent, groups,
+ *      presence, transport_status) and 'error'.
+ *   2  Events are answered through the acknowledgement callback only, and
+ *      send_encrypted_message requires client_msg_id.
+ */
+
+const { ApiError, connectError } = require('../utils/errors');
+
+const PROTOCOL_VERSIONS = [1, 2];
+
+/**
+ * The highest version in `offered` (a number, a list or "1,2") that the
+ * server supports, or null. Nothing offered means version 1.
+ */
+function negotiateProtocol(offered) {
+    if (offered === undefined || offered === null || offered === '') return 1;
+    const versions = (Array.isArray(offered) ? offered : String(offered).split(','))
+        .map(Number)
+        .filter(version => PROTOCOL_VERSIONS.includes(version));
+    return versions.length ? Math.max(...versions) : null;
+}
+
+/**
+ * Socket.IO middleware for `io.use()` that sets `socket.data.protocol`.
+ */
+function createProtocolMiddleware() {
+    return (socket, next) => {
+        const version = negotiateProtocol(socket.handshake.auth?.protocol ?? socket.handshake.query?.protocol);
+        if (!version) {
+            return next(connectError(new ApiError('UNSUPPORTED_PROTOCOL',
+                `Supported protocol versions: ${PROTOCOL_VERSIONS.join(', ')}`,
+                { supported: PROTOCOL_VERSIONS })));
+        }
+        socket.data.protocol = version;
+        next();
+    };
+}
+
+module.exports = {
+    PROTOCOL_VERSIONS,
+    negotiateProtocol,
+    createProtocolMiddleware
+};
@@ -0,0 +1,151 @@
+/**
+ * Per-user limits for Socket.IO connections, socket events and HTTP routes
+ *
+ * Refusals use the error envelope: RATE_LIMITED and PAYLOAD_TOO_LARGE with
+ * `retry_after_ms` where waiting helps, TOO_MANY_CONNECTIONS at the
+ * handshake and BANNED while a temporary ban lasts. Every refusal counts
+ * towards a ban (see src/services/rate-limiter.js).
+ */
+
+const { ApiError, connectError, sendError } = require('../utils/errors');
+const logger = require('../utils/logger').logger.child({ component: 'rate-limit' });
+
+function bannedError(retryAfterMs) {
+    return new ApiError('BANNED', 'Temporarily banned for exceeding rate limits', {
+        retry_after_ms: retryAfterMs
+    });
+}
+
+/**
+ * Milliseconds left on the user's ban. Like RedisRateLimitStore this fails
+ * open: when the ban store cannot be reached the user is not banned.
+ */
+async function banTimeLeft(limiter, userId) {
+    try {
+        return await limiter.bannedFor(userId);
+    } catch (error) {
+        logger.warn('Ban lookup failed', { user_id: userId, err: error });
+        return 0;
+    }
+}
+
+/**
+ * Socket.IO middleware for `io.use()`, after authentication, that refuses
+ * banned users and users who already hold `maxConnectionsPerUser`
+ * connection slots on any instance. The slot is given back on disconnect,
+ * so this must be the last `io.use()`: a handshake refused by a later
+ * middleware never disconnects and would keep its slot.
+ */
+function createConnectionLimitMiddleware(limiter) {
+    const { maxConnectionsPerUser } = limiter.config;
+
+    return async (socket, next) => {
+        const userId = socket.data.user.id;
+        try {
+            const bannedFor = await banTimeLeft(limiter, userId);
+            if (bannedFor) {
+                await limiter.violation(userId, 'connection', 'banned');
+                return next(connectError(bannedError(bannedFor)));
+            }
+
+            if (!await limiter.reserveConnection(userId)) {
+                await limiter.violation(userId, 'connection', 'connections');
+                return next(connectError(new ApiError('TOO_MANY_CONNECTIONS',
+                    `At most ${maxConnectionsPerUser} connections per user`,
+                    { max_connections: maxConnectionsPerUser })));
+            }
+            socket.once('disconnect', () => {
+                limiter.releaseConnection(userId).catch(error => {
+                    logger.warn('Connection slot release failed', { user_id: userId, err: error });
+                });
+            });
+            next();
+        } catch (error) {
+            next(connectError(error));
+        }
+    };
+}
+
+/**
+ * Socket middleware for `socket.use()` that checks each event's payload
+ * size and rate before any handler runs. Refused events are answered
+ * through the ack callback, or as 'error' to version 1 clients, and go no
+ * further; a ban also closes the connection.
+ */
+function createSocketRateLimitMiddleware(socket, limiter) {
+    const userId = socket.data.user.id;
+
+    return async (packet, next) => {
+        const [event, ...args] = packet;
+        const ack = typeof args[args.length - 1] === 'function' ? args.pop() : null;
+        const refuse = (apiError) => {
+            const body = { ...apiError.toJSON(), event };
+            if (ack) ack(body);
+            else if (socket.data.protocol < 2) socket.emit('error', body);
+        };
+
+        let error = null;
+        let reason = null;
+        const size = Buffer.byteLength(JSON.stringify(args) || '');
+        const limit = limiter.payloadLimit(event);
+        if (size > limit) {
+            reason = 'payload';
+            error = new ApiError('PAYLOAD_TOO_LARGE', `Payload of ${size} bytes exceeds ${limit} for ${event}`, {
+                max_bytes: limit
+            });
+        } else {
+            const { allowed, retryAfterMs } = limiter.take(userId, event);
+            if (allowed) return next();
+            reason = 'rate';
+            error = new ApiError('RATE_LIMITED', `Too many ${event} events, slow down`, {
+                retry_after_ms: retryAfterMs
+            });
+        }
+
+        try {
+            const { banned, banMs } = await limiter.violation(userId, event, reason);
+            if (banned) {
+                refuse(bannedError(banMs));
+                return socket.disconnect(true);
+            }
+        } catch (banError) {
+            // Throttling still applies when the ban store is unreachable
+        }
+        refuse(error);
+    };
+}
+
+/**
+ * Express middleware, after requireAuth, that spends a token from the
+ * user's `event` bucket so HTTP clients share the socket limits.
+ */
+function createHttpRateLimitMiddleware(limiter, event) {
+    return async (req, res, next) => {
+        const userId = req.user.id;
+        try {
+            const bannedFor = await banTimeLeft(limiter, userId);
+            if (bannedFor) {
+                await limiter.violation(userId, event, 'banned');
+                res.set('Retry-After', String(Math.ceil(bannedFor / 1000)));
+                return sendError(res, bannedError(bannedFor));
+            }
+
+            const { allowed, retryAfterMs } = limiter.take(userId, event);
+            if (allowed) return next();
+
+            const { banned, banMs } = await limiter.violation(userId, event, 'rate');
+            res.set('Retry-After', String(Math.ceil((banned ? banMs : retryAfterMs) / 1000)));
+            sendError(res, banned
+                ? bannedError(banMs)
+                : new ApiError('RATE_LIMITED', 'Too many requests, slow down', { retry_after_ms: retryAfterMs }));
+        } catch (error) {
+            next(error);
+        }
+    };
+}
+
+module.exports = {
+    createConnectionLimitMiddleware,
+    createSocketRateLimitMiddleware,
+    createHttpRateLimitMiddleware
+};
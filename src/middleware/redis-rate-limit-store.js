@@ -0,0 +1,51 @@
+/**
+ * express-rate-limit store backed by Redis, so all server instances share
+ * one hit counter per client. Works with the node-redis v4 client and the
+ * in-memory stand-in. While Redis is unreachable the limiter fails open
+ * rather than rejecting every request.
+ */
+
+const logger = require('../utils/logger').logger.child({ component: 'rate-limit' });
+
+class RedisRateLimitStore {
+    constructor(client, options = {}) {
+        this.client = client;
+        this.prefix = options.prefix || 'chat:ratelimit:';
+        this.windowMs = 60 * 1000;
+    }
+
+    init(options) {
+        this.windowMs = options.windowMs;
+    }
+
+    async increment(key) {
+        const redisKey = this.prefix + key;
+        try {
+            const totalHits = await this.client.incr(redisKey);
+
+            let ttl = await this.client.pTTL(redisKey);
+            if (totalHits === 1 || ttl < 0) {
+                await this.client.pExpire(redisKey, this.windowMs);
+                ttl = this.windowMs;
+            }
+
+            return {
+                totalHits,
+                resetTime: new Date(Date.now() + ttl)
+            };
+        } catch (error) {
+            logger.warn('Rate limit store unavailable', { err: error });
+            return { totalHits: 0, resetTime: new Date(Date.now() + this.windowMs) };
+        }
+    }
+
+    async decrement(key) {
+        await this.client.decr(this.prefix + key).catch(() => {});
+    }
+
+    async resetKey(key) {
+        await this.client.del(this.prefix + key).catch(() => {});
+    }
+}
+
+module.exports = { RedisRateLimitStore };
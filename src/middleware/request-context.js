@@ -0,0 +1,65 @@
+/**
+ * Correlation ids and access logging for HTTP requests and socket events
+ */
+
+const crypto = require('crypto');
+const { withContext } = require('../utils/logger');
+
+// Ids supplied by clients or proxies are echoed back, so keep them tame
+const CORRELATION_ID_PATTERN = /^[\w.:-]{1,64}$/;
+
+function correlationIdFrom(value) {
+    return typeof value === 'string' && CORRELATION_ID_PATTERN.test(value) ? value : crypto.randomUUID();
+}
+
+/**
+ * Express middleware that takes the correlation id from X-Request-Id (or
+ * makes one), returns it in the response header and runs the rest of the
+ * request inside a logging context. Logs one access entry per request
+ * with the path only, as query strings may carry secrets.
+ */
+function createRequestContextMiddleware(logger) {
+    return (req, res, next) => {
+        const correlationId = correlationIdFrom(req.get('x-request-id') || req.get('x-correlation-id'));
+        const started = process.hrtime.bigint();
+
+        req.correlationId = correlationId;
+        res.setHeader('X-Request-Id', correlationId);
+
+        res.on('finish', () => {
+            const entry = {
+                correlation_id: correlationId,
+                method: req.method,
+                path: req.originalUrl.split('?')[0],
+                status: res.statusCode,
+                duration_ms: Math.round(Number(process.hrtime.bigint() - started) / 1e5) / 10,
+                ...(req.user && { user_id: req.user.id })
+            };
+            if (res.statusCode >= 500) logger.error('HTTP request failed', entry);
+            else logger.info('HTTP request', entry);
+        });
+
+        withContext({ correlation_id: correlationId }, next);
+    };
+}
+
+/**
+ * Socket.IO per-socket middleware (`socket.use`) that runs each event
+ * handler inside a logging context with a new correlation id, or the one
+ * the client sent as `correlation_id`.
+ */
+function createSocketContextMiddleware(socket) {
+    return ([event, data], next) => {
+        withContext({
+            correlation_id: correlationIdFrom(data?.correlation_id),
+            socket_id: socket.id,
+            user_id: socket.data.user?.id,
+            event
+        }, next);
+    };
+}
+
+module.exports = {
+    createRequestContextMiddleware,
+    createSocketContextMiddleware
+};
@@ -0,0 +1,60 @@
+/**
+ * Socket.IO event handlers with validation and acknowledgements
+ *
+ * Every client event may pass an acknowledgement callback as its last
+ * argument: socket.emit(event, data, (reply) => ...). The reply is the
+ * event's result, or the error envelope ({ error, code, details? }) plus
+ * `event` when it failed. Without a callback, version 1 clients get the
+ * result as a separate event and failures as 'error'; version 2 clients
+ * get nothing (see protocol.js).
+ */
+
+const { SOCKET } = require('../schemas');
+const { validate } = require('../utils/schema');
+const { toApiError } = require('../utils/errors');
+const { validationError } = require('./validate');
+
+/**
+ * Returns `on(event, options, handler)`, which registers a handler for
+ * `event` that first checks the payload against the event's schema in
+ * src/schemas.js, if it has one. `handler(data)` returns the result.
+ *
+ * @param {object} options
+ * @param {string} options.failure  Message for unexpected errors, which are logged
+ * @param {string} [options.reply]  Event that carries the result to version 1
+ *                                  clients that passed no callback
+ */
+function createSocketEvents(socket, logger) {
+    return function on(event, { failure, reply }, handler) {
+        socket.on(event, async (...args) => {
+            const ack = typeof args[args.length - 1] === 'function' ? args.pop() : null;
+            const fail = (error) => {
+                const body = { ...toApiError(error, failure).toJSON(), event };
+                if (ack) ack(body);
+                else if (socket.data.protocol < 2) socket.emit('error', body);
+            };
+
+            let data = args[0];
+            if (SOCKET[event]) {
+                const checked = validate(SOCKET[event], data, { name: 'data' });
+                if (checked.errors.length) return fail(validationError(checked.errors));
+                data = checked.value;
+            }
+
+            let result;
+            try {
+                result = await handler(data);
+            } catch (error) {
+                if (toApiError(error).code === 'INTERNAL_ERROR') {
+                    logger.error('Socket event error', { err: error });
+                }
+                return fail(error);
+            }
+
+            if (ack) ack(result ?? {});
+            else if (reply && socket.data.protocol < 2) socket.emit(reply, result);
+        });
+    };
+}
+
+module.exports = { createSocketEvents };
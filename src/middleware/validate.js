@@ -0,0 +1,47 @@
+/**
+ * Schema validation for Express routes
+ */
+
+const { HTTP } = require('../schemas');
+const { validate } = require('../utils/schema');
+const { ApiError, sendError } = require('../utils/errors');
+
+/**
+ * VALIDATION_FAILED for a list of problems; the first is the message.
+ */
+function validationError(details) {
+    return new ApiError('VALIDATION_FAILED', details[0], { details });
+}
+
+/**
+ * Express middleware that checks route params, the query string and the
+ * body against the schemas of `route` in src/schemas.js (e.g.
+ * 'POST /api/messages') and answers 400 VALIDATION_FAILED listing every
+ * problem. Query values are converted to the numbers and booleans the
+ * schema asks for.
+ */
+function validateRequest(route) {
+    const schemas = HTTP[route];
+    if (!schemas) throw new Error(`No schema for ${route}`);
+
+    return (req, res, next) => {
+        const details = [];
+        for (const part of ['params', 'query', 'body']) {
+            if (!schemas[part]) continue;
+            const { value, errors } = validate(schemas[part], req[part] ?? {}, {
+                name: part,
+                coerce: part !== 'body'
+            });
+            details.push(...errors);
+            if (part === 'query' && !errors.length) req.query = value;
+        }
+
+        if (details.length) return sendError(res, validationError(details));
+        next();
+    };
+}
+
+module.exports = {
+    validationError,
+    validateRequest
+};
@@ -0,0 +1,92 @@
+/**
+ * Heads of per-conversation IPFS message chains, with in-memory and
+ * MongoDB backends
+ *
+ * A head is { conversation_id, head_cid, seq, updated_at }. Heads only
+ * move through advance(), a compare-and-set on the previous head, so two
+ * writers can never both extend the same entry and fork the chain.
+ */
+
+const mongoose = require('mongoose');
+
+class MemoryChainHeadRepository {
+    constructor() {
+        this.heads = new Map();
+    }
+
+    async get(conversationId) {
+        const head = this.heads.get(conversationId);
+        return head ? { ...head } : null;
+    }
+
+    /**
+     * Move the head from `expectedCid` (null for an empty chain) to
+     * `headCid`. Returns false if the head has moved in the meantime.
+     */
+    async advance(conversationId, expectedCid, headCid, seq) {
+        const current = this.heads.get(conversationId);
+        if ((current?.head_cid || null) !== expectedCid) return false;
+
+        this.heads.set(conversationId, {
+            conversation_id: conversationId,
+            head_cid: headCid,
+            seq,
+            updated_at: new Date()
+        });
+        return true;
+    }
+}
+
+const chainHeadSchema = new mongoose.Schema({
+    _id: { type: String, required: true },
+    head_cid: { type: String, required: true },
+    seq: { type: Number, required: true },
+    updated_at: { type: Date, default: Date.now }
+}, { versionKey: false });
+
+function toHead(doc) {
+    if (!doc) return null;
+    const { _id, ...rest } = doc;
+    return { conversation_id: _id, ...rest };
+}
+
+class MongoChainHeadRepository {
+    constructor(connection) {
+        this.ChainHead = connection.model('ChainHead', chainHeadSchema);
+    }
+
+    async get(conversationId) {
+        return toHead(await this.ChainHead.findById(conversationId).lean());
+    }
+
+    async advance(conversationId, expectedCid, headCid, seq) {
+        const fields = { head_cid: headCid, seq, updated_at: new Date() };
+
+        if (expectedCid === null) {
+            try {
+                await this.ChainHead.create({ _id: conversationId, ...fields });
+                return true;
+            } catch (error) {
+                if (error.code === 11000) return false;
+                throw error;
+            }
+        }
+
+        const doc = await this.ChainHead.findOneAndUpdate(
+            { _id: conversationId, head_cid: expectedCid },
+            fields,
+            { new: true, lean: true }
+        );
+        return Boolean(doc);
+    }
+}
+
+function createChainHeadRepository(connection) {
+    return connection ? new MongoChainHeadRepository(connection) : new MemoryChainHeadRepository();
+}
+
+module.exports = {
+    MemoryChainHeadRepository,
+    MongoChainHeadRepository,
+    createChainHeadRepository
+};
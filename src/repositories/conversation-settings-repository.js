@@ -0,0 +1,74 @@
+/**
+ * Per-conversation settings, with in-memory and MongoDB backends
+ *
+ * Settings are { conversation_id, message_ttl_ms, updated_by, updated_at };
+ * a conversation without a record uses the defaults (messages never
+ * expire).
+ */
+
+const mongoose = require('mongoose');
+
+class MemoryConversationSettingsRepository {
+    constructor() {
+        this.settings = new Map();
+    }
+
+    async get(conversationId) {
+        const settings = this.settings.get(conversationId);
+        return settings ? { ...settings } : null;
+    }
+
+    async set(conversationId, fields) {
+        const settings = {
+            ...this.settings.get(conversationId),
+            ...fields,
+            conversation_id: conversationId,
+            updated_at: new Date()
+        };
+        this.settings.set(conversationId, settings);
+        return { ...settings };
+    }
+}
+
+const conversationSettingsSchema = new mongoose.Schema({
+    _id: { type: String, required: true },
+    message_ttl_ms: { type: Number, default: 0 },
+    updated_by: { type: String },
+    updated_at: { type: Date, default: Date.now }
+}, { versionKey: false });
+
+function toSettings(doc) {
+    if (!doc) return null;
+    const { _id, ...rest } = doc;
+    return { conversation_id: _id, ...rest };
+}
+
+class MongoConversationSettingsRepository {
+    constructor(connection) {
+        this.Settings = connection.model('ConversationSettings', conversationSettingsSchema);
+    }
+
+    async get(conversationId) {
+        return toSettings(await this.Settings.findById(conversationId).lean());
+    }
+
+    async set(conversationId, fields) {
+        const doc = await this.Settings.findByIdAndUpdate(conversationId, {
+            ...fields,
+            updated_at: new Date()
+        }, { new: true, upsert: true, lean: true });
+        return toSettings(doc);
+    }
+}
+
+function createConversationSettingsRepository(connection) {
+    return connection
+        ? new MongoConversationSettingsRepository(connection)
+        : new MemoryConversationSettingsRepository();
+}
+
+module.exports = {
+    MemoryConversationSettingsRepository,
+    MongoConversationSettingsRepository,
+    createConversationSettingsRepository
+};
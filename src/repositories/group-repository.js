@@ -0,0 +1,98 @@
+/**
+ * Group conversations with in-memory and MongoDB backends
+ *
+ * A group is { id, name, created_by, members: [{ user_id, role, joined_at }],
+ * created_at, updated_at }.
+ */
+
+const mongoose = require('mongoose');
+
+function copyGroup(group) {
+    return { ...group, members: group.members.map(member => ({ ...member })) };
+}
+
+class MemoryGroupRepository {
+    constructor() {
+        this.groups = new Map();
+    }
+
+    async create(group) {
+        this.groups.set(group.id, copyGroup(group));
+        return copyGroup(group);
+    }
+
+    async findById(id) {
+        const group = this.groups.get(id);
+        return group ? copyGroup(group) : null;
+    }
+
+    async listForUser(userId) {
+        return [...this.groups.values()]
+            .filter(group => group.members.some(member => member.user_id === userId))
+            .map(copyGroup);
+    }
+
+    async update(id, fields) {
+        const group = this.groups.get(id);
+        if (!group) return null;
+        Object.assign(group, copyGroup({ ...group, ...fields }));
+        return copyGroup(group);
+    }
+}
+
+const groupSchema = new mongoose.Schema({
+    _id: { type: String, required: true },
+    name: { type: String, required: true },
+    created_by: { type: String, required: true },
+    members: [{
+        _id: false,
+        user_id: { type: String, required: true },
+        role: { type: String, required: true },
+        joined_at: { type: Date, default: Date.now }
+    }],
+    created_at: { type: Date, default: Date.now },
+    updated_at: { type: Date, default: Date.now }
+}, { versionKey: false });
+
+groupSchema.index({ 'members.user_id': 1 });
+
+function toGroup(doc) {
+    if (!doc) return null;
+    const { _id, ...rest } = doc;
+    return { id: _id, ...rest };
+}
+
+class MongoGroupRepository {
+    constructor(connection) {
+        this.Group = connection.model('Group', groupSchema);
+    }
+
+    async create(group) {
+        const { id, ...rest } = group;
+        const doc = await this.Group.create({ _id: id, ...rest });
+        return toGroup(doc.toObject());
+    }
+
+    async findById(id) {
+        return toGroup(await this.Group.findById(id).lean());
+    }
+
+    async listForUser(userId) {
+        const docs = await this.Group.find({ 'members.user_id': userId }).lean();
+        return docs.map(toGroup);
+    }
+
+    async update(id, fields) {
+        return toGroup(await this.Group.findByIdAndUpdate(id, fields, { new: true, lean: true }));
+    }
+}
+
+function createGroupRepository(connection) {
+    return connection ? new MongoGroupRepository(connection) : new MemoryGroupRepository();
+}
+
+module.exports = {
+    MemoryGroupRepository,
+    MongoGroupRepository,
+    createGroupRepository
+};
@@ -0,0 +1,66 @@
+/**
+ * Public identity key directory with in-memory and MongoDB backends
+ */
+
+const mongoose = require('mongoose');
+
+class MemoryKeyRepository {
+    constructor() {
+        this.keys = new Map();
+    }
+
+    async put(userId, bundle) {
+        const record = { user_id: userId, ...bundle, updated_at: new Date() };
+        this.keys.set(userId, record);
+        return { ...record };
+    }
+
+    async get(userId) {
+        const record = this.keys.get(userId);
+        return record ? { ...record } : null;
+    }
+}
+
+const keySchema = new mongoose.Schema({
+    _id: { type: String, required: true },
+    key_id: { type: String, required: true },
+    encryption_key: { type: String, required: true },
+    signing_key: { type: String, required: true },
+    key_signature: { type: String, required: true },
+    updated_at: { type: Date, default: Date.now }
+}, { versionKey: false });
+
+function toRecord(doc) {
+    if (!doc) return null;
+    const { _id, ...rest } = doc;
+    return { user_id: _id, ...rest };
+}
+
+class MongoKeyRepository {
+    constructor(connection) {
+        this.IdentityKey = connection.model('IdentityKey', keySchema);
+    }
+
+    async put(userId, bundle) {
+        const doc = await this.IdentityKey.findByIdAndUpdate(
+            userId,
+            { _id: userId, ...bundle, updated_at: new Date() },
+            { new: true, upsert: true, lean: true }
+        );
+        return toRecord(doc);
+    }
+
+    async get(userId) {
+        return toRecord(await this.IdentityKey.findById(userId).lean());
+    }
+}
+
+function createKeyRepository(connection) {
+    return connection ? new MongoKeyRepository(connection) : new MemoryKeyRepository();
+}
+
+module.exports = {
+    MemoryKeyRepository,
+    MongoKeyRepository,
+    createKeyRepository
+};
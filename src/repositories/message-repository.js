@@ -0,0 +1,393 @@
+/**
+ * Message storage with in-memory, file and MongoDB backends
+ *
+ * Only ciphertext is stored. History is paged per conversation with opaque
+ * cursors that encode the (timestamp, id) position of a message. Messages
+ * in disappearing conversations carry `expires_at` and are removed by the
+ * retention sweep (see services/retention-service.js). Replies carry
+ * `parent_id` and are paged per thread the same way; reactions are kept
+ * on the message they belong to as [{ user_id, emoji, reacted_at }].
+ */
+
+const fs = require('fs');
+const path = require('path');
+const mongoose = require('mongoose');
+
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 100;
+
+function encodeCursor(message) {
+    const time = new Date(message.timestamp).getTime();
+    return Buffer.from(`${time}:${message.id}`, 'utf8').toString('base64url');
+}
+
+function decodeCursor(cursor) {
+    if (!cursor) return null;
+    const decoded = Buffer.from(String(cursor), 'base64url').toString('utf8');
+    const separator = decoded.indexOf(':');
+    const time = Number(decoded.slice(0, separator));
+    if (separator < 1 || !Number.isFinite(time)) {
+        throw new Error('Invalid cursor');
+    }
+    return { time, id: decoded.slice(separator + 1) };
+}
+
+function normalizeLimit(limit) {
+    const value = parseInt(limit, 10);
+    if (!Number.isFinite(value) || value < 1) return DEFAULT_LIMIT;
+    return Math.min(value, MAX_LIMIT);
+}
+
+function compareMessages(a, b) {
+    const diff = new Date(a.timestamp) - new Date(b.timestamp);
+    return diff !== 0 ? diff : (a.id < b.id ? -1 : a.id > b.id ? 1 : 0);
+}
+
+function comparePosition(message, position) {
+    const diff = new Date(message.timestamp).getTime() - position.time;
+    return diff !== 0 ? diff : (message.id < position.id ? -1 : message.id > position.id ? 1 : 0);
+}
+
+/**
+ * Build a page response. `messages` is always returned oldest first.
+ */
+function toPage(messages, hasMore) {
+    return {
+        messages,
+        has_more: hasMore,
+        cursors: {
+            before: messages.length ? encodeCursor(messages[0]) : null,
+            after: messages.length ? encodeCursor(messages[messages.length - 1]) : null
+        }
+    };
+}
+
+class MemoryMessageRepository {
+    constructor() {
+        this.messages = new Map();
+    }
+
+    async save(message) {
+        const record = { ...message, timestamp: new Date(message.timestamp) };
+        this.messages.set(record.id, record);
+        return { ...record };
+    }
+
+    async findById(id) {
+        const message = this.messages.get(id);
+        return message ? { ...message } : null;
+    }
+
+    async update(id, fields) {
+        const message = this.messages.get(id);
+        if (!message) return null;
+        Object.assign(message, fields);
+        return { ...message };
+    }
+
+    /**
+     * Edit and delete events that point at `targetId`.
+     */
+    async listByTarget(targetId) {
+        return [...this.messages.values()]
+            .filter(m => m.target_id === targetId)
+            .sort(compareMessages)
+            .map(m => ({ ...m }));
+    }
+
+    /**
+     * Up to `limit` messages whose expires_at has passed, soonest first.
+     */
+    async findExpired(now, limit = 500) {
+        return [...this.messages.values()]
+            .filter(m => m.expires_at && new Date(m.expires_at) <= now)
+            .sort((a, b) => new Date(a.expires_at) - new Date(b.expires_at))
+            .slice(0, limit)
+            .map(m => ({ ...m }));
+    }
+
+    async remove(ids) {
+        let removed = 0;
+        for (const id of ids) {
+            if (this.messages.delete(id)) removed++;
+        }
+        return removed;
+    }
+
+    /**
+     * Add a reaction unless the user already reacted with that emoji.
+     * Returns whether it was added.
+     */
+    async addReaction(id, reaction) {
+        const message = this.messages.get(id);
+        if (!message) return false;
+        const reactions = message.reactions || [];
+        if (reactions.some(r => r.user_id === reaction.user_id && r.emoji === reaction.emoji)) return false;
+        message.reactions = [...reactions, reaction];
+        return true;
+    }
+
+    async removeReaction(id, userId, emoji) {
+        const message = this.messages.get(id);
+        const reactions = message?.reactions || [];
+        const remaining = reactions.filter(r => r.user_id !== userId || r.emoji !== emoji);
+        if (remaining.length === reactions.length) return false;
+        message.reactions = remaining;
+        return true;
+    }
+
+    /**
+     * Count a reply on its parent.
+     */
+    async recordReply(parentId, at) {
+        const message = this.messages.get(parentId);
+        if (!message) return;
+        message.reply_count = (message.reply_count || 0) + 1;
+        if (!message.last_reply_at || new Date(at) > new Date(message.last_reply_at)) message.last_reply_at = new Date(at);
+    }
+
+    async listConversation(conversationId, options = {}) {
+        return this.listWhere(m => m.conversation_id === conversationId, options);
+    }
+
+    async listThread(parentId, options = {}) {
+        return this.listWhere(m => m.parent_id === parentId, options);
+    }
+
+    listWhere(belongs, options) {
+        const limit = normalizeLimit(options.limit);
+        const before = decodeCursor(options.before);
+        const after = decodeCursor(options.after);
+
+        let matches = [...this.messages.values()]
+            .filter(belongs)
+            .filter(m => !before || comparePosition(m, before) < 0)
+            .filter(m => !after || comparePosition(m, after) > 0)
+            .sort(compareMessages);
+
+        const hasMore = matches.length > limit;
+        // Without an `after` cursor the newest page is returned
+        matches = after ? matches.slice(0, limit) : matches.slice(-limit);
+
+        return toPage(matches.map(m => ({ ...m })), hasMore);
+    }
+
+    async close() {}
+}
+
+/**
+ * In-memory repository persisted to a JSON file, for single-node deployments
+ * and tests that need history to survive a restart.
+ */
+class FileMessageRepository extends MemoryMessageRepository {
+    constructor(filePath) {
+        super();
+        this.filePath = filePath;
+        this.writeTimer = null;
+
+        if (fs.existsSync(filePath)) {
+            const stored = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+            for (const message of stored) {
+                this.messages.set(message.id, { ...message, timestamp: new Date(message.timestamp) });
+            }
+        }
+    }
+
+    async save(message) {
+        const saved = await super.save(message);
+        this.scheduleWrite();
+        return saved;
+    }
+
+    async update(id, fields) {
+        const updated = await super.update(id, fields);
+        if (updated) this.scheduleWrite();
+        return updated;
+    }
+
+    async remove(ids) {
+        const removed = await super.remove(ids);
+        if (removed) this.scheduleWrite();
+        return removed;
+    }
+
+    async addReaction(id, reaction) {
+        const added = await super.addReaction(id, reaction);
+        if (added) this.scheduleWrite();
+        return added;
+    }
+
+    async removeReaction(id, userId, emoji) {
+        const removed = await super.removeReaction(id, userId, emoji);
+        if (removed) this.scheduleWrite();
+        return removed;
+    }
+
+    async recordReply(parentId, at) {
+        await super.recordReply(parentId, at);
+        this.scheduleWrite();
+    }
+
+    scheduleWrite() {
+        if (this.writeTimer) return;
+        this.writeTimer = setTimeout(() => this.flush(), 100);
+    }
+
+    flush() {
+        clearTimeout(this.writeTimer);
+        this.writeTimer = null;
+        fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+        const tmpPath = `${this.filePath}.tmp`;
+        fs.writeFileSync(tmpPath, JSON.stringify([...this.messages.values()]));
+        fs.renameSync(tmpPath, this.filePath);
+    }
+
+    async close() {
+        if (this.writeTimer) this.flush();
+    }
+}
+
+const messageSchema = new mongoose.Schema({
+    _id: { type: String, required: true },
+    conversation_id: { type: String, required: true },
+    sender_id: { type: String, required: true },
+    recipient_id: { type: String },
+    encrypted_content: {
+        type: mongoose.Schema.Types.Mixed,
+        required() {
+            return this.get('type') !== 'system' && !this.get('deleted_at');
+        }
+    },
+    type: { type: String },
+    target_id: { type: String },
+    parent_id: { type: String },
+    transport: { type: String },
+    client_msg_id: { type: String },
+    ipfs_cid: { type: String },
+    ipfs_content_cid: { type: String },
+    status: { type: String, default: 'sent' },
+    timestamp: { type: Date, required: true },
+    expires_at: { type: Date }
+}, { versionKey: false, strict: false });
+
+messageSchema.index({ conversation_id: 1, timestamp: -1, _id: -1 });
+messageSchema.index({ target_id: 1 }, { sparse: true });
+messageSchema.index({ parent_id: 1, timestamp: -1, _id: -1 }, { sparse: true });
+messageSchema.index({ expires_at: 1 }, { sparse: true });
+
+function toMessage(doc) {
+    if (!doc) return null;
+    const { _id, ...rest } = doc;
+    return { id: _id, ...rest };
+}
+
+class MongoMessageRepository {
+    constructor(connection) {
+        this.Message = connection.model('Message', messageSchema);
+    }
+
+    async save(message) {
+        const { id, ...rest } = message;
+        const doc = await this.Message.findByIdAndUpdate(id, { _id: id, ...rest }, {
+            new: true,
+            upsert: true,
+            lean: true
+        });
+        return toMessage(doc);
+    }
+
+    async findById(id) {
+        return toMessage(await this.Message.findById(id).lean());
+    }
+
+    async update(id, fields) {
+        return toMessage(await this.Message.findByIdAndUpdate(id, fields, { new: true, lean: true }));
+    }
+
+    async listByTarget(targetId) {
+        const docs = await this.Message.find({ target_id: targetId }).sort({ timestamp: 1, _id: 1 }).lean();
+        return docs.map(toMessage);
+    }
+
+    async findExpired(now, limit = 500) {
+        const docs = await this.Message.find({ expires_at: { $lte: now } }).sort({ expires_at: 1 }).limit(limit).lean();
+        return docs.map(toMessage);
+    }
+
+    async remove(ids) {
+        if (!ids.length) return 0;
+        const result = await this.Message.deleteMany({ _id: { $in: ids } });
+        return result.deletedCount;
+    }
+
+    async addReaction(id, reaction) {
+        const result = await this.Message.updateOne(
+            { _id: id, reactions: { $not: { $elemMatch: { user_id: reaction.user_id, emoji: reaction.emoji } } } },
+            { $push: { reactions: reaction } }
+        );
+        return result.modifiedCount > 0;
+    }
+
+    async removeReaction(id, userId, emoji) {
+        const result = await this.Message.updateOne({ _id: id }, { $pull: { reactions: { user_id: userId, emoji } } });
+        return result.modifiedCount > 0;
+    }
+
+    async recordReply(parentId, at) {
+        await this.Message.updateOne({ _id: parentId }, { $inc: { reply_count: 1 }, $max: { last_reply_at: new Date(at) } });
+    }
+
+    async listConversation(conversationId, options = {}) {
+        return this.listWhere({ conversation_id: conversationId }, options);
+    }
+
+    async listThread(parentId, options = {}) {
+        return this.listWhere({ parent_id: parentId }, options);
+    }
+
+    async listWhere(condition, options) {
+        const limit = normalizeLimit(options.limit);
+        const before = decodeCursor(options.before);
+        const after = decodeCursor(options.after);
+
+        const conditions = [condition];
+        if (before) {
+            const time = new Date(before.time);
+            conditions.push({ $or: [{ timestamp: { $lt: time } }, { timestamp: time, _id: { $lt: before.id } }] });
+        }
+        if (after) {
+            const time = new Date(after.time);
+            conditions.push({ $or: [{ timestamp: { $gt: time } }, { timestamp: time, _id: { $gt: after.id } }] });
+        }
+
+        // Without an `after` cursor the newest page is returned
+        const direction = after ? 1 : -1;
+        const docs = await this.Message.find({ $and: conditions })
+            .sort({ timestamp: direction, _id: direction })
+            .limit(limit + 1)
+            .lean();
+
+        const hasMore = docs.length > limit;
+        const messages = docs.slice(0, limit).map(toMessage);
+        if (!after) messages.reverse();
+
+        return toPage(messages, hasMore);
+    }
+
+    async close() {}
+}
+
+function createMessageRepository(options = {}) {
+    if (options.connection) return new MongoMessageRepository(options.connection);
+    if (options.filePath) return new FileMessageRepository(options.filePath);
+    return new MemoryMessageRepository();
+}
+
+module.exports = {
+    MemoryMessageRepository,
+    FileMessageRepository,
+    MongoMessageRepository,
+    createMessageRepository,
+    encodeCursor,
+    decodeCursor
+};
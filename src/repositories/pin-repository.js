@@ -0,0 +1,207 @@
+/**
+ * Records of pinned IPFS content, with in-memory and MongoDB backends
+ *
+ * A record is { cid, owner_id, conversation_id, kind, size, created_at,
+ * expires_at, released_at }, one per (cid, owner, conversation): the same
+ * content pinned for two owners counts against both. A record is live
+ * until it is released or expires; content is unpinned once no live
+ * record refers to it.
+ */
+
+const mongoose = require('mongoose');
+
+function isLive(record, now) {
+    return !record.released_at && (!record.expires_at || new Date(record.expires_at) > now);
+}
+
+function recordKey(cid, ownerId, conversationId) {
+    return `${cid}|${ownerId || ''}|${conversationId || ''}`;
+}
+
+/**
+ * Whether a record matches a filter on cid, owner_id and conversation_id.
+ */
+function matches(record, filter) {
+    return Object.entries(filter).every(([field, value]) => (record[field] ?? null) === (value ?? null));
+}
+
+class MemoryPinRepository {
+    constructor() {
+        this.records = new Map();
+    }
+
+    /**
+     * Add a record, or refresh an existing one for the same cid, owner and
+     * conversation (un-releasing it and taking the new expiry).
+     */
+    async upsert(record) {
+        const key = recordKey(record.cid, record.owner_id, record.conversation_id);
+        const existing = this.records.get(key);
+        const stored = {
+            ...record,
+            created_at: existing?.created_at || new Date(),
+            released_at: null
+        };
+        this.records.set(key, stored);
+        return { ...stored };
+    }
+
+    async release(filter) {
+        const now = new Date();
+        let count = 0;
+        for (const record of this.records.values()) {
+            if (!record.released_at && matches(record, filter)) {
+                record.released_at = now;
+                count++;
+            }
+        }
+        return count;
+    }
+
+    async remove(records) {
+        for (const record of records) {
+            this.records.delete(recordKey(record.cid, record.owner_id, record.conversation_id));
+        }
+    }
+
+    async countLive(cid, now = new Date()) {
+        return [...this.records.values()].filter(record => record.cid === cid && isLive(record, now)).length;
+    }
+
+    async findReclaimable(now = new Date(), limit = 1000) {
+        return [...this.records.values()]
+            .filter(record => !isLive(record, now))
+            .slice(0, limit)
+            .map(record => ({ ...record }));
+    }
+
+    /**
+     * Live usage per owner: [{ owner_id, bytes, pins }], largest first.
+     */
+    async usageByOwner(now = new Date()) {
+        const usage = new Map();
+        for (const record of this.records.values()) {
+            if (!isLive(record, now)) continue;
+            const entry = usage.get(record.owner_id) || { owner_id: record.owner_id, bytes: 0, pins: 0 };
+            entry.bytes += record.size;
+            entry.pins++;
+            usage.set(record.owner_id, entry);
+        }
+        return [...usage.values()].sort((a, b) => b.bytes - a.bytes);
+    }
+
+    async usage(ownerId, now = new Date()) {
+        const entry = (await this.usageByOwner(now)).find(e => e.owner_id === ownerId);
+        return { bytes: entry?.bytes || 0, pins: entry?.pins || 0 };
+    }
+
+    async totals(now = new Date()) {
+        const owners = await this.usageByOwner(now);
+        return {
+            bytes: owners.reduce((sum, e) => sum + e.bytes, 0),
+            pins: owners.reduce((sum, e) => sum + e.pins, 0)
+        };
+    }
+}
+
+const pinSchema = new mongoose.Schema({
+    cid: { type: String, required: true },
+    owner_id: { type: String, default: null },
+    conversation_id: { type: String, default: null },
+    kind: { type: String },
+    size: { type: Number, required: true },
+    created_at: { type: Date, default: Date.now },
+    expires_at: { type: Date, default: null },
+    released_at: { type: Date, default: null }
+}, { versionKey: false });
+
+pinSchema.index({ cid: 1, owner_id: 1, conversation_id: 1 }, { unique: true });
+pinSchema.index({ expires_at: 1 });
+pinSchema.index({ released_at: 1 });
+
+function liveQuery(now) {
+    return {
+        released_at: null,
+        $or: [{ expires_at: null }, { expires_at: { $gt: now } }]
+    };
+}
+
+function toRecord(doc) {
+    if (!doc) return null;
+    const { _id, ...rest } = doc;
+    return rest;
+}
+
+class MongoPinRepository {
+    constructor(connection) {
+        this.Pin = connection.model('Pin', pinSchema);
+    }
+
+    async upsert(record) {
+        const { cid, owner_id = null, conversation_id = null, ...fields } = record;
+        const doc = await this.Pin.findOneAndUpdate(
+            { cid, owner_id, conversation_id },
+            { $set: { ...fields, released_at: null }, $setOnInsert: { created_at: new Date() } },
+            { new: true, upsert: true, lean: true }
+        );
+        return toRecord(doc);
+    }
+
+    async release(filter) {
+        const result = await this.Pin.updateMany({ ...filter, released_at: null }, { released_at: new Date() });
+        return result.modifiedCount;
+    }
+
+    async remove(records) {
+        if (!records.length) return;
+        await this.Pin.deleteMany({
+            $or: records.map(({ cid, owner_id = null, conversation_id = null }) => ({ cid, owner_id, conversation_id }))
+        });
+    }
+
+    async countLive(cid, now = new Date()) {
+        return this.Pin.countDocuments({ cid, ...liveQuery(now) });
+    }
+
+    async findReclaimable(now = new Date(), limit = 1000) {
+        const docs = await this.Pin.find({
+            $or: [{ released_at: { $ne: null } }, { expires_at: { $ne: null, $lte: now } }]
+        }).limit(limit).lean();
+        return docs.map(toRecord);
+    }
+
+    async usageByOwner(now = new Date()) {
+        const rows = await this.Pin.aggregate([
+            { $match: liveQuery(now) },
+            { $group: { _id: '$owner_id', bytes: { $sum: '$size' }, pins: { $sum: 1 } } },
+            { $sort: { bytes: -1 } }
+        ]);
+        return rows.map(({ _id, bytes, pins }) => ({ owner_id: _id, bytes, pins }));
+    }
+
+    async usage(ownerId, now = new Date()) {
+        const [row] = await this.Pin.aggregate([
+            { $match: { owner_id: ownerId, ...liveQuery(now) } },
+            { $group: { _id: null, bytes: { $sum: '$size' }, pins: { $sum: 1 } } }
+        ]);
+        return { bytes: row?.bytes || 0, pins: row?.pins || 0 };
+    }
+
+    async totals(now = new Date()) {
+        const [row] = await this.Pin.aggregate([
+            { $match: liveQuery(now) },
+            { $group: { _id: null, bytes: { $sum: '$size' }, pins: { $sum: 1 } } }
+        ]);
+        return { bytes: row?.bytes || 0, pins: row?.pins || 0 };
+    }
+}
+
+function createPinRepository(connection) {
+    return connection ? new MongoPinRepository(connection) : new MemoryPinRepository();
+}
+
+module.exports = {
+    MemoryPinRepository,
+    MongoPinRepository,
+    createPinRepository
+};
@@ -0,0 +1,103 @@
+/**
+ * Presence state keyed by user, so it is unaffected by individual sockets
+ * coming and going
+ */
+
+class MemoryPresenceRepository {
+    constructor() {
+        this.connections = new Map();
+        this.lastSeen = new Map();
+    }
+
+    /**
+     * Record a socket for the user and return the user's connection count.
+     */
+    async addConnection(userId, socketId) {
+        if (!this.connections.has(userId)) {
+            this.connections.set(userId, new Set());
+        }
+        const sockets = this.connections.get(userId);
+        sockets.add(socketId);
+        this.lastSeen.set(userId, new Date());
+        return sockets.size;
+    }
+
+    /**
+     * Remove a socket and return how many connections the user has left.
+     */
+    async removeConnection(userId, socketId) {
+        const sockets = this.connections.get(userId);
+        if (sockets) {
+            sockets.delete(socketId);
+            if (sockets.size === 0) this.connections.delete(userId);
+        }
+        this.lastSeen.set(userId, new Date());
+        return sockets ? sockets.size : 0;
+    }
+
+    async get(userId) {
+        const connections = this.connections.get(userId)?.size || 0;
+        return {
+            user_id: userId,
+            status: connections > 0 ? 'online' : 'offline',
+            last_seen: this.lastSeen.get(userId) || null
+        };
+    }
+}
+
+/**
+ * Presence shared by all server instances. Each user has a set of
+ * `<instance>:<socket>` connection ids and a last-seen timestamp.
+ */
+class RedisPresenceRepository {
+    constructor(client, options = {}) {
+        this.client = client;
+        this.prefix = options.prefix || 'chat:presence';
+        this.instanceId = options.instanceId;
+        // Bounds how long connections of a crashed instance keep a user online
+        this.connectionTtlMs = options.connectionTtlMs || 24 * 60 * 60 * 1000;
+    }
+
+    connectionsKey(userId) {
+        return `${this.prefix}:conn:${userId}`;
+    }
+
+    async addConnection(userId, socketId) {
+        const key = this.connectionsKey(userId);
+        await this.client.sAdd(key, `${this.instanceId}:${socketId}`);
+        await this.client.pExpire(key, this.connectionTtlMs);
+        await this.client.hSet(`${this.prefix}:last_seen`, userId, new Date().toISOString());
+        return this.client.sCard(key);
+    }
+
+    async removeConnection(userId, socketId) {
+        const key = this.connectionsKey(userId);
+        await this.client.sRem(key, `${this.instanceId}:${socketId}`);
+        await this.client.hSet(`${this.prefix}:last_seen`, userId, new Date().toISOString());
+        return this.client.sCard(key);
+    }
+
+    async get(userId) {
+        const [connections, lastSeen] = await Promise.all([
+            this.client.sCard(this.connectionsKey(userId)),
+            this.client.hGet(`${this.prefix}:last_seen`, userId)
+        ]);
+        return {
+            user_id: userId,
+            status: connections > 0 ? 'online' : 'offline',
+            last_seen: lastSeen ? new Date(lastSeen) : null
+        };
+    }
+}
+
+function createPresenceRepository(options = {}) {
+    return options.redis
+        ? new RedisPresenceRepository(options.redis, options)
+        : new MemoryPresenceRepository();
+}
+
+module.exports = {
+    MemoryPresenceRepository,
+    RedisPresenceRepository,
+    createPresenceRepository
+};
@@ -0,0 +1,86 @@
+/**
+ * Per-recipient queue of message ids awaiting delivery
+ */
+
+class MemoryQueueRepository {
+    constructor() {
+        this.queues = new Map();
+    }
+
+    async push(recipientId, messageId) {
+        if (!this.queues.has(recipientId)) {
+            this.queues.set(recipientId, new Set());
+        }
+        this.queues.get(recipientId).add(messageId);
+    }
+
+    /**
+     * Pending message ids for the recipient, oldest first.
+     */
+    async list(recipientId) {
+        return [...(this.queues.get(recipientId) || [])];
+    }
+
+    async remove(recipientId, messageIds) {
+        const queue = this.queues.get(recipientId);
+        if (!queue) return;
+        messageIds.forEach(id => queue.delete(id));
+        if (queue.size === 0) this.queues.delete(recipientId);
+    }
+
+    /**
+     * Total number of queued messages across all recipients.
+     */
+    async depth() {
+        let total = 0;
+        for (const queue of this.queues.values()) total += queue.size;
+        return total;
+    }
+}
+
+/**
+ * Queues shared by all server instances: one sorted set per recipient,
+ * scored by first enqueue time, plus a counter for the total depth.
+ */
+class RedisQueueRepository {
+    constructor(client, options = {}) {
+        this.client = client;
+        this.prefix = options.prefix || 'chat:queue';
+    }
+
+    queueKey(recipientId) {
+        return `${this.prefix}:${recipientId}`;
+    }
+
+    async push(recipientId, messageId) {
+        // NX: queueing a message again keeps its place
+        const added = await this.client.zAdd(this.queueKey(recipientId), { score: Date.now(), value: messageId }, { NX: true });
+        if (added) await this.client.incrBy(`${this.prefix}:depth`, added);
+    }
+
+    async list(recipientId) {
+        return this.client.zRange(this.queueKey(recipientId), 0, -1);
+    }
+
+    async remove(recipientId, messageIds) {
+        if (!messageIds.length) return;
+        const removed = await this.client.zRem(this.queueKey(recipientId), messageIds);
+        if (removed) await this.client.decrBy(`${this.prefix}:depth`, removed);
+    }
+
+    async depth() {
+        return Math.max(0, Number(await this.client.get(`${this.prefix}:depth`)) || 0);
+    }
+}
+
+function createQueueRepository(options = {}) {
+    return options.redis
+        ? new RedisQueueRepository(options.redis, options)
+        : new MemoryQueueRepository();
+}
+
+module.exports = {
+    MemoryQueueRepository,
+    RedisQueueRepository,
+    createQueueRepository
+};
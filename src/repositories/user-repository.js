@@ -0,0 +1,106 @@
+/**
+ * User account storage with in-memory and MongoDB backends
+ */
+
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+
+class MemoryUserRepository {
+    constructor() {
+        this.users = new Map();
+        this.usernames = new Map();
+    }
+
+    async create({ username, password_hash }) {
+        const key = username.toLowerCase();
+        if (this.usernames.has(key)) {
+            return null;
+        }
+
+        const user = {
+            id: crypto.randomUUID(),
+            username,
+            password_hash,
+            token_version: 0,
+            created_at: new Date()
+        };
+
+        this.users.set(user.id, user);
+        this.usernames.set(key, user.id);
+        return { ...user };
+    }
+
+    async findById(id) {
+        const user = this.users.get(id);
+        return user ? { ...user } : null;
+    }
+
+    async findByUsername(username) {
+        const id = this.usernames.get(String(username).toLowerCase());
+        return id ? this.findById(id) : null;
+    }
+
+    async update(id, fields) {
+        const user = this.users.get(id);
+        if (!user) return null;
+        Object.assign(user, fields);
+        return { ...user };
+    }
+}
+
+const userSchema = new mongoose.Schema({
+    _id: { type: String, default: () => crypto.randomUUID() },
+    username: { type: String, required: true },
+    username_lower: { type: String, required: true, unique: true },
+    password_hash: { type: String, required: true },
+    token_version: { type: Number, default: 0 },
+    created_at: { type: Date, default: Date.now }
+}, { versionKey: false });
+
+function toUser(doc) {
+    if (!doc) return null;
+    const { _id, username_lower, ...rest } = doc;
+    return { id: _id, ...rest };
+}
+
+class MongoUserRepository {
+    constructor(connection) {
+        this.User = connection.model('User', userSchema);
+    }
+
+    async create({ username, password_hash }) {
+        try {
+            const doc = await this.User.create({
+                username,
+                username_lower: username.toLowerCase(),
+                password_hash
+            });
+            return toUser(doc.toObject());
+        } catch (error) {
+            if (error.code === 11000) return null;
+            throw error;
+        }
+    }
+
+    async findById(id) {
+        return toUser(await this.User.findById(id).lean());
+    }
+
+    async findByUsername(username) {
+        return toUser(await this.User.findOne({ username_lower: String(username).toLowerCase() }).lean());
+    }
+
+    async update(id, fields) {
+        return toUser(await this.User.findByIdAndUpdate(id, fields, { new: true }).lean());
+    }
+}
+
+function createUserRepository(connection) {
+    return connection ? new MongoUserRepository(connection) : new MemoryUserRepository();
+}
+
+module.exports = {
+    MemoryUserRepository,
+    MongoUserRepository,
+    createUserRepository
+};
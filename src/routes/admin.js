@@ -0,0 +1,57 @@
+/**
+ * Operator endpoints: IPFS storage usage and pin sweeps
+ */
+
+const express = require('express');
+const { ApiError, sendError } = require('../utils/errors');
+const logger = require('../utils/logger').logger.child({ component: 'admin' });
+
+function createAdminRouter({ ipfsService, userRepository, requireAuth, requireAdmin }) {
+    const router = express.Router();
+
+    router.use(requireAuth, requireAdmin);
+
+    router.use('/storage', (req, res, next) => {
+        if (!ipfsService) {
+            return sendError(res, new ApiError('IPFS_UNAVAILABLE', 'IPFS service unavailable'));
+        }
+        next();
+    });
+
+    router.get('/storage', async (req, res) => {
+        try {
+            const report = await ipfsService.pins.report();
+            const owners = await Promise.all(report.owners.map(async (entry) => {
+                const user = entry.owner_id ? await userRepository.findById(entry.owner_id) : null;
+                return { ...entry, username: user?.username || null };
+            }));
+
+            let repo = null;
+            try {
+                repo = await ipfsService.repoStat();
+            } catch (error) {
+                logger.warn('IPFS repo stat failed', { err: error });
+            }
+
+            res.json({ repo, quotas: report.quotas, totals: report.totals, owners });
+        } catch (error) {
+            logger.error('Storage report error', { err: error });
+            sendError(res, error, 'Failed to build storage report');
+        }
+    });
+
+    router.post('/storage/sweep', async (req, res) => {
+        try {
+            res.json(await ipfsService.pins.sweep());
+        } catch (error) {
+            logger.error('Pin sweep error', { err: error });
+            sendError(res, error, 'Pin sweep failed');
+        }
+    });
+
+    return router;
+}
+
+module.exports = {
+    createAdminRouter
+};
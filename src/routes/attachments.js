@@ -0,0 +1,137 @@
+/**
+ * Encrypted attachment upload and download over IPFS
+ *
+ * Clients encrypt files before upload; the key travels inside the message
+ * envelope that references the attachment. Uploads are raw
+ * `application/octet-stream` bodies of any size, stored as chunks plus a
+ * manifest, pinned for and counted against the uploader's storage quota.
+ * Downloads stream the chunks back with HTTP Range support.
+ */
+
+const express = require('express');
+const { pipeline } = require('stream');
+const { validateRequest } = require('../middleware/validate');
+const { ApiError, sendError, toApiError } = require('../utils/errors');
+const logger = require('../utils/logger').logger.child({ component: 'attachments' });
+
+/**
+ * Parse a single-range `Range: bytes=...` header. Returns null when there is
+ * no usable header, or { unsatisfiable: true } for ranges outside the file.
+ */
+function parseRange(header, size) {
+    const match = /^bytes=(\d*)-(\d*)$/.exec(header || '');
+    if (!match || (match[1] === '' && match[2] === '')) return null;
+
+    let start;
+    let end;
+    if (match[1] === '') {
+        // Suffix range: the last N bytes
+        start = Math.max(size - Number(match[2]), 0);
+        end = size - 1;
+    } else {
+        start = Number(match[1]);
+        end = match[2] === '' ? size - 1 : Math.min(Number(match[2]), size - 1);
+    }
+
+    if (start > end || start >= size) return { unsatisfiable: true };
+    return { start, end };
+}
+
+function createAttachmentsRouter({ ipfsService, requireAuth, chunkSize, maxBytes }) {
+    const router = express.Router();
+
+    router.use(requireAuth);
+
+    router.use((req, res, next) => {
+        if (!ipfsService || !ipfsService.isConnected) {
+            return sendError(res, new ApiError('IPFS_UNAVAILABLE', 'IPFS service unavailable', {
+                fallback: 'Use primary transport'
+            }));
+        }
+        next();
+    });
+
+    router.post('/', async (req, res) => {
+        if (!req.is('application/octet-stream')) {
+            return sendError(res, new ApiError('UNSUPPORTED_MEDIA_TYPE',
+                'Upload the encrypted file as application/octet-stream'));
+        }
+
+        const declaredSize = Number(req.headers['content-length']);
+        if (declaredSize > maxBytes) {
+            return sendError(res, new ApiError('PAYLOAD_TOO_LARGE', `Attachment exceeds ${maxBytes} bytes`));
+        }
+
+        try {
+            const { cid, manifest } = await ipfsService.addChunked(req, {
+                chunkSize,
+                maxBytes,
+                owner: req.user.id
+            });
+            logger.info('Attachment stored', { cid, size: manifest.size, chunks: manifest.chunks.length });
+
+            res.status(201).json({
+                cid,
+                size: manifest.size,
+                sha256: manifest.sha256,
+                chunks: manifest.chunks.length,
+                gateways: ipfsService.getGatewayUrlsForCid(cid)
+            });
+        } catch (error) {
+            const apiError = toApiError(error, 'Attachment upload failed');
+            if (apiError.code === 'INTERNAL_ERROR') {
+                logger.error('Attachment upload error', { err: error });
+            } else {
+                // Discard the rest of the body and close once the reply is out
+                req.resume();
+                res.set('Connection', 'close');
+            }
+            sendError(res, apiError);
+        }
+    });
+
+    router.get('/:cid', validateRequest('GET /api/attachments/:cid'), async (req, res) => {
+        const { cid } = req.params;
+
+        let manifest;
+        try {
+            manifest = await ipfsService.getManifest(cid);
+        } catch (error) {
+            logger.warn('Attachment manifest unavailable', { cid, err: error });
+            return sendError(res, new ApiError('NOT_FOUND', 'Attachment not found'));
+        }
+
+        const range = parseRange(req.headers.range, manifest.size);
+        if (range && range.unsatisfiable) {
+            res.set('Content-Range', `bytes */${manifest.size}`);
+            return sendError(res, new ApiError('RANGE_NOT_SATISFIABLE', 'Range not satisfiable'));
+        }
+
+        const start = range ? range.start : 0;
+        const end = range ? range.end : manifest.size - 1;
+
+        res.status(range ? 206 : 200);
+        res.set({
+            'Content-Type': 'application/octet-stream',
+            'Content-Length': String(manifest.size === 0 ? 0 : end - start + 1),
+            'Accept-Ranges': 'bytes',
+            'ETag': `"${cid}"`,
+            // Keeps compression from rewriting ranged responses
+            'Cache-Control': 'private, no-transform'
+        });
+        if (range) res.set('Content-Range', `bytes ${start}-${end}/${manifest.size}`);
+
+        if (manifest.size === 0) return res.end();
+
+        pipeline(ipfsService.createAttachmentStream(manifest, start, end), res, (error) => {
+            if (error) logger.warn('Attachment download aborted', { cid, err: error });
+        });
+    });
+
+    return router;
+}
+
+module.exports = {
+    createAttachmentsRouter,
+    parseRange
+};
@@ -0,0 +1,49 @@
+/**
+ * Account routes: register, login, token refresh and current user
+ */
+
+const express = require('express');
+const { validateRequest } = require('../middleware/validate');
+const { sendError, toApiError } = require('../utils/errors');
+const logger = require('../utils/logger').logger.child({ component: 'auth' });
+
+function createAuthRouter({ authService, requireAuth }) {
+    const router = express.Router();
+
+    const handle = (fn) => async (req, res) => {
+        try {
+            await fn(req, res);
+        } catch (error) {
+            const apiError = toApiError(error, 'Authentication failed');
+            if (apiError.code === 'INTERNAL_ERROR') logger.error('Auth error', { err: error });
+            sendError(res, apiError);
+        }
+    };
+
+    router.post('/register', validateRequest('POST /api/auth/register'), handle(async (req, res) => {
+        const { username, password } = req.body;
+        res.status(201).json(await authService.register(username, password));
+    }));
+
+    router.post('/login', validateRequest('POST /api/auth/login'), handle(async (req, res) => {
+        const { username, password } = req.body;
+        res.json(await authService.login(username, password));
+    }));
+
+    router.post('/refresh', validateRequest('POST /api/auth/refresh'), handle(async (req, res) => {
+        res.json(await authService.refresh(req.body.refresh_token));
+    }));
+
+    router.post('/logout', requireAuth, handle(async (req, res) => {
+        await authService.revokeTokens(req.user.id);
+        res.json({ success: true });
+    }));
+
+    router.get('/me', requireAuth, (req, res) => {
+        res.json({ user: req.user });
+    });
+
+    return router;
+}
+
+module.exports = { createAuthRouter };
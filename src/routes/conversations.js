@@ -0,0 +1,95 @@
+/**
+ * Conversation chains on IPFS (current head and verified export) and
+ * per-conversation message TTLs
+ */
+
+const express = require('express');
+const { validateRequest } = require('../middleware/validate');
+const { ApiError, sendError, toApiError } = require('../utils/errors');
+const logger = require('../utils/logger').logger.child({ component: 'conversations' });
+
+function createConversationsRouter({ conversationLog, retentionService, canAccessConversation, requireAuth }) {
+    const router = express.Router();
+
+    router.use(requireAuth);
+
+    function requireLog(req, res, next) {
+        if (!conversationLog) {
+            return sendError(res, new ApiError('IPFS_UNAVAILABLE', 'IPFS service unavailable'));
+        }
+        next();
+    }
+
+    // Used after the params are validated, so malformed ids get a 400 rather than a 403
+    async function requireParticipant(req, res, next) {
+        try {
+            if (!await canAccessConversation(req.user.id, req.params.conversationId)) {
+                return sendError(res, new ApiError('FORBIDDEN', 'Not a participant in this conversation'));
+            }
+            next();
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    router.get('/:conversationId/head',
+        validateRequest('GET /api/conversations/:conversationId/head'),
+        requireLog,
+        requireParticipant,
+        async (req, res) => {
+            try {
+                const head = await conversationLog.getHead(req.params.conversationId);
+                res.json(head || { conversation_id: req.params.conversationId, head_cid: null, seq: 0 });
+            } catch (error) {
+                logger.error('Chain head error', { err: error });
+                sendError(res, error, 'Failed to get conversation head');
+            }
+        });
+
+    // Export the chain oldest first; continue a partial export with ?from=<next>,
+    // which must be an entry of this conversation
+    router.get('/:conversationId/chain',
+        validateRequest('GET /api/conversations/:conversationId/chain'),
+        requireLog,
+        requireParticipant,
+        async (req, res) => {
+            try {
+                const { from, limit } = req.query;
+                res.json(await conversationLog.export(req.params.conversationId, { from, limit }));
+            } catch (error) {
+                const apiError = toApiError(error, 'Failed to export conversation chain');
+                if (apiError.code === 'INTERNAL_ERROR') logger.error('Chain export error', { err: error });
+                sendError(res, apiError);
+            }
+        });
+
+    router.get('/:conversationId/ttl',
+        validateRequest('GET /api/conversations/:conversationId/ttl'),
+        requireParticipant,
+        async (req, res) => {
+            try {
+                res.json(await retentionService.getTtl(req.params.conversationId));
+            } catch (error) {
+                logger.error('Message TTL lookup error', { err: error });
+                sendError(res, error, 'Failed to get message TTL');
+            }
+        });
+
+    // Any participant may change it; it applies to messages sent from now on
+    router.put('/:conversationId/ttl',
+        validateRequest('PUT /api/conversations/:conversationId/ttl'),
+        requireParticipant,
+        async (req, res) => {
+            try {
+                const ttlMs = req.body.message_ttl_seconds * 1000;
+                res.json(await retentionService.setTtl(req.params.conversationId, ttlMs, req.user.id));
+            } catch (error) {
+                logger.error('Message TTL update error', { err: error });
+                sendError(res, error, 'Failed to set message TTL');
+            }
+        });
+
+    return router;
+}
+
+module.exports = { createConversationsRouter };
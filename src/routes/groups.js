@@ -0,0 +1,74 @@
+/**
+ * Group conversations: create, rename and manage members
+ */
+
+const express = require('express');
+const { validateRequest } = require('../middleware/validate');
+const { sendError, toApiError } = require('../utils/errors');
+const logger = require('../utils/logger').logger.child({ component: 'groups' });
+
+function createGroupsRouter({ groupService, requireAuth }) {
+    const router = express.Router();
+
+    router.use(requireAuth);
+
+    /**
+     * Run a group operation, answering GroupError with its status code.
+     */
+    function handle(label, operation) {
+        return async (req, res) => {
+            try {
+                await operation(req, res);
+            } catch (error) {
+                const apiError = toApiError(error, `Failed to ${label.toLowerCase()}`);
+                if (apiError.code === 'INTERNAL_ERROR') logger.error(`${label} error`, { err: error });
+                sendError(res, apiError);
+            }
+        };
+    }
+
+    router.get('/', handle('List groups', async (req, res) => {
+        res.json({ groups: await groupService.listForUser(req.user.id) });
+    }));
+
+    // Create a group: { name, member_ids: [...] }. The caller becomes owner.
+    router.post('/', validateRequest('POST /api/groups'), handle('Create group', async (req, res) => {
+        const { group } = await groupService.create(req.user.id, req.body);
+        res.status(201).json(group);
+    }));
+
+    router.get('/:groupId', validateRequest('GET /api/groups/:groupId'), handle('Get group', async (req, res) => {
+        res.json(await groupService.get(req.user.id, req.params.groupId));
+    }));
+
+    // Rename: { name }
+    router.patch('/:groupId', validateRequest('PATCH /api/groups/:groupId'), handle('Rename group', async (req, res) => {
+        const { group } = await groupService.rename(req.user.id, req.params.groupId, req.body.name);
+        res.json(group);
+    }));
+
+    // Add members: { member_ids: [...] }
+    router.post('/:groupId/members', validateRequest('POST /api/groups/:groupId/members'),
+        handle('Add members', async (req, res) => {
+            const { group } = await groupService.addMembers(req.user.id, req.params.groupId, req.body.member_ids);
+            res.json(group);
+        }));
+
+    // Remove a member, or leave when the id is the caller's own
+    router.delete('/:groupId/members/:userId', validateRequest('DELETE /api/groups/:groupId/members/:userId'),
+        handle('Remove member', async (req, res) => {
+            const { group } = await groupService.removeMember(req.user.id, req.params.groupId, req.params.userId);
+            res.json(group);
+        }));
+
+    // Change a member's role: { role: 'owner' | 'admin' | 'member' }
+    router.put('/:groupId/members/:userId/role', validateRequest('PUT /api/groups/:groupId/members/:userId/role'),
+        handle('Change role', async (req, res) => {
+            const { group } = await groupService.setRole(req.user.id, req.params.groupId, req.params.userId, req.body.role);
+            res.json(group);
+        }));
+
+    return router;
+}
+
+module.exports = { createGroupsRouter };
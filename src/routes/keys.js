@@ -0,0 +1,58 @@
+/**
+ * Public key directory: users publish and fetch identity keys
+ */
+
+const express = require('express');
+const { verifyKeyBundle, computeKeyId } = require('../shared/e2e-envelope');
+const { validateRequest } = require('../middleware/validate');
+const { ApiError, sendError } = require('../utils/errors');
+const logger = require('../utils/logger').logger.child({ component: 'keys' });
+
+function createKeysRouter({ keyRepository, systemSigner, requireAuth }) {
+    const router = express.Router();
+
+    router.use(requireAuth);
+
+    // Publish (or rotate) the caller's identity keys
+    router.put('/', validateRequest('PUT /api/keys'), async (req, res) => {
+        try {
+            const { encryption_key, signing_key, key_signature } = req.body;
+            const bundle = { encryption_key, signing_key, key_signature };
+
+            if (!await verifyKeyBundle(bundle)) {
+                return sendError(res, new ApiError('VALIDATION_FAILED',
+                    'encryption_key and signing_key must be raw 32 byte keys and key_signature must sign encryption_key'));
+            }
+
+            bundle.key_id = await computeKeyId(encryption_key, signing_key);
+            const record = await keyRepository.put(req.user.id, bundle);
+            logger.info('Identity keys published', { user_id: req.user.id, key_id: bundle.key_id });
+            res.json(record);
+        } catch (error) {
+            logger.error('Key publish error', { err: error });
+            sendError(res, error, 'Failed to publish keys');
+        }
+    });
+
+    // Server key that signs system messages such as group membership changes
+    router.get('/system', (req, res) => {
+        res.json({ signing_key: systemSigner.publicKey });
+    });
+
+    router.get('/:userId', validateRequest('GET /api/keys/:userId'), async (req, res) => {
+        try {
+            const record = await keyRepository.get(req.params.userId);
+            if (!record) {
+                return sendError(res, new ApiError('NOT_FOUND', 'No keys published for this user'));
+            }
+            res.json(record);
+        } catch (error) {
+            logger.error('Key lookup error', { err: error });
+            sendError(res, error, 'Failed to fetch keys');
+        }
+    });
+
+    return router;
+}
+
+module.exports = { createKeysRouter };
@@ -0,0 +1,68 @@
+/**
+ * The caller's IPNS mailbox: its name, forced publish and resolution
+ */
+
+const express = require('express');
+const { ApiError, sendError, toApiError } = require('../utils/errors');
+const logger = require('../utils/logger').logger.child({ component: 'mailbox' });
+
+// IPNS failures are the node's, not ours, unless the node is down altogether
+function upstreamError(error, message) {
+    return error.code === 'IPFS_UNAVAILABLE' ? toApiError(error) : new ApiError('UPSTREAM_FAILED', message);
+}
+
+function createMailboxRouter({ mailboxService, ipfsService, requireAuth }) {
+    const router = express.Router();
+
+    router.use(requireAuth);
+
+    router.use((req, res, next) => {
+        if (!mailboxService || !ipfsService.isConnected) {
+            return sendError(res, new ApiError('IPFS_UNAVAILABLE', 'IPFS service unavailable'));
+        }
+        next();
+    });
+
+    // Clients keep the name so they can read their inbox from a gateway later
+    router.get('/', async (req, res) => {
+        try {
+            const name = await mailboxService.getName(req.user.id);
+            res.json({
+                name,
+                path: `/ipns/${name}`,
+                gateways: ipfsService.config.gateways.map(gateway => `${gateway.replace(/\/+$/, '')}/ipns/${name}`)
+            });
+        } catch (error) {
+            logger.error('Mailbox name error', { err: error });
+            sendError(res, upstreamError(error, 'Failed to get mailbox name'));
+        }
+    });
+
+    router.post('/publish', async (req, res) => {
+        try {
+            const { name, cid, entries, changed } = await mailboxService.publish(req.user.id);
+            res.json({ name, cid, pending: entries.length, changed });
+        } catch (error) {
+            logger.error('Mailbox publish error', { err: error });
+            sendError(res, upstreamError(error, 'Failed to publish mailbox'));
+        }
+    });
+
+    router.get('/resolve', async (req, res) => {
+        try {
+            res.json(await mailboxService.resolve(req.user.id));
+        } catch (error) {
+            if (error.code === 'INVALID_MAILBOX') {
+                return sendError(res, new ApiError('INVALID_MAILBOX', error.message, { details: error.details }));
+            }
+            logger.warn('Mailbox resolve failed', { err: error });
+            sendError(res, upstreamError(error, 'Failed to resolve mailbox'));
+        }
+    });
+
+    return router;
+}
+
+module.exports = {
+    createMailboxRouter
+};
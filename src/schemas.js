@@ -0,0 +1,291 @@
+/**
+ * Request schemas for the REST API and Socket.IO events
+ *
+ * HTTP schemas are keyed by "METHOD /path" and split into params, query
+ * and body; socket schemas by event name and describe the event payload.
+ * Routes and events check their input against these before doing
+ * anything else (see src/middleware/validate.js), so a malformed request
+ * gets VALIDATION_FAILED with the list of problems. Routes missing here
+ * take no input.
+ *
+ * The schemas check shape: types, formats and bounds. Rules that need
+ * state or configuration (group roles, password length, envelope
+ * signatures) stay in the services.
+ */
+
+const { MAX_ATTACHMENTS } = require('./utils/attachments');
+
+const uuid = { type: 'string', format: 'uuid' };
+const cid = { type: 'string', format: 'cid' };
+const userIds = { type: 'array', items: uuid, minItems: 1, maxItems: 256 };
+const conversationId = { type: 'string', pattern: '^(dm:[^:]+:[^:]+|group:[^:]+)$' };
+const cursor = { type: 'string', pattern: '^[A-Za-z0-9_-]{1,200}$' };
+const groupName = { type: 'string', minLength: 1, maxLength: 100 };
+const groupRole = { type: 'string', enum: ['owner', 'admin', 'member'] };
+const transport = { type: 'string', enum: ['primary', 'ipfs', 'dual'] };
+const messageIds = { type: 'array', items: uuid, maxItems: 500 };
+const clientMsgId = { type: 'string', pattern: '^[\\w.:-]{1,64}$' };
+
+const credentials = {
+    type: 'object',
+    required: ['username', 'password'],
+    properties: {
+        username: { type: 'string', minLength: 1, maxLength: 64 },
+        password: { type: 'string', minLength: 1, maxLength: 1024 }
+    }
+};
+
+// Direct messages carry recipient_id and one envelope, group messages
+// group_id and a map of member id → envelope; the message service checks
+// which one applies and verifies the envelopes
+const message = {
+    type: 'object',
+    required: ['encrypted_content'],
+    properties: {
+        id: uuid,
+        client_msg_id: clientMsgId,
+        recipient_id: uuid,
+        group_id: uuid,
+        encrypted_content: { type: 'object' },
+        attachments: {
+            type: 'array',
+            maxItems: MAX_ATTACHMENTS,
+            items: {
+                type: 'object',
+                required: ['cid', 'size'],
+                properties: { cid, size: { type: 'integer', minimum: 0 } }
+            }
+        }
+    }
+};
+
+// Edits and deletes of a message; the original decides where they go
+const messageChange = {
+    type: 'object',
+    required: ['encrypted_content'],
+    properties: {
+        id: uuid,
+        client_msg_id: clientMsgId,
+        encrypted_content: { type: 'object' }
+    }
+};
+const messageTtl = { type: 'integer', minimum: 0, maximum: 365 * 24 * 60 * 60 };
+
+const emoji = { type: 'string', minLength: 1, maxLength: 32, pattern: '^\\S+$' };
+const reaction = {
+    type: 'object',
+    required: ['message_id', 'emoji'],
+    properties: { message_id: uuid, emoji }
+};
+const messagePage = {
+    type: 'object',
+    properties: {
+        before: cursor,
+        after: cursor,
+        limit: { type: 'integer', minimum: 1, maximum: 100 }
+    }
+};
+
+const HTTP = {
+    'POST /api/auth/register': { body: credentials },
+    'POST /api/auth/login': { body: credentials },
+    'POST /api/auth/refresh': {
+        body: {
+            type: 'object',
+            required: ['refresh_token'],
+            properties: { refresh_token: { type: 'string', minLength: 1 } }
+        }
+    },
+
+    'PUT /api/keys': {
+        body: {
+            type: 'object',
+            required: ['encryption_key', 'signing_key', 'key_signature'],
+            properties: {
+                encryption_key: { type: 'string', format: 'base64' },
+                signing_key: { type: 'string', format: 'base64' },
+                key_signature: { type: 'string', format: 'base64' }
+            }
+        }
+    },
+    'GET /api/keys/:userId': { params: { type: 'object', properties: { userId: uuid } } },
+
+    'POST /api/groups': {
+        body: {
+            type: 'object',
+            required: ['name'],
+            properties: { name: groupName, member_ids: { ...userIds, minItems: 0 } }
+        }
+    },
+    'GET /api/groups/:groupId': { params: { type: 'object', properties: { groupId: uuid } } },
+    'PATCH /api/groups/:groupId': {
+        params: { type: 'object', properties: { groupId: uuid } },
+        body: { type: 'object', required: ['name'], properties: { name: groupName } }
+    },
+    'POST /api/groups/:groupId/members': {
+        params: { type: 'object', properties: { groupId: uuid } },
+        body: { type: 'object', required: ['member_ids'], properties: { member_ids: userIds } }
+    },
+    'DELETE /api/groups/:groupId/members/:userId': {
+        params: { type: 'object', properties: { groupId: uuid, userId: uuid } }
+    },
+    'PUT /api/groups/:groupId/members/:userId/role': {
+        params: { type: 'object', properties: { groupId: uuid, userId: uuid } },
+        body: { type: 'object', required: ['role'], properties: { role: groupRole } }
+    },
+
+    'GET /api/conversations/:conversationId/head': {
+        params: { type: 'object', properties: { conversationId } }
+    },
+    'GET /api/conversations/:conversationId/ttl': {
+        params: { type: 'object', properties: { conversationId } }
+    },
+    'PUT /api/conversations/:conversationId/ttl': {
+        params: { type: 'object', properties: { conversationId } },
+        body: {
+            type: 'object',
+            required: ['message_ttl_seconds'],
+            properties: { message_ttl_seconds: messageTtl }
+        }
+    },
+    'GET /api/conversations/:conversationId/chain': {
+        params: { type: 'object', properties: { conversationId } },
+        query: {
+            type: 'object',
+            properties: { from: cid, limit: { type: 'integer', minimum: 1 } }
+        }
+    },
+
+    'GET /api/attachments/:cid': { params: { type: 'object', properties: { cid } } },
+
+    'POST /api/ipfs/add': {
+        body: {
+            type: 'object',
+            required: ['payload_b64'],
+            properties: {
+                payload_b64: { type: 'string', format: 'base64', minLength: 1 },
+                pin: { type: 'boolean' },
+                filename: { type: 'string', maxLength: 255 },
+                ttl_seconds: { type: 'integer', minimum: 1 },
+                conversation_id: conversationId
+            }
+        }
+    },
+    'GET /api/ipfs/messages/:cid': { params: { type: 'object', properties: { cid } } },
+
+    'POST /api/messages': {
+        body: { ...message, properties: { ...message.properties, transport_mode: transport } }
+    },
+    'PATCH /api/messages/:id': {
+        params: { type: 'object', properties: { id: uuid } },
+        body: {
+            ...messageChange,
+            properties: {
+                ...messageChange.properties,
+                attachments: message.properties.attachments,
+                transport_mode: transport
+            }
+        }
+    },
+    'DELETE /api/messages/:id': {
+        params: { type: 'object', properties: { id: uuid } },
+        body: { ...messageChange, properties: { ...messageChange.properties, transport_mode: transport } }
+    },
+    'GET /api/messages/:id/status': { params: { type: 'object', properties: { id: uuid } } },
+    'POST /api/messages/:id/replies': {
+        params: { type: 'object', properties: { id: uuid } },
+        body: { ...message, properties: { ...message.properties, transport_mode: transport } }
+    },
+    'GET /api/messages/:id/replies': {
+        params: { type: 'object', properties: { id: uuid } },
+        query: messagePage
+    },
+    'PUT /api/messages/:id/reactions/:emoji': {
+        params: { type: 'object', properties: { id: uuid, emoji } }
+    },
+    'DELETE /api/messages/:id/reactions/:emoji': {
+        params: { type: 'object', properties: { id: uuid, emoji } }
+    },
+    'GET /api/messages': {
+        query: {
+            ...messagePage,
+            properties: { conversation_id: conversationId, with: uuid, ...messagePage.properties }
+        }
+    }
+};
+
+const SOCKET = {
+    send_encrypted_message: {
+        ...message,
+        properties: { ...message.properties, transport_preference: transport }
+    },
+    edit_message: {
+        ...messageChange,
+        required: ['message_id', 'encrypted_content'],
+        properties: {
+            ...messageChange.properties,
+            message_id: uuid,
+            attachments: message.properties.attachments,
+            transport_preference: transport
+        }
+    },
+    delete_message: {
+        ...messageChange,
+        required: ['message_id', 'encrypted_content'],
+        properties: { ...messageChange.properties, message_id: uuid, transport_preference: transport }
+    },
+    // Replies take their addressing from the parent, like edits and deletes
+    send_reply: {
+        ...message,
+        required: ['parent_id', 'encrypted_content'],
+        properties: { ...message.properties, parent_id: uuid, transport_preference: transport }
+    },
+    add_reaction: reaction,
+    remove_reaction: reaction,
+    typing: {
+        type: 'object',
+        required: ['conversation_id', 'typing'],
+        properties: { conversation_id: conversationId, typing: { type: 'boolean' } }
+    },
+    create_group: HTTP['POST /api/groups'].body,
+    rename_group: {
+        type: 'object',
+        required: ['group_id', 'name'],
+        properties: { group_id: uuid, name: groupName }
+    },
+    add_group_members: {
+        type: 'object',
+        required: ['group_id', 'member_ids'],
+        properties: { group_id: uuid, member_ids: userIds }
+    },
+    remove_group_member: {
+        type: 'object',
+        required: ['group_id', 'user_id'],
+        properties: { group_id: uuid, user_id: uuid }
+    },
+    set_group_role: {
+        type: 'object',
+        required: ['group_id', 'user_id', 'role'],
+        properties: { group_id: uuid, user_id: uuid, role: groupRole }
+    },
+    mark_delivered: {
+        type: 'object',
+        required: ['message_ids'],
+        properties: { message_ids: messageIds }
+    },
+    mark_read: {
+        type: 'object',
+        required: ['message_ids'],
+        properties: { message_ids: messageIds }
+    },
+    get_presence: {
+        type: 'object',
+        required: ['user_ids'],
+        properties: { user_ids: { type: 'array', items: uuid, maxItems: 100 } }
+    }
+};
+
+module.exports = {
+    HTTP,
+    SOCKET
+};
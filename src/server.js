@@ -1,6 +1,6 @@
 /**
  * Enhanced Secure Chat Server with IPFS Fallback Transport
- * Configured for 192.168.4.39
+ * Configured through environment variables (see config.js)
  */
 
 const express = require('express');
@@ -9,34 +9,128 @@ const socketIo = require('socket.io');
 const cors = require('cors');
 const helmet = require('helmet');
 const compression = require('compression');
-const morgan = require('morgan');
 const rateLimit = require('express-rate-limit');
+const crypto = require('crypto');
+const path = require('path');
+const { createAdapter } = require('@socket.io/redis-adapter');
 require('dotenv').config();
 
+const { loadConfig } = require('./config');
+const { logger, configureLogger } = require('./utils/logger');
+const { connectDatabase, pingDatabase, closeDatabase } = require('./services/database');
+const { connectRedis, duplicateRedis, supportsPubSub, closeRedis } = require('./services/redis');
+const { RedisRateLimitStore } = require('./middleware/redis-rate-limit-store');
+const { createUserRepository } = require('./repositories/user-repository');
+const { createMessageRepository } = require('./repositories/message-repository');
+const { createKeyRepository } = require('./repositories/key-repository');
+const { createGroupRepository } = require('./repositories/group-repository');
+const { createChainHeadRepository } = require('./repositories/chain-head-repository');
+const { createConversationSettingsRepository } = require('./repositories/conversation-settings-repository');
+const { createPinRepository } = require('./repositories/pin-repository');
+const { createEnvelopeVerifier } = require('./services/envelope-verifier');
+const { createPresenceService } = require('./services/presence-service');
+const { createDeliveryService } = require('./services/delivery-service');
+const { createMessageService } = require('./services/message-service');
+const { createGroupService } = require('./services/group-service');
+const { createSystemSigner } = require('./services/system-signer');
+const { createIPFSRelay } = require('./services/ipfs-relay');
+const { createConversationLog, logTopic } = require('./services/conversation-log');
+const { createMailboxService } = require('./services/mailbox-service');
+const { createTransportManager } = require('./services/transport-manager');
+const { createHealthService } = require('./services/health-service');
+const { createRetentionService } = require('./services/retention-service');
+const { createReactionService } = require('./services/reaction-service');
+const { createMetrics } = require('./services/metrics');
+const { createRateLimiter } = require('./services/rate-limiter');
+const { createPresenceRepository } = require('./repositories/presence-repository');
+const { createQueueRepository } = require('./repositories/queue-repository');
+const { directConversationId, parseDirectConversationId, parseGroupConversationId } = require('./utils/conversation');
+const { messageEvent, messageRecipients, messageForUser } = require('./utils/messages');
+const { userRoom, presenceRoom } = require('./utils/rooms');
+const { createRecentIds } = require('./utils/recent-ids');
+const { createAuthService } = require('./services/auth-service');
+const { createAuthMiddleware, createSocketAuthMiddleware, createAdminMiddleware } = require('./middleware/auth');
+const { createHttpMetricsMiddleware, createMetricsAuthMiddleware } = require('./middleware/metrics');
+const { createRequestContextMiddleware, createSocketContextMiddleware } = require('./middleware/request-context');
+const { validateRequest } = require('./middleware/validate');
+const { createSocketEvents } = require('./middleware/socket-events');
+const { PROTOCOL_VERSIONS, createProtocolMiddleware } = require('./middleware/protocol');
+const {
+    createConnectionLimitMiddleware,
+    createSocketRateLimitMiddleware,
+    createHttpRateLimitMiddleware
+} = require('./middleware/rate-limit');
+const { ApiError, toApiError, sendError } = require('./utils/errors');
+const { createAuthRouter } = require('./routes/auth');
+const { createKeysRouter } = require('./routes/keys');
+const { createGroupsRouter } = require('./routes/groups');
+const { createConversationsRouter } = require('./routes/conversations');
+const { createAttachmentsRouter } = require('./routes/attachments');
+const { createAdminRouter } = require('./routes/admin');
+const { createMailboxRouter } = require('./routes/mailbox');
+
+let config;
+try {
+    config = loadConfig();
+} catch (error) {
+    logger.error('Invalid configuration', { errors: error.errors || [error.message] });
+    process.exit(1);
+}
+configureLogger(config.log);
+if (!config.publicBaseUrl) {
+    logger.warn('PUBLIC_BASE_URL not set', { advertised: config.public.api });
+}
+
 const app = express();
 const server = http.createServer(app);
 const io = socketIo(server, {
     cors: {
-        origin: process.env.CORS_ORIGINS?.split(',') || [
-            "http://192.168.4.39:3000",
-            "https://192.168.4.39:3000", 
-            "http://localhost:3000"
-        ],
+        origin: config.corsOrigins,
         methods: ["GET", "POST"],
         credentials: true
     }
 });
 
-const port = process.env.PORT || 3000;
-const host = '0.0.0.0'; // Bind to all interfaces
+const { port, host } = config;
+
+// Prometheus metrics; gauges are read when /metrics is scraped
+const metrics = createMetrics({
+    socketCount: () => io.of('/').sockets.size,
+    queueDepth: () => deliveryService.queueDepth(),
+    ipfsConnected: () => (ipfsService ? Number(ipfsService.isConnected) : null)
+});
+
+// Shared state so several chat-server instances can run side by side
+const instanceId = crypto.randomUUID();
+const redisClient = connectRedis(config.redisUrl);
+
+if (supportsPubSub(redisClient)) {
+    // Room emits reach sockets connected to any instance. The adapter gets
+    // its own queueing clients: the shared one fails fast while Redis is
+    // down, and the adapter does not catch rejected publishes
+    io.adapter(createAdapter(duplicateRedis(redisClient), duplicateRedis(redisClient)));
+    logger.info('Socket.IO Redis adapter enabled');
+}
+
+// Per-user limits on socket events, connections and the routes that send
+const rateLimiter = createRateLimiter({ ...config.limits, redis: redisClient });
+rateLimiter.on('violation', ({ event, reason }) => metrics.rateLimited.inc({ event, reason }));
+// After the BANNED reply to the event that caused it has gone out
+rateLimiter.on('banned', (userId) => {
+    setImmediate(() => io.in(userRoom(userId)).disconnectSockets(true));
+});
 
-// Security middleware
+// Security middleware; per IP, in front of everything
 const limiter = rateLimit({
-    windowMs: 15 * 60 * 1000,
-    max: 100,
-    message: 'Too many requests from this IP, please try again later.',
+    windowMs: config.limits.http.intervalMs,
+    max: config.limits.http.count,
+    message: new ApiError('RATE_LIMITED', 'Too many requests from this IP, please try again later.').toJSON(),
+    // Scrapers and health checks poll on a schedule
+    skip: req => req.path === '/metrics' || req.path.startsWith('/health/'),
+    store: redisClient ? new RedisRateLimitStore(redisClient) : undefined
 });
 
+app.use(createHttpMetricsMiddleware(metrics.httpRequestDuration));
 app.use(helmet({
     crossOriginEmbedderPolicy: false,
     contentSecurityPolicy: {
@@ -45,127 +139,540 @@ app.use(helmet({
             scriptSrc: ["'self'", "'unsafe-inline'"],
             styleSrc: ["'self'", "'unsafe-inline'"],
             imgSrc: ["'self'", "data:", "https:"],
-            connectSrc: ["'self'", "ws:", "wss:", "http://192.168.4.39:*", "ws://192.168.4.39:*"],
+            connectSrc: ["'self'", "ws:", "wss:", config.public.api, config.public.ws, config.public.gateway],
         },
     },
 }));
 
 app.use(limiter);
 app.use(cors({
-    origin: process.env.CORS_ORIGINS?.split(',') || [
-        "http://192.168.4.39:3000",
-        "https://192.168.4.39:3000",
-        "http://localhost:3000"
-    ],
+    origin: config.corsOrigins,
     credentials: true
 }));
 
 app.use(compression());
-app.use(morgan('combined'));
 app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
+// After the body parsers, whose stream callbacks would drop the logging context
+app.use(createRequestContextMiddleware(logger.child({ component: 'http' })));
+
+// Storage and authentication
+const dbConnection = connectDatabase(config.mongodbUri);
+
+// Production refuses to start without one (see config.js)
+let jwtSecret = config.jwtSecret;
+if (!jwtSecret || jwtSecret === 'CHANGE_ME') {
+    jwtSecret = crypto.randomBytes(32).toString('hex');
+    logger.warn('JWT_SECRET not set, using an ephemeral secret (tokens reset on restart)');
+}
+
+if (!config.systemSigningKey) {
+    logger.warn('SYSTEM_SIGNING_KEY not set, using an ephemeral key (system message signatures reset on restart)');
+}
+const systemSigner = createSystemSigner(config.systemSigningKey);
+
+const userRepository = createUserRepository(dbConnection);
+const authService = createAuthService({ jwtSecret, userRepository });
+const requireAuth = createAuthMiddleware(authService);
+const requireAdmin = createAdminMiddleware(config.adminUsernames);
+
+const messageRepository = createMessageRepository({
+    connection: dbConnection,
+    filePath: config.messageStoreFile
+});
+
+// Message ids seen recently on any transport, for cross-transport de-duplication
+const recentIds = createRecentIds({ redis: redisClient });
+// Senders' client_msg_id idempotency keys → the message each was first used for
+const clientMsgIds = createRecentIds({
+    redis: redisClient,
+    prefix: 'chat:client-msg',
+    ttlMs: config.messages.dedupeWindowMs,
+    maxSize: 100000
+});
+// Signatures of accepted envelopes, so an envelope is never stored twice
+const signatures = createRecentIds({
+    redis: redisClient,
+    prefix: 'chat:signature',
+    ttlMs: config.messages.dedupeWindowMs,
+    maxSize: 100000
+});
+
+const deliveryService = createDeliveryService({
+    messageRepository,
+    queueRepository: createQueueRepository({ redis: redisClient })
+});
+
+deliveryService.on('delivered', (message, recipientId) => {
+    io.to(userRoom(message.sender_id)).emit('message_delivered', {
+        message_id: message.id,
+        recipient_id: recipientId,
+        delivered_at: deliveryService.receiptFor(message, recipientId).delivered_at
+    });
+});
+
+deliveryService.on('read', (message, recipientId) => {
+    io.to(userRoom(message.sender_id)).emit('message_read', {
+        message_id: message.id,
+        recipient_id: recipientId,
+        read_at: deliveryService.receiptFor(message, recipientId).read_at
+    });
+});
+
+const keyRepository = createKeyRepository(dbConnection);
+const groupRepository = createGroupRepository(dbConnection);
+// Message TTLs of disappearing conversations
+const conversationSettings = createConversationSettingsRepository(dbConnection);
+
+const messageService = createMessageService({
+    messageRepository,
+    deliveryService,
+    groupRepository,
+    verifyEnvelope: createEnvelopeVerifier(keyRepository),
+    recentIds,
+    clientMsgIds,
+    signatures,
+    signatureWindowMs: config.messages.dedupeWindowMs,
+    conversationSettings
+});
+
+/**
+ * Send a message to the sockets of its recipients and the sender's other
+ * devices, as new_encrypted_message, new_reply, message_edited or
+ * message_deleted.
+ * Group members each get only their own envelope. Pass a socket as
+ * `emitter` to skip that socket.
+ */
+function emitMessage(message, emitter = io) {
+    for (const userId of new Set([...messageRecipients(message), message.sender_id])) {
+        emitter.to(userRoom(userId)).emit(messageEvent(message), messageForUser(message, userId));
+    }
+}
+
+/**
+ * The message a reply, edit or delete points at, for acknowledgements.
+ */
+function messageLinks(message) {
+    if (message.parent_id) return { type: message.type, parent_id: message.parent_id };
+    if (message.target_id) return { type: message.type, target_id: message.target_id };
+    return {};
+}
+
+const presenceService = createPresenceService({
+    presenceRepository: createPresenceRepository({ redis: redisClient, instanceId })
+});
+
+presenceService.on('changed', (presence) => {
+    io.to(presenceRoom(presence.user_id)).emit('presence_changed', presence);
+});
+
+const groupService = createGroupService({
+    groupRepository,
+    messageRepository,
+    userRepository,
+    systemSigner
+});
+
+app.use('/api/auth', createAuthRouter({ authService, requireAuth }));
+app.use('/api/keys', createKeysRouter({ keyRepository, systemSigner, requireAuth }));
+app.use('/api/groups', createGroupsRouter({ groupService, requireAuth }));
+
+// Reference E2E client module, shared with the server
+app.use('/client', express.static(path.join(__dirname, 'shared')));
+io.use(createSocketAuthMiddleware(authService));
+io.use(createProtocolMiddleware());
+// Last: it takes a connection slot that only a disconnect gives back
+io.use(createConnectionLimitMiddleware(rateLimiter));
 
 // Initialize IPFS service
 let ipfsService = null;
 try {
     const { createIPFSService } = require('./services/ipfs-service');
+    // Unset pin limits keep the pin manager defaults; 0 turns a limit off
     ipfsService = createIPFSService({
-        apiUrl: process.env.IPFS_API_URL || 'http://ipfs:5001/api/v0',
-        gateways: (process.env.IPFS_GATEWAYS || '').split(',').filter(Boolean),
-        pubsubEnabled: process.env.IPFS_PUBSUB_ENABLE === 'true'
+        ...config.ipfs,
+        pinRepository: createPinRepository(dbConnection)
+    });
+    logger.info('IPFS service initialized', { backend: ipfsService.store.backend });
+
+    ipfsService.on('operation', ({ operation, duration_s, error }) => {
+        metrics.ipfsOperationDuration.observe({ operation }, duration_s);
+        if (error) metrics.ipfsOperationErrors.inc({ operation, code: error.code || 'ERROR' });
     });
-    console.log('✅ IPFS service initialized');
 } catch (error) {
-    console.warn('⚠️ IPFS service not available:', error.message);
+    logger.warn('IPFS service not available', { err: error });
+}
+
+// Hash-linked log of every conversation on IPFS
+const conversationLog = ipfsService ? createConversationLog({
+    ipfsService,
+    chainHeadRepository: createChainHeadRepository(dbConnection),
+    messageRepository,
+    gatewayUrl: config.public.gateway
+}) : null;
+
+// IPNS mailboxes of pending messages, readable through any gateway
+const mailboxService = conversationLog ? createMailboxService({
+    ipfsService,
+    deliveryService,
+    publishDelayMs: config.mailbox.publishDelayMs
+}) : null;
+
+if (conversationLog) {
+    // Publish each new head so peers can follow the chain without this server
+    conversationLog.on('head', (head, message) => {
+        const participants = new Set([...messageRecipients(message), message.sender_id]);
+        io.to([...participants].map(userRoom)).emit('conversation_head', head);
+        ipfsService.pubsubPublish(logTopic(head.conversation_id), JSON.stringify(head)).catch((error) => {
+            logger.warn('Chain head publish failed', { conversation_id: head.conversation_id, err: error });
+        });
+        // The message is now on IPFS; list it in the recipients' mailboxes
+        messageRecipients(message).forEach(userId => mailboxService.schedule(userId));
+    });
 }
 
+if (mailboxService) {
+    deliveryService.on('delivered', (message, recipientId) => {
+        if (ipfsService.isConnected) mailboxService.schedule(recipientId);
+    });
+}
+
+app.use('/api/mailbox', createMailboxRouter({ mailboxService, ipfsService, requireAuth }));
+
+/**
+ * Append a stored message to its conversation chain on IPFS. Failures are
+ * logged; the message is already stored and delivered without it.
+ */
+async function archiveMessage(message) {
+    if (!conversationLog || !ipfsService.isConnected) return message;
+    try {
+        await conversationLog.append(message);
+        logger.info('Message stored in IPFS', { message_id: message.id, cid: message.ipfs_cid, seq: message.ipfs_seq });
+    } catch (ipfsError) {
+        logger.warn('IPFS storage failed', { message_id: message.id, err: ipfsError });
+    }
+    return message;
+}
+
+/**
+ * User ids of a conversation: both sides of a direct conversation or the
+ * group's members.
+ */
+async function conversationParticipants(conversationId) {
+    const groupId = parseGroupConversationId(conversationId);
+    if (groupId) {
+        const group = await groupRepository.findById(groupId);
+        return group ? group.members.map(member => member.user_id) : [];
+    }
+    return parseDirectConversationId(conversationId) || [];
+}
+
+/**
+ * Whether a user may read a conversation: a participant of a direct
+ * conversation or a member of the group.
+ */
+async function canAccessConversation(userId, conversationId) {
+    return (await conversationParticipants(conversationId)).includes(userId);
+}
+
+/**
+ * The ids among `userIds` whose presence `userId` may watch: itself, the
+ * members of its groups and users it has a direct conversation with.
+ */
+async function presenceVisibleTo(userId, userIds) {
+    const groups = await groupRepository.listForUser(userId);
+    const groupPeers = new Set(groups.flatMap(group => group.members.map(member => member.user_id)));
+
+    const visible = await Promise.all([...new Set(userIds)].map(async (otherId) => {
+        if (otherId === userId || groupPeers.has(otherId)) return otherId;
+        const page = await messageRepository.listConversation(directConversationId(userId, otherId), { limit: 1 });
+        return page.messages.length ? otherId : null;
+    }));
+    return visible.filter(Boolean);
+}
+
+// Disappearing messages, and releasing the IPFS copies of purged ones
+const retentionService = createRetentionService({
+    messageRepository,
+    conversationSettings,
+    pinManager: ipfsService ? ipfsService.pins : null,
+    sweepIntervalMs: config.messages.expirySweepMs
+});
+
+messageService.on('purged', (messages) => {
+    retentionService.release(messages).catch((error) => {
+        logger.error('Pin release error', { err: error });
+    });
+});
+
+// Clients drop expired messages on their own; this covers devices that were offline
+retentionService.on('expired', (messages) => {
+    const conversations = new Map();
+    for (const message of messages) {
+        const entry = conversations.get(message.conversation_id) || { message_ids: [], users: new Set() };
+        entry.message_ids.push(message.id);
+        [...messageRecipients(message), message.sender_id].forEach(userId => entry.users.add(userId));
+        conversations.set(message.conversation_id, entry);
+    }
+    for (const [conversationId, { message_ids, users }] of conversations) {
+        io.to([...users].map(userRoom)).emit('messages_expired', { conversation_id: conversationId, message_ids });
+    }
+});
+
+retentionService.on('ttl', (settings) => {
+    conversationParticipants(settings.conversation_id).then((userIds) => {
+        io.to(userIds.map(userRoom)).emit('conversation_ttl', settings);
+    }).catch((error) => {
+        logger.error('Conversation lookup error', { conversation_id: settings.conversation_id, err: error });
+    });
+});
+
+app.use('/api/conversations', createConversationsRouter({
+    conversationLog,
+    retentionService,
+    canAccessConversation,
+    requireAuth
+}));
+
+// Relay messages received over IPFS PubSub into the store and user rooms
+const ipfsRelay = ipfsService
+    ? createIPFSRelay({ ipfsService, messageService, topicCount: config.ipfs.relayTopics })
+    : null;
+
+if (ipfsRelay) {
+    ipfsRelay.on('message', (message) => {
+        metrics.messagesSent.inc({ transport: 'ipfs' });
+        emitMessage(message);
+        archiveMessage(message);
+    });
+
+    // Every relay topic, so messages for users who are offline are stored and queued too
+    ipfsRelay.start();
+}
+
+// Tell current and removed members about group changes
+groupService.on('updated', ({ group, message, removed_ids: removedIds }) => {
+    const memberRooms = group.members.map(member => userRoom(member.user_id));
+    io.to(memberRooms).emit('group_updated', { group, message });
+    if (removedIds.length) {
+        io.to(removedIds.map(userRoom)).emit('group_removed', { group_id: group.id, message });
+    }
+});
+
+// Reactions are synced to every device of the message's participants, never over IPFS
+const reactionService = createReactionService({ messageRepository, groupRepository });
+
+for (const [change, event] of [['added', 'reaction_added'], ['removed', 'reaction_removed']]) {
+    reactionService.on(change, (message, reaction) => {
+        io.to(reactionService.participants(message).map(userRoom)).emit(event, {
+            message_id: message.id,
+            conversation_id: message.conversation_id,
+            ...reaction
+        });
+    });
+}
+
+app.use('/api/attachments', createAttachmentsRouter({
+    ipfsService,
+    requireAuth,
+    chunkSize: config.attachments.chunkSize,
+    maxBytes: config.attachments.maxBytes
+}));
+
+app.use('/api/admin', createAdminRouter({ ipfsService, userRepository, requireAuth, requireAdmin }));
+
+// Transport health probes and automatic failover
+const transportManager = createTransportManager();
+
+transportManager.registerProbe('http', async () => {
+    if (!server.listening) throw new Error('HTTP server not listening');
+    // Latency here is event loop delay, which every request pays
+    await new Promise(resolve => setImmediate(resolve));
+});
+
+transportManager.registerProbe('websocket', async () => {
+    if (!server.listening) throw new Error('HTTP server not listening');
+    // Cross-instance room delivery depends on the Redis adapter
+    if (supportsPubSub(redisClient)) await redisClient.ping();
+});
+
+transportManager.registerProbe('ipfs', async () => {
+    if (!ipfsService) throw new Error('IPFS service not initialized');
+    await ipfsService.checkConnection();
+});
+
+// Dependency checks for /health/ready
+const healthService = createHealthService(config.health);
+
+healthService.register('mongodb', async () => {
+    if (!dbConnection) return { disabled: true, reason: 'MONGODB_URI not set, using in-memory storage' };
+    await pingDatabase(dbConnection);
+});
+
+healthService.register('redis', async () => {
+    if (!redisClient) return { disabled: true, reason: 'REDIS_URL not set, using per-process state' };
+    await redisClient.ping();
+});
+
+healthService.register('ipfs', async () => {
+    if (!ipfsService) return { disabled: true, reason: 'IPFS service not initialized' };
+    const health = await ipfsService.healthCheck();
+    if (health.status !== 'healthy') throw new Error(health.error);
+    return { backend: health.backend, peer_count: health.peerCount, connection: health.connection.state };
+});
+
+transportManager.on('changed', (status) => {
+    io.emit('transport_changed', status);
+});
+
+// Push IPFS node state changes to clients and re-probe right away
+if (ipfsService) {
+    for (const event of ['connected', 'disconnected']) {
+        ipfsService.on(event, () => {
+            io.emit('ipfs_status', ipfsService.connectionStatus());
+            transportManager.probe('ipfs').catch(() => {});
+        });
+    }
+}
+
+/**
+ * Publish a message to the recipient's PubSub topic. Returns whether it
+ * was sent so callers can report the transports actually used.
+ */
+async function publishToIPFS(message) {
+    if (!ipfsService) return false;
+    // PubSub is the expensive copy; the primary transport still delivers
+    if (!rateLimiter.take(message.sender_id, 'ipfs_publish').allowed) {
+        rateLimiter.violation(message.sender_id, 'ipfs_publish', 'rate').catch(() => {});
+        logger.warn('IPFS PubSub skipped, publish rate exceeded', { message_id: message.id });
+        return false;
+    }
+    try {
+        const topic = ipfsRelay.topicFor(message);
+        await ipfsService.pubsubPublish(topic, JSON.stringify(message));
+        logger.info('Message also sent via IPFS PubSub', { message_id: message.id, topic });
+        return true;
+    } catch (ipfsError) {
+        logger.warn('IPFS PubSub failed', { message_id: message.id, err: ipfsError });
+        return false;
+    }
+}
+
+// Liveness: the process answers; restart it when this fails
+app.get('/health/live', (req, res) => {
+    res.json(healthService.liveness());
+});
+
+// Readiness: every required dependency answers; route traffic elsewhere when this fails
+app.get('/health/ready', async (req, res) => {
+    const readiness = await healthService.readiness();
+    res.status(readiness.ready ? 200 : 503).json(readiness);
+});
+
 // Enhanced health check endpoint
 app.get('/health', async (req, res) => {
-    const ipfsHealth = ipfsService ? await ipfsService.healthCheck() : { status: 'disabled' };
-    
-    res.json({
-        status: 'healthy',
+    const readiness = await healthService.readiness();
+    const { mongodb, redis, ipfs } = readiness.dependencies;
+
+    res.status(readiness.ready ? 200 : 503).json({
+        status: readiness.ready ? 'healthy' : 'unhealthy',
+        readiness: readiness.status,
         timestamp: new Date().toISOString(),
         version: '2.0.0',
-        host: '192.168.4.39',
+        host: config.public.host,
         features: ['E2E-Encryption', 'WebSocket-Chat', 'IPFS-Fallback', 'Dual-Transport'],
         transports: {
             primary: 'HTTPS/WebSocket', 
             fallback: 'IPFS',
-            ipfsStatus: ipfsHealth.status
+            ipfsStatus: ipfs.status
         },
         infrastructure: {
-            mongodb: 'ready',
-            redis: 'ready', 
-            ipfs: ipfsHealth.status
+            mongodb: mongodb.status,
+            redis: redis.status,
+            ipfs: ipfs.status
         },
         endpoints: {
-            main: 'http://192.168.4.39:3000',
-            demo: 'http://192.168.4.39:3000/demo',
-            websocket: 'ws://192.168.4.39:3001'
+            main: config.public.api,
+            demo: `${config.public.api}/demo`,
+            websocket: config.public.ws
         }
     });
 });
 
+// Prometheus scrape endpoint; set METRICS_TOKEN to require a bearer token
+app.get('/metrics', createMetricsAuthMiddleware(config.metrics.token), async (req, res) => {
+    try {
+        res.type(metrics.contentType).send(await metrics.registry.render());
+    } catch (error) {
+        logger.error('Metrics error', { err: error });
+        sendError(res, error, 'Failed to collect metrics');
+    }
+});
+
 // Transport status endpoint
 app.get('/api/transport/status', (req, res) => {
-    const status = {
+    const status = transportManager.getStatus();
+
+    res.json({
         primary: {
-            http: true,
-            websocket: io.engine.clientsCount >= 0,
-            endpoint: 'http://192.168.4.39:3000'
+            http: transportManager.isHealthy('http'),
+            websocket: transportManager.isHealthy('websocket'),
+            endpoint: config.public.api
         },
         fallback: {
-            ipfs: ipfsService ? ipfsService.isConnected : false,
-            gateway: 'http://192.168.4.39:8080'
+            ipfs: transportManager.isHealthy('ipfs'),
+            gateway: config.public.gateway
         },
-        recommendation: 'primary'
-    };
-
-    if (status.primary.http && status.primary.websocket !== false) {
-        status.recommendation = 'primary';
-    } else if (status.primary.http || status.primary.websocket !== false) {
-        status.recommendation = 'degraded';
-    } else if (status.fallback.ipfs) {
-        status.recommendation = 'fallback';
-    } else {
-        status.recommendation = 'disconnected';
-    }
-
-    res.json(status);
+        recommendation: status.mode,
+        ...status
+    });
 });
 
 // IPFS endpoints
-app.post('/api/ipfs/add', async (req, res) => {
-    try {
-        if (!ipfsService || !ipfsService.isConnected) {
-            return res.status(503).json({ 
-                error: 'IPFS service unavailable',
-                fallback: 'Use primary transport'
-            });
-        }
+app.post('/api/ipfs/add',
+    requireAuth,
+    createHttpRateLimitMiddleware(rateLimiter, 'ipfs_add'),
+    validateRequest('POST /api/ipfs/add'),
+    async (req, res) => {
+        try {
+            if (!ipfsService || !ipfsService.isConnected) {
+                return sendError(res, new ApiError('IPFS_UNAVAILABLE', 'IPFS service unavailable', {
+                    fallback: 'Use primary transport'
+                }));
+            }
 
-        const { payload_b64, pin = true, filename } = req.body;
-        
-        if (!payload_b64) {
-            return res.status(400).json({ error: 'payload_b64 required' });
-        }
+            const { payload_b64, pin = true, filename, ttl_seconds, conversation_id } = req.body;
 
-        const buffer = Buffer.from(payload_b64, 'base64');
-        const cid = await ipfsService.addBuffer(buffer, { pin, filename });
-        
-        res.json({ 
-            cid,
-            gateways: ipfsService.getGatewayUrlsForCid(cid),
-            localGateway: `http://192.168.4.39:8080/ipfs/${cid}`,
-            size: buffer.length
-        });
+            // Content for a conversation is pinned as long as its messages live, unless ttl_seconds says otherwise
+            if (conversation_id && !await canAccessConversation(req.user.id, conversation_id)) {
+                return sendError(res, new ApiError('FORBIDDEN', 'Not a participant in this conversation'));
+            }
+            const ttlMs = ttl_seconds
+                ? ttl_seconds * 1000
+                : (conversation_id && await messageService.messageTtl(conversation_id)) || undefined;
 
-    } catch (error) {
-        console.error('IPFS add error:', error);
-        res.status(500).json({ error: 'IPFS add failed' });
-    }
-});
+            const buffer = Buffer.from(payload_b64, 'base64');
+            const cid = await ipfsService.addBuffer(buffer, {
+                pin,
+                filename,
+                owner: req.user.id,
+                conversationId: conversation_id,
+                ttlMs
+            });
+            
+            res.json({ 
+                cid,
+                gateways: ipfsService.getGatewayUrlsForCid(cid),
+                localGateway: `${config.public.gateway}/ipfs/${cid}`,
+                size: buffer.length
+            });
+
+        } catch (error) {
+            const apiError = toApiError(error, 'IPFS add failed');
+            if (apiError.code === 'INTERNAL_ERROR') logger.error('IPFS add error', { err: error });
+            sendError(res, apiError);
+        }
+    });
 
 app.get('/api/ipfs/status', async (req, res) => {
     try {
@@ -179,130 +686,438 @@ app.get('/api/ipfs/status', async (req, res) => {
         const healthStatus = await ipfsService.healthCheck();
         res.json({
             ...healthStatus,
-            gateway: 'http://192.168.4.39:8080',
-            webui: 'http://192.168.4.39:5001/webui'
+            gateway: config.public.gateway,
+            webui: config.public.webui
         });
 
     } catch (error) {
-        console.error('IPFS status error:', error);
-        res.status(500).json({ error: 'Failed to get IPFS status' });
+        logger.error('IPFS status error', { err: error });
+        sendError(res, error, 'Failed to get IPFS status');
+    }
+});
+
+// Fetch a message stored on IPFS by CID, from the local node or a gateway
+app.get('/api/ipfs/messages/:cid', requireAuth, validateRequest('GET /api/ipfs/messages/:cid'), async (req, res) => {
+    try {
+        if (!ipfsService) {
+            return sendError(res, new ApiError('IPFS_UNAVAILABLE', 'IPFS service unavailable'));
+        }
+
+        const message = await ipfsService.getMessage(req.params.cid);
+        // Released content no longer lists the members; go by the conversation
+        const participant = message.sender_id === req.user.id
+            || message.recipient_id === req.user.id
+            || Boolean(message.group_id && (message.encrypted_content
+                ? message.encrypted_content[req.user.id]
+                : message.conversation_id && await canAccessConversation(req.user.id, message.conversation_id)));
+        if (!participant) {
+            return sendError(res, new ApiError('FORBIDDEN', 'Not a participant in this message'));
+        }
+
+        res.json(messageForUser(message, req.user.id));
+    } catch (error) {
+        if (error.code === 'NOT_FOUND') {
+            return sendError(res, new ApiError('UPSTREAM_FAILED', 'Message could not be retrieved from IPFS', {
+                details: error.details
+            }));
+        }
+        if (error.code === 'INVALID_ENVELOPE') {
+            // Stored content that fails verification, not a bad request
+            return sendError(res, new ApiError('INVALID_ENVELOPE', error.message, { status: 422, details: error.details }));
+        }
+        const apiError = toApiError(error, 'Failed to fetch message from IPFS');
+        if (apiError.code === 'INTERNAL_ERROR') {
+            logger.error('IPFS message fetch error', { cid: req.params.cid, err: error });
+        }
+        sendError(res, apiError);
     }
 });
 
 // Basic message endpoint with IPFS storage
-app.post('/api/messages', async (req, res) => {
+/**
+ * Send a message, reply, edit or delete from an HTTP request and answer
+ * with the stored message.
+ */
+async function sendFromRequest(req, res, input, failure) {
     try {
-        const { recipient_id, encrypted_content, transport_mode } = req.body;
-        
-        const message = {
-            id: require('crypto').randomUUID(),
-            sender_id: 'demo-user',
-            recipient_id,
-            encrypted_content,
-            transport: transport_mode || 'primary',
-            timestamp: new Date(),
-            status: 'sent'
-        };
+        // transport_mode is a hint; the transport manager has the final say
+        const useIpfs = transportManager.transportsFor(input.transport_mode).includes('ipfs');
 
-        // Store in IPFS if available
-        if (ipfsService && ipfsService.isConnected) {
-            try {
-                const envelope = await ipfsService.createMessageEnvelope({
-                    sender_id: message.sender_id,
-                    recipient_id: message.recipient_id,
-                    encrypted_content: message.encrypted_content,
-                    type: 'message'
-                });
+        const { message, duplicate } = await messageService.prepare(req.user.id, input, {
+            transport: useIpfs ? 'dual' : 'primary'
+        });
+        if (duplicate) {
+            return res.json({ ...messageForUser(message, req.user.id), duplicate: true });
+        }
+
+        await messageService.accept(message);
+        // Store in IPFS if available, so the response carries ipfs_cid
+        await archiveMessage(message);
+        emitMessage(message);
+        const sentViaIpfs = useIpfs && await publishToIPFS(message);
+        metrics.messagesSent.inc({ transport: sentViaIpfs ? 'dual' : 'primary' });
+        res.json(messageForUser(message, req.user.id));
+    } catch (error) {
+        const apiError = toApiError(error, failure);
+        if (apiError.code === 'INTERNAL_ERROR') logger.error('Message send error', { err: error });
+        sendError(res, apiError);
+    }
+}
+
+app.post('/api/messages',
+    requireAuth,
+    createHttpRateLimitMiddleware(rateLimiter, 'send_encrypted_message'),
+    validateRequest('POST /api/messages'),
+    (req, res) => sendFromRequest(req, res, req.body, 'Failed to send message'));
+
+// Edit or delete one of your messages; the body carries the new (or a tombstone) envelope
+app.patch('/api/messages/:id',
+    requireAuth,
+    createHttpRateLimitMiddleware(rateLimiter, 'edit_message'),
+    validateRequest('PATCH /api/messages/:id'),
+    (req, res) => {
+        const input = { ...req.body, type: 'edit', target_id: req.params.id };
+        return sendFromRequest(req, res, input, 'Failed to edit message');
+    });
 
-                const cid = await ipfsService.addJSON(envelope);
-                message.ipfs_cid = cid;
-                message.ipfs_url = `http://192.168.4.39:8080/ipfs/${cid}`;
-                console.log(`📎 Message stored in IPFS: ${cid}`);
-            } catch (ipfsError) {
-                console.warn('⚠️ IPFS storage failed:', ipfsError.message);
+app.delete('/api/messages/:id',
+    requireAuth,
+    createHttpRateLimitMiddleware(rateLimiter, 'delete_message'),
+    validateRequest('DELETE /api/messages/:id'),
+    (req, res) => {
+        const input = { ...req.body, type: 'delete', target_id: req.params.id };
+        return sendFromRequest(req, res, input, 'Failed to delete message');
+    });
+
+// Reply in a message's thread; the reply goes to the parent's conversation
+app.post('/api/messages/:id/replies',
+    requireAuth,
+    createHttpRateLimitMiddleware(rateLimiter, 'send_reply'),
+    validateRequest('POST /api/messages/:id/replies'),
+    (req, res) => {
+        const input = { ...req.body, type: 'reply', parent_id: req.params.id };
+        return sendFromRequest(req, res, input, 'Failed to send reply');
+    });
+
+// A message's thread, paged like the conversation history
+app.get('/api/messages/:id/replies', requireAuth, validateRequest('GET /api/messages/:id/replies'), async (req, res) => {
+    try {
+        const { before, after, limit } = req.query;
+        if (before && after) {
+            return sendError(res, new ApiError('VALIDATION_FAILED', 'Use either before or after, not both'));
+        }
+
+        const parent = await messageRepository.findById(req.params.id);
+        if (!parent || !await canAccessConversation(req.user.id, parent.conversation_id)) {
+            return sendError(res, new ApiError('NOT_FOUND', 'Message not found'));
+        }
+
+        let page;
+        try {
+            page = await messageRepository.listThread(parent.id, { before, after, limit });
+        } catch (cursorError) {
+            if (cursorError.message === 'Invalid cursor') {
+                return sendError(res, new ApiError('VALIDATION_FAILED', 'Invalid cursor'));
             }
+            throw cursorError;
         }
 
-        res.json(message);
+        page.messages = page.messages.map(message => messageForUser(message, req.user.id));
+        res.json({ parent_id: parent.id, conversation_id: parent.conversation_id, ...page });
     } catch (error) {
-        console.error('Message send error:', error);
-        res.status(500).json({ error: 'Failed to send message' });
+        logger.error('Thread history error', { err: error });
+        sendError(res, error, 'Failed to load replies');
     }
 });
 
-app.get('/api/messages', (req, res) => {
-    res.json({
-        messages: [],
-        total: 0,
-        message: 'Message history endpoint ready'
+// React to a message you can see, once per emoji
+app.put('/api/messages/:id/reactions/:emoji',
+    requireAuth,
+    createHttpRateLimitMiddleware(rateLimiter, 'add_reaction'),
+    validateRequest('PUT /api/messages/:id/reactions/:emoji'),
+    async (req, res) => {
+        try {
+            const reaction = await reactionService.add(req.user.id, req.params.id, req.params.emoji);
+            res.json({ message_id: req.params.id, ...reaction });
+        } catch (error) {
+            const apiError = toApiError(error, 'Failed to add reaction');
+            if (apiError.code === 'INTERNAL_ERROR') logger.error('Reaction error', { err: error });
+            sendError(res, apiError);
+        }
     });
+
+app.delete('/api/messages/:id/reactions/:emoji',
+    requireAuth,
+    createHttpRateLimitMiddleware(rateLimiter, 'remove_reaction'),
+    validateRequest('DELETE /api/messages/:id/reactions/:emoji'),
+    async (req, res) => {
+        try {
+            const reaction = await reactionService.remove(req.user.id, req.params.id, req.params.emoji);
+            res.json({ message_id: req.params.id, ...reaction });
+        } catch (error) {
+            const apiError = toApiError(error, 'Failed to remove reaction');
+            if (apiError.code === 'INTERNAL_ERROR') logger.error('Reaction error', { err: error });
+            sendError(res, apiError);
+        }
+    });
+
+// Delivery status of a message, visible to its sender and recipients
+app.get('/api/messages/:id/status', requireAuth, validateRequest('GET /api/messages/:id/status'), async (req, res) => {
+    try {
+        const message = await messageRepository.findById(req.params.id);
+        if (!message || (message.sender_id !== req.user.id && !messageRecipients(message).includes(req.user.id))) {
+            return sendError(res, new ApiError('NOT_FOUND', 'Message not found'));
+        }
+
+        const status = {
+            message_id: message.id,
+            status: message.status,
+            delivered_at: message.delivered_at || null,
+            read_at: message.read_at || null
+        };
+        if (message.group_id) {
+            status.receipts = Object.fromEntries(messageRecipients(message).map(userId => [
+                userId,
+                deliveryService.receiptFor(message, userId)
+            ]));
+        }
+        res.json(status);
+    } catch (error) {
+        logger.error('Message status error', { err: error });
+        sendError(res, error, 'Failed to get message status');
+    }
+});
+
+// Conversation history, paged with `before`/`after` cursors
+app.get('/api/messages', requireAuth, validateRequest('GET /api/messages'), async (req, res) => {
+    try {
+        const { with: peerId, before, after, limit } = req.query;
+        const conversationId = req.query.conversation_id
+            || (peerId ? directConversationId(req.user.id, peerId) : null);
+
+        if (!conversationId) {
+            return sendError(res, new ApiError('VALIDATION_FAILED', 'conversation_id or with required'));
+        }
+        if (before && after) {
+            return sendError(res, new ApiError('VALIDATION_FAILED', 'Use either before or after, not both'));
+        }
+
+        if (!await canAccessConversation(req.user.id, conversationId)) {
+            return sendError(res, new ApiError('FORBIDDEN', 'Not a participant in this conversation'));
+        }
+
+        let page;
+        try {
+            page = await messageRepository.listConversation(conversationId, { before, after, limit });
+        } catch (cursorError) {
+            if (cursorError.message === 'Invalid cursor') {
+                return sendError(res, new ApiError('VALIDATION_FAILED', 'Invalid cursor'));
+            }
+            throw cursorError;
+        }
+
+        // Group members only see their own envelope of each message
+        page.messages = page.messages.map(message => messageForUser(message, req.user.id));
+        res.json({ conversation_id: conversationId, ...page });
+    } catch (error) {
+        logger.error('Message history error', { err: error });
+        sendError(res, error, 'Failed to load messages');
+    }
 });
 
 // WebSocket handling
 io.on('connection', (socket) => {
-    console.log(`User connected: ${socket.id}`);
+    const user = socket.data.user;
+    logger.info('User connected', {
+        user_id: user.id,
+        username: user.username,
+        socket_id: socket.id,
+        protocol: socket.data.protocol
+    });
+    socket.use(createSocketContextMiddleware(socket));
+    socket.use(createSocketRateLimitMiddleware(socket, rateLimiter));
+    socket.emit('session', { protocol: socket.data.protocol, supported: PROTOCOL_VERSIONS, user_id: user.id });
 
-    socket.on('send_encrypted_message', async (data) => {
-        try {
-            const { encrypted_content, recipient_id, transport_preference } = data;
-            
-            const message = {
-                id: require('crypto').randomUUID(),
-                sender_id: socket.id,
-                recipient_id,
-                encrypted_content,
-                timestamp: new Date(),
-                transport: 'websocket'
-            };
+    // All of a user's devices share one room, so delivery never depends on socket ids
+    socket.join(userRoom(user.id));
+    presenceService.connect(user.id, socket.id).catch((error) => {
+        logger.error('Presence update error', { user_id: user.id, err: error });
+    });
+    if (ipfsService) socket.emit('ipfs_status', ipfsService.connectionStatus());
 
-            // Send via WebSocket
-            socket.to(recipient_id).emit('new_encrypted_message', message);
+    // Flush messages that arrived while this user had no acknowledging device
+    deliveryService.pending(user.id).then((messages) => {
+        messages.forEach(message => socket.emit(messageEvent(message), messageForUser(message, user.id)));
+        if (messages.length) {
+            logger.info('Flushed queued messages', { user_id: user.id, count: messages.length });
+        }
+    }).catch((error) => {
+        logger.error('Queue flush error', { user_id: user.id, err: error });
+    });
 
-            // Also store/send via IPFS if enabled
-            if (ipfsService && ipfsService.isConnected && transport_preference === 'dual') {
-                try {
-                    const topic = `chat-user-${recipient_id}`;
-                    await ipfsService.pubsubPublish(topic, JSON.stringify(message));
-                    console.log(`📡 Message also sent via IPFS PubSub to ${topic}`);
-                } catch (ipfsError) {
-                    console.warn('⚠️ IPFS PubSub failed:', ipfsError.message);
-                }
-            }
+    // Payloads are checked against src/schemas.js. Results and errors go to
+    // the ack callback, or to version 1 clients without one as events
+    const on = createSocketEvents(socket, logger.child({ component: 'socket' }));
 
-            socket.emit('message_sent', { 
+    /**
+     * Send a message, reply, edit or delete from this socket and describe
+     * the result.
+     */
+    async function sendFromSocket(data) {
+        if (socket.data.protocol >= 2 && data.client_msg_id === undefined) {
+            throw new ApiError('VALIDATION_FAILED', 'data.client_msg_id is required');
+        }
+
+        // transport_preference is a hint; the transport manager has the final say
+        const useIpfs = transportManager.transportsFor(data.transport_preference).includes('ipfs');
+
+        const { message, duplicate } = await messageService.prepare(user.id, data, {
+            transport: useIpfs ? 'dual' : 'websocket'
+        });
+        if (duplicate) {
+            return {
                 message_id: message.id,
+                client_msg_id: message.client_msg_id,
+                ...messageLinks(message),
                 timestamp: message.timestamp,
-                transports_used: ['websocket', ...(transport_preference === 'dual' ? ['ipfs'] : [])]
-            });
+                status: message.status,
+                duplicate: true
+            };
+        }
 
-        } catch (error) {
-            console.error('WebSocket message error:', error);
-            socket.emit('error', { message: 'Failed to send message' });
+        await messageService.accept(message);
+        const recipients = messageRecipients(message);
+        const online = await Promise.all(recipients.map(userId => presenceService.isOnline(userId)));
+
+        // Send via WebSocket to the recipients and the sender's other devices
+        emitMessage(message, socket);
+        archiveMessage(message);
+
+        // Also send via IPFS when requested or when the primary transport is degraded
+        const sentViaIpfs = useIpfs && await publishToIPFS(message);
+        metrics.messagesSent.inc({ transport: sentViaIpfs ? 'dual' : 'primary' });
+
+        return {
+            message_id: message.id,
+            client_msg_id: message.client_msg_id,
+            ...messageLinks(message),
+            timestamp: message.timestamp,
+            status: message.status,
+            queued: online.includes(false),
+            transport_mode: transportManager.mode,
+            transports_used: ['websocket', ...(sentViaIpfs ? ['ipfs'] : [])]
+        };
+    }
+
+    on('send_encrypted_message', { failure: 'Failed to send message', reply: 'message_sent' }, sendFromSocket);
+
+    // Edits and deletes of the user's own messages reach recipients as message_edited / message_deleted
+    on('edit_message', { failure: 'Failed to edit message', reply: 'message_sent' }, ({ message_id, ...data }) => (
+        sendFromSocket({ ...data, type: 'edit', target_id: message_id })
+    ));
+
+    on('delete_message', { failure: 'Failed to delete message', reply: 'message_sent' }, ({ message_id, ...data }) => (
+        sendFromSocket({ ...data, type: 'delete', target_id: message_id })
+    ));
+
+    // Replies reach the parent's conversation as new_reply
+    on('send_reply', { failure: 'Failed to send reply', reply: 'message_sent' }, data => (
+        sendFromSocket({ ...data, type: 'reply' })
+    ));
+
+    // Reactions reach every participant's devices as reaction_added / reaction_removed
+    on('add_reaction', { failure: 'Failed to add reaction' }, async (data) => {
+        const reaction = await reactionService.add(user.id, data.message_id, data.emoji);
+        return { message_id: data.message_id, ...reaction };
+    });
+
+    on('remove_reaction', { failure: 'Failed to remove reaction' }, async (data) => {
+        const reaction = await reactionService.remove(user.id, data.message_id, data.emoji);
+        return { message_id: data.message_id, ...reaction };
+    });
+
+    // Typing indicators go straight to the other participants' sockets; they
+    // are never stored, queued for offline users or sent over IPFS
+    on('typing', { failure: 'Failed to send typing indicator' }, async (data) => {
+        const participants = await conversationParticipants(data.conversation_id);
+        if (!participants.includes(user.id)) {
+            throw new ApiError('FORBIDDEN', 'Not a participant in this conversation');
+        }
+        const others = participants.filter(userId => userId !== user.id);
+        if (others.length) {
+            socket.to(others.map(userRoom)).emit('typing', {
+                conversation_id: data.conversation_id,
+                user_id: user.id,
+                typing: data.typing
+            });
         }
     });
 
-    socket.on('get_transport_status', () => {
-        const status = {
-            websocket: true,
-            ipfs: ipfsService ? ipfsService.isConnected : false,
-            recommended: 'primary'
+    // Group management; members are told about changes through 'group_updated'
+    const groupEvents = {
+        create_group: data => groupService.create(user.id, data),
+        rename_group: data => groupService.rename(user.id, data.group_id, data.name),
+        add_group_members: data => groupService.addMembers(user.id, data.group_id, data.member_ids),
+        remove_group_member: data => groupService.removeMember(user.id, data.group_id, data.user_id),
+        set_group_role: data => groupService.setRole(user.id, data.group_id, data.user_id, data.role)
+    };
+
+    for (const [event, operation] of Object.entries(groupEvents)) {
+        on(event, { failure: 'Failed to update group' }, async (data) => {
+            const { group } = await operation(data);
+            return { group };
+        });
+    }
+
+    on('get_groups', { failure: 'Failed to list groups', reply: 'groups' }, async () => ({
+        groups: await groupService.listForUser(user.id)
+    }));
+
+    on('get_transport_status', { failure: 'Failed to get transport status', reply: 'transport_status' }, () => {
+        const status = transportManager.getStatus();
+        return {
+            websocket: transportManager.isHealthy('websocket'),
+            ipfs: transportManager.isHealthy('ipfs'),
+            recommended: status.mode,
+            ...status
         };
-        
-        socket.emit('transport_status', status);
+    });
+
+    // Receipts from the recipient's device: { message_ids: [...] }; the ack
+    // lists the messages whose receipt changed
+    on('mark_delivered', { failure: 'Failed to record delivery' }, async (data) => {
+        const updated = await deliveryService.markDelivered(user.id, data.message_ids);
+        return { message_ids: updated.map(message => message.id) };
+    });
+
+    on('mark_read', { failure: 'Failed to record read receipt' }, async (data) => {
+        const updated = await deliveryService.markRead(user.id, data.message_ids);
+        return { message_ids: updated.map(message => message.id) };
+    });
+
+    // Reply with the current presence of `user_ids` and watch them for
+    // changes; ids the user shares no conversation with are left out
+    on('get_presence', { failure: 'Failed to get presence', reply: 'presence' }, async (data) => {
+        const userIds = await presenceVisibleTo(user.id, data.user_ids);
+        userIds.forEach(userId => socket.join(presenceRoom(userId)));
+        return presenceService.getPresence(userIds);
     });
 
     socket.on('disconnect', () => {
-        console.log(`User disconnected: ${socket.id}`);
+        logger.info('User disconnected', { user_id: user.id, socket_id: socket.id });
+        presenceService.disconnect(user.id, socket.id).catch((error) => {
+            logger.error('Presence update error', { user_id: user.id, err: error });
+        });
     });
 });
 
-// Enhanced demo client with 192.168.4.39 URLs
+// Enhanced demo client, linking to this deployment's public URLs
 app.get('/demo', (req, res) => {
     res.send(`
     <!DOCTYPE html>
     <html>
     <head>
-        <title>🔐 Secure Chat Server Demo - 192.168.4.39</title>
+        <title>🔐 Secure Chat Server Demo - ${config.public.host}</title>
         <meta name="viewport" content="width=device-width, initial-scale=1.0">
         <style>
             body { 
@@ -333,6 +1148,10 @@ app.get('/demo', (req, res) => {
             }
             button:hover { transform: translateY(-1px); }
             button:active { transform: translateY(0); }
+            input { 
+                padding: 10px; margin: 6px 0; border: 2px solid #e9ecef; 
+                border-radius: 6px; font-family: inherit;
+            }
             textarea { 
                 width: 100%; height: 100px; margin: 10px 0; 
                 border: 2px solid #e9ecef; border-radius: 6px; 
@@ -355,7 +1174,7 @@ app.get('/demo', (req, res) => {
         <div class="header">
             <h1>🔐 Enhanced Secure Chat Server</h1>
             <p>Dual-Transport System: HTTPS/WebSocket + IPFS Fallback</p>
-            <p><strong>Server:</strong> 192.168.4.39:3000</p>
+            <p><strong>Server:</strong> ${config.public.host}</p>
         </div>
         
         <div id="status" class="status healthy">✅ Connecting to server...</div>
@@ -372,9 +1191,19 @@ app.get('/demo', (req, res) => {
             </div>
         </div>
         
+        <div class="transport">
+            <h3>👤 Account</h3>
+            <div id="account-status">Not signed in</div>
+            <input id="username" placeholder="Username" autocomplete="username">
+            <input id="password" type="password" placeholder="Password" autocomplete="current-password">
+            <button onclick="authenticate('register')">📝 Register</button>
+            <button onclick="authenticate('login')">🔑 Login</button>
+        </div>
+        
         <div class="transport">
             <h3>💬 Message Testing</h3>
-            <p>Test the dual-transport messaging system:</p>
+            <p>Test the dual-transport messaging system (messages are end-to-end encrypted in this page):</p>
+            <input id="recipient" placeholder="Recipient user ID (defaults to yourself)" style="width: 100%;">
             <textarea id="message" placeholder="Enter your test message here..."></textarea><br>
             <button onclick="sendMessage('primary')">📨 Send via Primary (HTTPS)</button>
             <button onclick="sendMessage('ipfs')">🌐 Send via IPFS</button>
@@ -390,21 +1219,99 @@ app.get('/demo', (req, res) => {
         <div class="transport">
             <h3>🔗 Quick Links</h3>
             <p>
-                <a href="http://192.168.4.39:3000/health" target="_blank">Health Check</a> |
-                <a href="http://192.168.4.39:8080" target="_blank">IPFS Gateway</a> |
-                <a href="http://192.168.4.39:5001/webui" target="_blank">IPFS WebUI</a>
+                <a href="${config.public.api}/health" target="_blank">Health Check</a> |
+                <a href="${config.public.gateway}" target="_blank">IPFS Gateway</a> |
+                <a href="${config.public.webui}" target="_blank">IPFS WebUI</a>
             </p>
         </div>
 
+        <script src="/client/e2e-envelope.js"></script>
         <script>
             let messageCount = 0;
+            let session = JSON.parse(localStorage.getItem('chatSession') || 'null');
+            
+            function showAccount() {
+                document.getElementById('account-status').innerHTML = session
+                    ? '✅ Signed in as <strong>' + session.user.username + '</strong>' +
+                      '<br><small>User ID: ' + session.user.id + '</small>'
+                    : 'Not signed in';
+            }
+            
+            function saveSession(data) {
+                session = data;
+                localStorage.setItem('chatSession', JSON.stringify(data));
+                showAccount();
+            }
+            
+            async function authenticate(action) {
+                try {
+                    const response = await fetch('/api/auth/' + action, {
+                        method: 'POST',
+                        headers: { 'Content-Type': 'application/json' },
+                        body: JSON.stringify({
+                            username: document.getElementById('username').value,
+                            password: document.getElementById('password').value
+                        })
+                    });
+                    const data = await response.json();
+                    if (!response.ok) throw new Error(data.error);
+                    saveSession(data);
+                    await ensureIdentity();
+                } catch (error) {
+                    alert('Authentication failed: ' + error.message);
+                }
+            }
+            
+            // Identity keys never leave this browser; only the public bundle is published
+            let identity = null;
+            
+            async function ensureIdentity() {
+                const storageKey = 'chatIdentity:' + session.user.id;
+                const stored = localStorage.getItem(storageKey);
+                if (stored) {
+                    identity = await SecureChatE2E.importIdentity(JSON.parse(stored));
+                } else {
+                    identity = await SecureChatE2E.generateIdentity();
+                    localStorage.setItem(storageKey, JSON.stringify(await SecureChatE2E.exportIdentity(identity)));
+                }
+                
+                const response = await authorizedFetch('/api/keys', {
+                    method: 'PUT',
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify(identity.bundle)
+                });
+                if (!response.ok) throw new Error('Failed to publish identity keys');
+            }
+            
+            async function authorizedFetch(url, options = {}) {
+                const withToken = () => ({
+                    ...options,
+                    headers: { ...options.headers, Authorization: 'Bearer ' + session.access_token }
+                });
+                
+                let response = await fetch(url, withToken());
+                if (response.status === 401 && session.refresh_token) {
+                    const refresh = await fetch('/api/auth/refresh', {
+                        method: 'POST',
+                        headers: { 'Content-Type': 'application/json' },
+                        body: JSON.stringify({ refresh_token: session.refresh_token })
+                    });
+                    if (!refresh.ok) {
+                        saveSession(null);
+                        throw new Error('Session expired, please log in again');
+                    }
+                    saveSession(await refresh.json());
+                    response = await fetch(url, withToken());
+                }
+                return response;
+            }
             
             async function checkStatus() {
                 try {
                     const response = await fetch('/health');
                     const data = await response.json();
                     document.getElementById('status').innerHTML = 
-                        '✅ ' + data.status + ' - Version ' + data.version + 
+                        (data.status === 'healthy' ? '✅ ' : '⚠️ ') + data.status + ' - Version ' + data.version + 
                         '<span class="badge">Host: ' + data.host + '</span>';
                 } catch (error) {
                     document.getElementById('status').innerHTML = '❌ Server connection failed';
@@ -454,19 +1361,39 @@ app.get('/demo', (req, res) => {
                     alert('Please enter a message first!');
                     return;
                 }
+                if (!session) {
+                    alert('Please register or log in first!');
+                    return;
+                }
                 
                 try {
-                    const response = await fetch('/api/messages', {
+                    if (!identity) await ensureIdentity();
+                    
+                    const recipientId = document.getElementById('recipient').value.trim() || session.user.id;
+                    const keysResponse = await authorizedFetch('/api/keys/' + encodeURIComponent(recipientId));
+                    const recipientKeys = await keysResponse.json();
+                    if (!keysResponse.ok) throw new Error(recipientKeys.error);
+                    
+                    const envelope = await SecureChatE2E.encryptMessage({
+                        plaintext: message,
+                        senderId: session.user.id,
+                        senderIdentity: identity,
+                        recipientId,
+                        recipientKeys
+                    });
+                    
+                    const response = await authorizedFetch('/api/messages', {
                         method: 'POST',
                         headers: { 'Content-Type': 'application/json' },
                         body: JSON.stringify({
-                            recipient_id: 'demo-recipient-' + Date.now(),
-                            encrypted_content: btoa(message),
+                            recipient_id: recipientId,
+                            encrypted_content: envelope,
                             transport_mode: transport
                         })
                     });
                     
                     const data = await response.json();
+                    if (!response.ok) throw new Error(data.error);
                     const messageDiv = document.createElement('div');
                     messageDiv.className = 'message';
                     messageDiv.innerHTML = 
@@ -495,6 +1422,8 @@ app.get('/demo', (req, res) => {
             }
             
             // Initialize and update status every 15 seconds
+            showAccount();
+            if (session) ensureIdentity().catch(error => console.warn(error.message));
             checkStatus();
             checkTransport();
             checkIPFS();
@@ -512,7 +1441,7 @@ app.get('/demo', (req, res) => {
                     '<strong>👋 Welcome to Secure Chat Demo!</strong><br>' +
                     'Try sending messages using different transport methods. ' +
                     'IPFS messages are stored permanently and accessible worldwide!<br>' +
-                    '<small>Server ready at 192.168.4.39:3000</small>';
+                    '<small>Server ready at ${config.public.host}</small>';
                 document.getElementById('messages').appendChild(welcomeDiv);
             }, 1000);
         </script>
@@ -527,50 +1456,75 @@ app.get('/', (req, res) => {
         name: 'Enhanced Secure Chat Server with IPFS Fallback',
         version: '2.0.0',
         status: 'running',
-        host: '192.168.4.39',
+        host: config.public.host,
         transports: ['HTTPS/WebSocket', 'IPFS'],
         endpoints: {
-            main: 'http://192.168.4.39:3000',
-            demo: 'http://192.168.4.39:3000/demo',
-            health: 'http://192.168.4.39:3000/health',
-            transport_status: 'http://192.168.4.39:3000/api/transport/status',
-            ipfs_status: 'http://192.168.4.39:3000/api/ipfs/status'
+            main: config.public.api,
+            demo: `${config.public.api}/demo`,
+            health: `${config.public.api}/health`,
+            transport_status: `${config.public.api}/api/transport/status`,
+            ipfs_status: `${config.public.api}/api/ipfs/status`
         },
         infrastructure: {
-            ipfs_gateway: 'http://192.168.4.39:8080',
-            ipfs_webui: 'http://192.168.4.39:5001/webui'
+            ipfs_gateway: config.public.gateway,
+            ipfs_webui: config.public.webui
         }
     });
 });
 
-// Error handler
+app.use('/api', (req, res) => {
+    sendError(res, new ApiError('NOT_FOUND', `No route for ${req.method} ${req.baseUrl}${req.path}`));
+});
+
+// Error handler; body parser errors carry a status and type
 app.use((err, req, res, next) => {
-    console.error('Server Error:', err);
-    res.status(500).json({ 
-        error: 'Internal server error',
-        timestamp: new Date().toISOString()
-    });
+    if (err.type === 'entity.parse.failed') {
+        return sendError(res, new ApiError('INVALID_JSON', 'Request body is not valid JSON'));
+    }
+    if (err.type === 'entity.too.large') {
+        return sendError(res, new ApiError('PAYLOAD_TOO_LARGE', 'Request body is too large'));
+    }
+
+    const apiError = toApiError(err);
+    if (apiError.code === 'INTERNAL_ERROR') logger.error('Server error', { err });
+    sendError(res, apiError);
 });
 
 // Start server
 server.listen(port, host, () => {
-    console.log(`🚀 Enhanced Secure Chat Server running on http://192.168.4.39:${port}`);
-    console.log(`📱 Demo client: http://192.168.4.39:${port}/demo`);
-    console.log(`🔐 Health check: http://192.168.4.39:${port}/health`);
-    console.log(`📡 IPFS integration: ${ipfsService ? 'enabled' : 'disabled'}`);
-    console.log(`🛡️  Security features: E2E Encryption, Dual Transport`);
-    console.log(`🌐 IPFS Gateway: http://192.168.4.39:8080`);
-    console.log(`🎛️  IPFS WebUI: http://192.168.4.39:5001/webui`);
+    logger.info('Secure Chat Server listening', {
+        host,
+        port,
+        public_url: config.public.api,
+        demo: `${config.public.api}/demo`,
+        health: `${config.public.api}/health`,
+        ipfs: ipfsService ? 'enabled' : 'disabled',
+        ipfs_gateway: config.public.gateway,
+        ipfs_webui: config.public.webui
+    });
+    transportManager.start();
+    retentionService.start();
+    if (ipfsService) ipfsService.pins.start();
 });
 
 // Graceful shutdown
 process.on('SIGTERM', () => {
-    console.log('🛑 Shutting down gracefully...');
-    server.close(() => {
+    logger.info('Shutting down gracefully');
+    healthService.shutdown();
+    transportManager.stop();
+    retentionService.stop();
+    server.close(async () => {
         if (ipfsService) {
             ipfsService.cleanup();
         }
-        console.log('✅ Server shutdown completed');
+        presenceService.cleanup();
+        rateLimiter.cleanup();
+        if (ipfsRelay) ipfsRelay.cleanup();
+        if (mailboxService) mailboxService.cleanup();
+        await messageRepository.close();
+        await closeDatabase();
+        await closeRedis();
+        logger.info('Server shutdown completed');
         process.exit(0);
     });
 });
@@ -0,0 +1,161 @@
+/**
+ * Account registration, login and JWT issuance
+ */
+
+const bcrypt = require('bcryptjs');
+const jwt = require('jsonwebtoken');
+const EventEmitter = require('events');
+const logger = require('../utils/logger').logger.child({ component: 'auth' });
+
+class AuthError extends Error {
+    constructor(message, status = 401, code) {
+        super(message);
+        this.name = 'AuthError';
+        this.status = status;
+        // Error code for clients (src/utils/errors.js); the status implies one otherwise
+        if (code) this.code = code;
+    }
+}
+
+const USERNAME_PATTERN = /^[a-zA-Z0-9_.-]{3,32}$/;
+
+class AuthService extends EventEmitter {
+    constructor(config = {}) {
+        super();
+
+        if (!config.jwtSecret) {
+            throw new Error('jwtSecret is required');
+        }
+
+        this.config = {
+            jwtSecret: config.jwtSecret,
+            accessTokenTtl: config.accessTokenTtl || '15m',
+            refreshTokenTtl: config.refreshTokenTtl || '7d',
+            bcryptRounds: config.bcryptRounds || 10,
+            minPasswordLength: config.minPasswordLength || 8
+        };
+
+        this.users = config.userRepository;
+    }
+
+    async register(username, password) {
+        if (typeof username !== 'string' || !USERNAME_PATTERN.test(username)) {
+            throw new AuthError('Username must be 3-32 characters of letters, digits, _ . -', 400);
+        }
+        if (typeof password !== 'string' || password.length < this.config.minPasswordLength) {
+            throw new AuthError(`Password must be at least ${this.config.minPasswordLength} characters`, 400);
+        }
+
+        const password_hash = await bcrypt.hash(password, this.config.bcryptRounds);
+        const user = await this.users.create({ username, password_hash });
+        if (!user) {
+            throw new AuthError('Username already taken', 409);
+        }
+
+        logger.info('User registered', { user_id: user.id, username: user.username });
+        this.emit('registered', this.toPublicUser(user));
+        return this.issueTokens(user);
+    }
+
+    async login(username, password) {
+        const user = typeof username === 'string' ? await this.users.findByUsername(username) : null;
+        const valid = user && typeof password === 'string'
+            ? await bcrypt.compare(password, user.password_hash)
+            : false;
+
+        if (!valid) {
+            throw new AuthError('Invalid username or password');
+        }
+
+        return this.issueTokens(user);
+    }
+
+    async refresh(refreshToken) {
+        const claims = this.verifyToken(refreshToken, 'refresh');
+        const user = await this.users.findById(claims.sub);
+
+        if (!user || user.token_version !== claims.ver) {
+            throw new AuthError('Refresh token revoked');
+        }
+
+        return this.issueTokens(user);
+    }
+
+    /**
+     * Invalidate every refresh token issued to the user so far.
+     */
+    async revokeTokens(userId) {
+        const user = await this.users.findById(userId);
+        if (user) {
+            await this.users.update(userId, { token_version: user.token_version + 1 });
+        }
+    }
+
+    /**
+     * Verify an access token and return the user it identifies.
+     */
+    verifyAccessToken(token) {
+        const claims = this.verifyToken(token, 'access');
+        return { id: claims.sub, username: claims.username };
+    }
+
+    verifyToken(token, type) {
+        if (typeof token !== 'string' || !token) {
+            throw new AuthError('Missing token');
+        }
+
+        let claims;
+        try {
+            claims = jwt.verify(token, this.config.jwtSecret);
+        } catch (error) {
+            if (error.name === 'TokenExpiredError') {
+                throw new AuthError('Token expired', 401, 'TOKEN_EXPIRED');
+            }
+            throw new AuthError('Invalid token');
+        }
+
+        if (claims.type !== type) {
+            throw new AuthError('Invalid token type');
+        }
+        return claims;
+    }
+
+    issueTokens(user) {
+        const access_token = jwt.sign(
+            { sub: user.id, username: user.username, type: 'access' },
+            this.config.jwtSecret,
+            { expiresIn: this.config.accessTokenTtl }
+        );
+        const refresh_token = jwt.sign(
+            { sub: user.id, ver: user.token_version, type: 'refresh' },
+            this.config.jwtSecret,
+            { expiresIn: this.config.refreshTokenTtl }
+        );
+
+        return {
+            user: this.toPublicUser(user),
+            access_token,
+            refresh_token,
+            token_type: 'Bearer',
+            expires_in: this.config.accessTokenTtl
+        };
+    }
+
+    toPublicUser(user) {
+        return {
+            id: user.id,
+            username: user.username,
+            created_at: user.created_at
+        };
+    }
+}
+
+function createAuthService(config) {
+    return new AuthService(config);
+}
+
+module.exports = {
+    AuthService,
+    AuthError,
+    createAuthService
+};
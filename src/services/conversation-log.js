@@ -0,0 +1,189 @@
+/**
+ * Per-conversation message log on IPFS as a hash-linked chain
+ *
+ * Each stored message envelope carries `prev`, the CID of the previous
+ * message in the conversation, and `seq`, its position (see
+ * shared/conversation-chain.js). Appends are serialized per conversation
+ * in this process and committed with a compare-and-set on the head, so
+ * concurrent instances retry instead of forking the chain.
+ *
+ * Emits 'head' with ({ conversation_id, head_cid, seq, updated_at }, message)
+ * after every append.
+ */
+
+const EventEmitter = require('events');
+const { verifyChain } = require('../shared/conversation-chain');
+
+class ChainError extends Error {
+    constructor(message, status = 400) {
+        super(message);
+        this.name = 'ChainError';
+        this.status = status;
+    }
+}
+
+function logTopic(conversationId) {
+    return `chat-log-${conversationId}`;
+}
+
+class ConversationLog extends EventEmitter {
+    constructor(config = {}) {
+        super();
+
+        this.config = {
+            maxRetries: config.maxRetries || 5,
+            maxExportEntries: config.maxExportEntries || 1000,
+            gatewayUrl: config.gatewayUrl || null
+        };
+
+        this.ipfs = config.ipfsService;
+        this.heads = config.chainHeadRepository;
+        this.messages = config.messageRepository;
+
+        this.tails = new Map();
+    }
+
+    async getHead(conversationId) {
+        return this.heads.get(conversationId);
+    }
+
+    /**
+     * Store a message on IPFS as the new head of its conversation and
+     * record the CID on the stored message. Resolves to the updated message.
+     */
+    append(message) {
+        const conversationId = message.conversation_id;
+        const previous = this.tails.get(conversationId) || Promise.resolve();
+        const result = previous.catch(() => {}).then(() => this.appendNow(message));
+
+        this.tails.set(conversationId, result);
+        result.catch(() => {}).finally(() => {
+            if (this.tails.get(conversationId) === result) this.tails.delete(conversationId);
+        });
+        return result;
+    }
+
+    async appendNow(message) {
+        // The content is pinned apart from the chain entry so that deleting
+        // or expiring the message releases the content but never breaks the
+        // chain: the entry stays pinned and keeps its prev link.
+        const contentOptions = {
+            owner: message.sender_id,
+            conversationId: message.conversation_id,
+            kind: 'message_content',
+            ttlMs: message.expires_at ? Math.max(new Date(message.expires_at) - Date.now(), 1) : undefined
+        };
+        const contentCid = await this.ipfs.addMessageContent(message.encrypted_content, message.group_id, contentOptions);
+        let appended = false;
+
+        try {
+            for (let attempt = 0; attempt < this.config.maxRetries; attempt++) {
+                const head = await this.heads.get(message.conversation_id);
+                const prev = head?.head_cid || null;
+                const seq = (head?.seq || 0) + 1;
+
+                const envelope = await this.ipfs.createMessageEnvelope({
+                    type: 'message',
+                    message_id: message.id,
+                    conversation_id: message.conversation_id,
+                    sender_id: message.sender_id,
+                    recipient_id: message.recipient_id,
+                    group_id: message.group_id,
+                    content_cid: contentCid,
+                    message_type: message.type,
+                    target_id: message.target_id,
+                    parent_id: message.parent_id,
+                    prev,
+                    seq
+                });
+                const pinOptions = {
+                    owner: message.sender_id,
+                    conversationId: message.conversation_id,
+                    kind: 'message'
+                };
+                const cid = await this.ipfs.addJSON(envelope, pinOptions);
+
+                if (await this.heads.advance(message.conversation_id, prev, cid, seq)) {
+                    appended = true;
+                    const fields = { ipfs_cid: cid, ipfs_content_cid: contentCid, ipfs_prev: prev, ipfs_seq: seq };
+                    if (this.config.gatewayUrl) fields.ipfs_url = `${this.config.gatewayUrl}/ipfs/${cid}`;
+
+                    Object.assign(message, fields);
+                    await this.messages.update(message.id, fields);
+
+                    this.emit('head', await this.heads.get(message.conversation_id), message);
+                    return message;
+                }
+
+                // Another instance extended the chain first; build on its head instead
+                await this.ipfs.pins.discard(cid, pinOptions).catch(() => {});
+            }
+
+            throw new Error(`Could not append to ${message.conversation_id}: head kept moving`);
+        } finally {
+            if (!appended) await this.ipfs.pins.discard(contentCid, contentOptions).catch(() => {});
+        }
+    }
+
+    /**
+     * Walk the chain back from `from` (default: the current head) and
+     * return up to `limit` entries oldest first, plus the verification
+     * result. `next` is the CID to continue from when the walk stopped
+     * early; `missing` is set when an entry could not be fetched. An entry
+     * of another conversation (e.g. a `from` CID picked from elsewhere)
+     * fails the export before anything of it is returned.
+     */
+    async export(conversationId, options = {}) {
+        const limit = Math.min(options.limit || this.config.maxExportEntries, this.config.maxExportEntries);
+        const head = await this.heads.get(conversationId);
+        const start = options.from || head?.head_cid || null;
+
+        const entries = [];
+        let cid = start;
+        let missing = null;
+
+        while (cid && entries.length < limit) {
+            let entry;
+            try {
+                entry = await this.ipfs.getMessage(cid);
+            } catch (error) {
+                missing = { cid, error: error.message };
+                break;
+            }
+            if (entry.conversation_id !== conversationId) {
+                throw new ChainError(`${cid} is not part of conversation ${conversationId}`);
+            }
+            entries.push(entry);
+            cid = entry.prev ?? null;
+        }
+
+        const next = missing ? null : cid;
+        entries.reverse();
+
+        return {
+            conversation_id: conversationId,
+            head: start,
+            current_head: head?.head_cid || null,
+            entries,
+            complete: !cid,
+            next,
+            missing,
+            verification: verifyChain(entries, {
+                conversationId,
+                head: start,
+                complete: !next
+            })
+        };
+    }
+}
+
+function createConversationLog(config) {
+    return new ConversationLog(config);
+}
+
+module.exports = {
+    ChainError,
+    ConversationLog,
+    createConversationLog,
+    logTopic
+};
@@ -0,0 +1,58 @@
+/**
+ * MongoDB connection management
+ */
+
+const mongoose = require('mongoose');
+const logger = require('../utils/logger').logger.child({ component: 'mongodb' });
+
+let connection = null;
+
+/**
+ * Open the MongoDB connection. Returns null when no URI is configured so
+ * callers fall back to in-memory storage. Mongoose buffers model operations
+ * until the connection is established, so the result can be used right away.
+ */
+function connectDatabase(uri, options = {}) {
+    if (!uri) {
+        logger.warn('MONGODB_URI not set, using in-memory storage');
+        return null;
+    }
+
+    connection = mongoose.createConnection(uri, {
+        serverSelectionTimeoutMS: options.timeout || 5000
+    });
+
+    connection.on('connected', () => logger.info('MongoDB connected'));
+    connection.on('disconnected', () => logger.warn('MongoDB disconnected'));
+    connection.on('error', (error) => logger.error('MongoDB error', { err: error }));
+    // Initial connection failures are reported through the 'error' event
+    connection.asPromise().catch(() => {});
+
+    return connection;
+}
+
+const READY_STATES = ['disconnected', 'connected', 'connecting', 'disconnecting'];
+
+/**
+ * Round-trip to the server. Rejects unless the connection is up.
+ */
+async function pingDatabase(db) {
+    if (db.readyState !== 1) {
+        throw new Error(`MongoDB ${READY_STATES[db.readyState] || 'unavailable'}`);
+    }
+    await db.db.admin().ping();
+}
+
+async function closeDatabase() {
+    if (connection) {
+        await connection.close();
+        connection = null;
+        logger.info('MongoDB connection closed');
+    }
+}
+
+module.exports = {
+    connectDatabase,
+    pingDatabase,
+    closeDatabase
+};
@@ -0,0 +1,128 @@
+/**
+ * Offline queueing and delivery/read receipts
+ *
+ * Every message is queued for each recipient until one of their devices
+ * acknowledges it, so messages to offline users are flushed on their next
+ * connect. Status only moves forward: sent → delivered → read. Group
+ * messages keep a receipt per member in `receipts` and their overall
+ * status is that of the furthest-behind member. Emits 'delivered' and
+ * 'read' with the updated message and the recipient id.
+ */
+
+const EventEmitter = require('events');
+const { messageRecipients } = require('../utils/messages');
+
+const STATUS_ORDER = { sent: 0, delivered: 1, read: 2 };
+
+class DeliveryService extends EventEmitter {
+    constructor(config = {}) {
+        super();
+
+        this.messages = config.messageRepository;
+        this.queue = config.queueRepository;
+    }
+
+    async enqueue(message) {
+        await Promise.all(messageRecipients(message).map(userId => this.queue.push(userId, message.id)));
+    }
+
+    /**
+     * Queued messages for a recipient, to be re-sent when a device connects.
+     * Entries whose message no longer exists are dropped.
+     */
+    async pending(recipientId) {
+        const ids = await this.queue.list(recipientId);
+        const messages = await Promise.all(ids.map(id => this.messages.findById(id)));
+
+        const missing = ids.filter((id, i) => !messages[i]);
+        if (missing.length) await this.queue.remove(recipientId, missing);
+
+        return messages.filter(Boolean);
+    }
+
+    async markDelivered(recipientId, messageIds) {
+        return this.advance(recipientId, messageIds, 'delivered');
+    }
+
+    async markRead(recipientId, messageIds) {
+        return this.advance(recipientId, messageIds, 'read');
+    }
+
+    /**
+     * Move messages addressed to `recipientId` forward to `status`. Ids
+     * that are unknown, addressed to someone else or already past `status`
+     * are ignored. Returns the updated messages.
+     */
+    async advance(recipientId, messageIds, status) {
+        const now = new Date();
+        const updated = [];
+
+        for (const id of new Set(messageIds)) {
+            const message = await this.messages.findById(id);
+            if (!message || !messageRecipients(message).includes(recipientId)) continue;
+
+            const fields = message.group_id
+                ? this.groupFields(message, recipientId, status, now)
+                : this.receiptFields(message, status, now);
+            if (!fields) continue;
+
+            updated.push(await this.messages.update(id, fields));
+        }
+
+        if (updated.length) {
+            await this.queue.remove(recipientId, updated.map(m => m.id));
+        }
+        updated.forEach(message => this.emit(status, message, recipientId));
+        return updated;
+    }
+
+    /**
+     * Fields that move a receipt to `status`, or null if it is already there.
+     */
+    receiptFields(receipt, status, now) {
+        if (STATUS_ORDER[receipt.status || 'sent'] >= STATUS_ORDER[status]) return null;
+
+        const fields = { status };
+        if (!receipt.delivered_at) fields.delivered_at = now;
+        if (status === 'read') fields.read_at = now;
+        return fields;
+    }
+
+    groupFields(message, recipientId, status, now) {
+        const receipt = message.receipts?.[recipientId] || {};
+        const fields = this.receiptFields(receipt, status, now);
+        if (!fields) return null;
+
+        const receipts = { ...message.receipts, [recipientId]: { ...receipt, ...fields } };
+        const overall = messageRecipients(message)
+            .map(userId => receipts[userId]?.status || 'sent')
+            .reduce((lowest, s) => STATUS_ORDER[s] < STATUS_ORDER[lowest] ? s : lowest, 'read');
+
+        return { receipts, ...(this.receiptFields(message, overall, now) || {}) };
+    }
+
+    /**
+     * Delivery state of a message for one recipient.
+     */
+    receiptFor(message, recipientId) {
+        const receipt = message.group_id ? message.receipts?.[recipientId] || {} : message;
+        return {
+            status: receipt.status || 'sent',
+            delivered_at: receipt.delivered_at || null,
+            read_at: receipt.read_at || null
+        };
+    }
+
+    async queueDepth() {
+        return this.queue.depth();
+    }
+}
+
+function createDeliveryService(config) {
+    return new DeliveryService(config);
+}
+
+module.exports = {
+    DeliveryService,
+    createDeliveryService
+};
@@ -0,0 +1,68 @@
+/**
+ * Server-side checks for end-to-end encrypted envelopes
+ *
+ * The server never decrypts. It checks the envelope structure, that the
+ * envelope is addressed as claimed, that a signed message reference
+ * matches the message it arrived in, and that it is signed by the
+ * sender's published signing key.
+ */
+
+const { VERSION, validateEnvelope, verifyEnvelope } = require('../shared/e2e-envelope');
+
+const MESSAGE_FIELDS = ['id', 'type', 'target_id', 'parent_id'];
+
+/**
+ * The signed message reference of a current-version envelope, or null for
+ * older envelopes, whose signature does not cover one.
+ */
+function signedMessage(envelope) {
+    return envelope?.version === VERSION ? envelope.message : null;
+}
+
+function createEnvelopeVerifier(keyRepository) {
+    /**
+     * Returns a list of problems, empty when the envelope is acceptable.
+     *
+     * @param {object} expected
+     * @param {string} expected.senderId
+     * @param {string} expected.recipientId
+     * @param {object} [expected.message]        { id, type, target_id, parent_id } a
+     *                                           signed message reference must match
+     * @param {boolean} [expected.requireSigned] Refuse envelopes without one
+     */
+    return async function verify(envelope, expected) {
+        const { senderId, recipientId, message, requireSigned = false } = expected;
+        const errors = validateEnvelope(envelope);
+        if (errors.length) return errors;
+
+        if (envelope.sender_id !== senderId) {
+            return ['envelope sender_id does not match the sender'];
+        }
+        if (envelope.recipient_id !== recipientId) {
+            return ['envelope recipient_id does not match recipient_id'];
+        }
+
+        const signed = signedMessage(envelope);
+        if (!signed && requireSigned) {
+            return [`envelope must be version ${VERSION}, which signs the message id, type and links`];
+        }
+        if (signed && message) {
+            const mismatched = MESSAGE_FIELDS.filter(field => signed[field] !== message[field]);
+            if (mismatched.length) {
+                return [`envelope message does not match the message in ${mismatched.join(', ')}`];
+            }
+        }
+
+        const senderKeys = await keyRepository.get(senderId);
+        if (!senderKeys) {
+            return ['sender has not published identity keys'];
+        }
+        if (!await verifyEnvelope(envelope, senderKeys.signing_key)) {
+            return ['envelope signature is invalid'];
+        }
+
+        return [];
+    };
+}
+
+module.exports = { createEnvelopeVerifier, signedMessage };
@@ -0,0 +1,54 @@
+/**
+ * Storage and PubSub backends for the IPFS fallback transport
+ *
+ * IPFSService reaches content, PubSub and IPNS names through one
+ * FallbackStore:
+ *
+ *   put(buffer, { pin, filename })       store content, resolve to its CID
+ *   get(cid, { offset, length, timeout }) read content or a byte range
+ *   getBlock(cid, { timeout })           raw block bytes; callers check them against the CID
+ *   unpin(cid), gc()                     release content and collect unpinned blocks
+ *   stat()                               { repo_size, storage_max, num_objects }
+ *   publish(topic, data)                 send a string to a PubSub topic
+ *   subscribe(topic, options)            subscription emitting 'message' { from, seqno,
+ *                                        topic, envelope }, 'invalid', 'subscribed' and
+ *                                        'disconnected'; reconnectNow(), close()
+ *   ensureKey(name)                      IPNS name of a named key, created on first use
+ *   publishName(cid, { key, lifetime, ttl, timeout })  point a key's name at a CID
+ *   resolveName(name, { timeout })       CID a name points to, or null
+ *   ping()                               cheap liveness check, used as reconnect probe
+ *   health()                             { backend, node_id, peer_count }
+ *   close()
+ *
+ * Backends:
+ *   kubo    a Kubo node's RPC API (default)
+ *   memory  this process only, for tests and offline development
+ *   fs      content-addressed files in a local directory, for air-gapped setups
+ */
+
+const { KuboStore } = require('./kubo-store');
+const { MemoryStore } = require('./memory-store');
+const { FileSystemStore } = require('./fs-store');
+
+const BACKENDS = {
+    kubo: KuboStore,
+    memory: MemoryStore,
+    fs: FileSystemStore
+};
+
+/**
+ * @param {object} config { backend, apiUrl, timeout (kubo), path (fs) }
+ */
+function createFallbackStore(config = {}) {
+    const backend = config.backend || 'kubo';
+    const Store = BACKENDS[backend];
+    if (!Store) {
+        throw new Error(`Unknown IPFS store "${backend}" (expected ${Object.keys(BACKENDS).join(', ')})`);
+    }
+    return new Store(config);
+}
+
+module.exports = {
+    createFallbackStore,
+    BACKENDS
+};
@@ -0,0 +1,198 @@
+/**
+ * FallbackStore in a local directory, for air-gapped deployments
+ *
+ * Layout under the store directory:
+ *   blocks/<cid>   content, addressed like IPFS raw blocks (CIDv1, sha2-256)
+ *   pins/<cid>     empty marker for pinned content; gc() deletes the rest
+ *   names.json     IPNS keys and what their names point to
+ *
+ * Content and names survive restarts. PubSub only reaches this process,
+ * so run one chat-server instance per store.
+ */
+
+const fs = require('fs/promises');
+const { constants } = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { isCid, cidForBlock } = require('../utils/cid');
+const { LocalPubSub, generateName, notFoundError } = require('./memory-store');
+
+class FileSystemStore {
+    constructor(config = {}) {
+        if (!config.path) {
+            throw new Error('The fs store needs a directory (IPFS_STORE_PATH)');
+        }
+
+        this.backend = 'fs';
+        this.root = path.resolve(config.path);
+        this.nodeId = `fs-${crypto.createHash('sha256').update(this.root).digest('hex').slice(0, 16)}`;
+        this.pubsub = new LocalPubSub(this.nodeId);
+
+        this.ready = null;
+        // names.json is rewritten one update at a time
+        this.namesWrite = Promise.resolve();
+    }
+
+    init() {
+        if (!this.ready) {
+            this.ready = Promise.all([
+                fs.mkdir(path.join(this.root, 'blocks'), { recursive: true }),
+                fs.mkdir(path.join(this.root, 'pins'), { recursive: true })
+            ]);
+            this.ready.catch(() => { this.ready = null; });
+        }
+        return this.ready;
+    }
+
+    // The CID check also keeps paths inside the store
+    blockPath(cid) {
+        if (!isCid(cid)) throw new Error('Invalid CID');
+        return path.join(this.root, 'blocks', cid);
+    }
+
+    pinPath(cid) {
+        if (!isCid(cid)) throw new Error('Invalid CID');
+        return path.join(this.root, 'pins', cid);
+    }
+
+    async writeAtomic(file, data) {
+        const temp = path.join(path.dirname(file), `.${path.basename(file)}.${crypto.randomBytes(6).toString('hex')}.tmp`);
+        await fs.writeFile(temp, data);
+        await fs.rename(temp, file);
+    }
+
+    async put(buffer, options = {}) {
+        await this.init();
+        const cid = cidForBlock(buffer);
+
+        // Pin before writing so a concurrent gc() cannot collect the block
+        if (options.pin !== false) await fs.writeFile(this.pinPath(cid), '');
+        await this.writeAtomic(this.blockPath(cid), buffer);
+        return cid;
+    }
+
+    async get(cid, options = {}) {
+        let handle;
+        try {
+            handle = await fs.open(this.blockPath(cid), 'r');
+        } catch (error) {
+            throw error.code === 'ENOENT' ? notFoundError(cid) : error;
+        }
+
+        try {
+            const { size } = await handle.stat();
+            const offset = Math.min(options.offset || 0, size);
+            const length = Math.min(options.length ?? size, size - offset);
+            const buffer = Buffer.alloc(length);
+            await handle.read(buffer, 0, length, offset);
+            return buffer;
+        } finally {
+            await handle.close();
+        }
+    }
+
+    async getBlock(cid) {
+        try {
+            return await fs.readFile(this.blockPath(cid));
+        } catch (error) {
+            throw error.code === 'ENOENT' ? notFoundError(cid) : error;
+        }
+    }
+
+    async unpin(cid) {
+        await fs.rm(this.pinPath(cid), { force: true });
+    }
+
+    async gc() {
+        await this.init();
+        const pinned = new Set(await fs.readdir(path.join(this.root, 'pins')));
+        for (const name of await fs.readdir(path.join(this.root, 'blocks'))) {
+            if (name.startsWith('.') || pinned.has(name)) continue;
+            await fs.rm(this.blockPath(name), { force: true });
+        }
+    }
+
+    async stat() {
+        await this.init();
+        const names = (await fs.readdir(path.join(this.root, 'blocks'))).filter(name => !name.startsWith('.'));
+        let size = 0;
+        for (const name of names) {
+            size += (await fs.stat(this.blockPath(name))).size;
+        }
+        return { repo_size: size, storage_max: null, num_objects: names.length };
+    }
+
+    async publish(topic, data) {
+        this.pubsub.publish(topic, data);
+    }
+
+    subscribe(topic) {
+        return this.pubsub.subscribe(topic);
+    }
+
+    async readNames() {
+        try {
+            return JSON.parse(await fs.readFile(path.join(this.root, 'names.json'), 'utf8'));
+        } catch (error) {
+            if (error.code === 'ENOENT') return { keys: {}, names: {} };
+            throw error;
+        }
+    }
+
+    /**
+     * Apply `change` to names.json; updates never interleave.
+     */
+    updateNames(change) {
+        const result = this.namesWrite.then(async () => {
+            await this.init();
+            const state = await this.readNames();
+            const value = change(state);
+            await this.writeAtomic(path.join(this.root, 'names.json'), JSON.stringify(state, null, 2));
+            return value;
+        });
+        this.namesWrite = result.catch(() => {});
+        return result;
+    }
+
+    async ensureKey(name) {
+        const { keys } = await this.readNames();
+        if (keys[name]) return keys[name];
+
+        return this.updateNames((state) => {
+            if (!state.keys[name]) state.keys[name] = generateName();
+            return state.keys[name];
+        });
+    }
+
+    async publishName(cid, options = {}) {
+        const name = await this.ensureKey(options.key || 'self');
+        await this.updateNames((state) => {
+            state.names[name] = cid;
+        });
+        return { name, value: `/ipfs/${cid}` };
+    }
+
+    async resolveName(name) {
+        const { names } = await this.readNames();
+        return names[name] || null;
+    }
+
+    async ping() {
+        await this.init();
+        await fs.access(this.root, constants.W_OK);
+        return { Version: this.backend };
+    }
+
+    async health() {
+        await this.ping();
+        return { backend: this.backend, node_id: this.nodeId, peer_count: 0 };
+    }
+
+    close() {
+        this.pubsub.close();
+    }
+}
+
+module.exports = {
+    FileSystemStore
+};
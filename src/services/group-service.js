@@ -0,0 +1,256 @@
+/**
+ * Group conversations: membership, roles and system messages
+ *
+ * Roles are owner, admin and member. Admins (and the owner) can rename the
+ * group and add or remove members; only the owner can change roles, and
+ * removing the owner is not possible except by leaving, which hands
+ * ownership to the longest-standing admin (or member).
+ *
+ * Every change is stored in the group's history as a system message signed
+ * with the server key, and emitted as 'updated' with { group, message,
+ * removed_ids } so the server can notify current and former members.
+ */
+
+const crypto = require('crypto');
+const EventEmitter = require('events');
+const { groupConversationId } = require('../utils/conversation');
+const logger = require('../utils/logger').logger.child({ component: 'groups' });
+
+class GroupError extends Error {
+    constructor(message, status = 400) {
+        super(message);
+        this.name = 'GroupError';
+        this.status = status;
+    }
+}
+
+const ROLE_RANK = { member: 0, admin: 1, owner: 2 };
+const MAX_NAME_LENGTH = 100;
+
+class GroupService extends EventEmitter {
+    constructor(config = {}) {
+        super();
+
+        this.config = {
+            maxMembers: config.maxMembers || 256
+        };
+
+        this.groups = config.groupRepository;
+        this.messages = config.messageRepository;
+        this.users = config.userRepository;
+        this.signer = config.systemSigner;
+    }
+
+    async create(actorId, { name, member_ids: memberIds = [] } = {}) {
+        const groupName = this.validateName(name);
+        const userIds = await this.validateUserIds(memberIds);
+
+        const now = new Date();
+        const members = [{ user_id: actorId, role: 'owner', joined_at: now }];
+        for (const userId of userIds) {
+            if (userId !== actorId) members.push({ user_id: userId, role: 'member', joined_at: now });
+        }
+        this.checkSize(members);
+
+        const group = await this.groups.create({
+            id: crypto.randomUUID(),
+            name: groupName,
+            created_by: actorId,
+            members,
+            created_at: now,
+            updated_at: now
+        });
+
+        logger.info('Group created', { group_id: group.id, members: members.length });
+        return this.record(group, {
+            action: 'group_created',
+            actor_id: actorId,
+            name: groupName,
+            member_ids: members.map(member => member.user_id)
+        });
+    }
+
+    /**
+     * A group the user belongs to. Groups the user is not in are reported
+     * as missing so their existence is not revealed.
+     */
+    async get(userId, groupId) {
+        const group = await this.groups.findById(groupId);
+        if (!group || !this.memberOf(group, userId)) {
+            throw new GroupError('Group not found', 404);
+        }
+        return group;
+    }
+
+    async listForUser(userId) {
+        return this.groups.listForUser(userId);
+    }
+
+    async rename(actorId, groupId, name) {
+        const group = await this.get(actorId, groupId);
+        this.requireRole(group, actorId, 'admin');
+        const groupName = this.validateName(name);
+
+        const updated = await this.groups.update(groupId, { name: groupName, updated_at: new Date() });
+        return this.record(updated, { action: 'group_renamed', actor_id: actorId, name: groupName });
+    }
+
+    async addMembers(actorId, groupId, userIds) {
+        const group = await this.get(actorId, groupId);
+        this.requireRole(group, actorId, 'admin');
+
+        const now = new Date();
+        const added = (await this.validateUserIds(userIds)).filter(userId => !this.memberOf(group, userId));
+        if (!added.length) {
+            throw new GroupError('No new members to add');
+        }
+
+        const members = [...group.members, ...added.map(userId => ({ user_id: userId, role: 'member', joined_at: now }))];
+        this.checkSize(members);
+
+        const updated = await this.groups.update(groupId, { members, updated_at: now });
+        return this.record(updated, { action: 'members_added', actor_id: actorId, member_ids: added });
+    }
+
+    /**
+     * Remove a member, or leave the group when `userId` is the actor.
+     */
+    async removeMember(actorId, groupId, userId) {
+        const group = await this.get(actorId, groupId);
+        const target = this.memberOf(group, userId);
+        if (!target) {
+            throw new GroupError('User is not a member of this group', 404);
+        }
+
+        let members = group.members.filter(member => member.user_id !== userId);
+        let event;
+
+        if (userId === actorId) {
+            event = { action: 'member_left', actor_id: actorId, member_ids: [userId] };
+            if (target.role === 'owner' && members.length) {
+                members = this.handOverOwnership(members);
+                event.new_owner_id = members.find(member => member.role === 'owner').user_id;
+            }
+        } else {
+            this.requireRole(group, actorId, 'admin');
+            if (ROLE_RANK[target.role] >= ROLE_RANK[this.memberOf(group, actorId).role]) {
+                throw new GroupError('Cannot remove a member with an equal or higher role', 403);
+            }
+            event = { action: 'member_removed', actor_id: actorId, member_ids: [userId] };
+        }
+
+        const updated = await this.groups.update(groupId, { members, updated_at: new Date() });
+        return this.record(updated, event, [userId]);
+    }
+
+    /**
+     * Change a member's role. Making someone owner transfers ownership and
+     * turns the current owner into an admin.
+     */
+    async setRole(actorId, groupId, userId, role) {
+        const group = await this.get(actorId, groupId);
+        this.requireRole(group, actorId, 'owner');
+
+        if (!Object.hasOwn(ROLE_RANK, role)) {
+            throw new GroupError('role must be owner, admin or member');
+        }
+        const target = this.memberOf(group, userId);
+        if (!target) {
+            throw new GroupError('User is not a member of this group', 404);
+        }
+        if (userId === actorId) {
+            throw new GroupError('Transfer ownership to another member instead');
+        }
+        if (target.role === role) {
+            return { group, message: null, removed_ids: [] };
+        }
+
+        const members = group.members.map((member) => {
+            if (member.user_id === userId) return { ...member, role };
+            if (role === 'owner' && member.user_id === actorId) return { ...member, role: 'admin' };
+            return member;
+        });
+
+        const updated = await this.groups.update(groupId, { members, updated_at: new Date() });
+        return this.record(updated, { action: 'role_changed', actor_id: actorId, member_ids: [userId], role });
+    }
+
+    /**
+     * Store a signed system message for a change and announce it.
+     */
+    async record(group, event, removedIds = []) {
+        const message = {
+            id: crypto.randomUUID(),
+            conversation_id: groupConversationId(group.id),
+            group_id: group.id,
+            type: 'system',
+            sender_id: 'system',
+            event,
+            timestamp: new Date(),
+            status: 'sent'
+        };
+        message.signature = this.signer.sign(message);
+
+        await this.messages.save(message);
+
+        const result = { group, message, removed_ids: removedIds };
+        this.emit('updated', result);
+        return result;
+    }
+
+    memberOf(group, userId) {
+        return group.members.find(member => member.user_id === userId) || null;
+    }
+
+    requireRole(group, userId, role) {
+        const member = this.memberOf(group, userId);
+        if (!member || ROLE_RANK[member.role] < ROLE_RANK[role]) {
+            throw new GroupError(`Only a group ${role} can do this`, 403);
+        }
+    }
+
+    handOverOwnership(members) {
+        const byJoined = (a, b) => new Date(a.joined_at) - new Date(b.joined_at);
+        const successor = members.filter(member => member.role === 'admin').sort(byJoined)[0]
+            || [...members].sort(byJoined)[0];
+        return members.map(member => member === successor ? { ...member, role: 'owner' } : member);
+    }
+
+    validateName(name) {
+        const trimmed = typeof name === 'string' ? name.trim() : '';
+        if (!trimmed || trimmed.length > MAX_NAME_LENGTH) {
+            throw new GroupError(`name must be 1-${MAX_NAME_LENGTH} characters`);
+        }
+        return trimmed;
+    }
+
+    async validateUserIds(userIds) {
+        if (!Array.isArray(userIds) || userIds.some(id => typeof id !== 'string')) {
+            throw new GroupError('member_ids must be an array of user ids');
+        }
+
+        const unique = [...new Set(userIds)];
+        const users = await Promise.all(unique.map(id => this.users.findById(id)));
+        const unknown = unique.filter((id, i) => !users[i]);
+        if (unknown.length) {
+            throw new GroupError(`Unknown users: ${unknown.join(', ')}`);
+        }
+        return unique;
+    }
+
+    checkSize(members) {
+        if (members.length > this.config.maxMembers) {
+            throw new GroupError(`Groups are limited to ${this.config.maxMembers} members`);
+        }
+    }
+}
+
+function createGroupService(config) {
+    return new GroupService(config);
+}
+
+module.exports = {
+    GroupError,
+    GroupService,
+    createGroupService
+};
@@ -0,0 +1,114 @@
+/**
+ * Dependency health checks behind /health/live and /health/ready
+ *
+ * Each dependency registers a probe that resolves when it works and
+ * rejects when it does not. A probe may resolve to { disabled: true } when
+ * the dependency is not configured (e.g. in-memory storage instead of
+ * MongoDB), and to an object of details otherwise.
+ *
+ * Liveness only says the process can still answer; readiness runs every
+ * probe with a timeout and fails while any required dependency is down or
+ * the server is shutting down. Checks that arrive while one is running
+ * share its result, so a busy load balancer cannot pile up probes.
+ *
+ * Emits 'checked' with every readiness result.
+ */
+
+const EventEmitter = require('events');
+
+class HealthService extends EventEmitter {
+    constructor(config = {}) {
+        super();
+
+        this.config = {
+            timeoutMs: config.timeoutMs || 3000,
+            // Dependencies whose failure still leaves the server ready
+            optional: new Set(config.optional || [])
+        };
+
+        this.probes = new Map();
+        this.startedAt = Date.now();
+        this.shuttingDown = false;
+        this.running = null;
+    }
+
+    /**
+     * Register a dependency. `options.timeoutMs` overrides the default.
+     */
+    register(name, probe, options = {}) {
+        this.probes.set(name, {
+            probe,
+            timeoutMs: options.timeoutMs || this.config.timeoutMs,
+            required: options.required ?? !this.config.optional.has(name)
+        });
+    }
+
+    /**
+     * Stop reporting ready so load balancers drain this instance.
+     */
+    shutdown() {
+        this.shuttingDown = true;
+    }
+
+    liveness() {
+        return {
+            status: 'alive',
+            timestamp: new Date().toISOString(),
+            uptime_s: Math.round((Date.now() - this.startedAt) / 1000)
+        };
+    }
+
+    async runProbe(name, { probe, timeoutMs, required }) {
+        const started = Date.now();
+        let timer;
+        try {
+            const timeout = new Promise((resolve, reject) => {
+                timer = setTimeout(() => reject(new Error(`timed out after ${timeoutMs}ms`)), timeoutMs);
+            });
+            const details = await Promise.race([probe(), timeout]) || {};
+            if (details.disabled) return { status: 'disabled', required: false, reason: details.reason || null };
+
+            return { status: 'up', required, latency_ms: Date.now() - started, ...details };
+        } catch (error) {
+            return { status: 'down', required, latency_ms: Date.now() - started, error: error.message };
+        } finally {
+            clearTimeout(timer);
+        }
+    }
+
+    /**
+     * Run every probe. Resolves to { ready, status, dependencies }; status
+     * is 'ready', 'degraded' (only optional dependencies down),
+     * 'unavailable' or 'shutting_down'.
+     */
+    readiness() {
+        if (!this.running) {
+            this.running = this.check().finally(() => { this.running = null; });
+        }
+        return this.running;
+    }
+
+    async check() {
+        const names = [...this.probes.keys()];
+        const results = await Promise.all(names.map(name => this.runProbe(name, this.probes.get(name))));
+        const dependencies = Object.fromEntries(names.map((name, i) => [name, results[i]]));
+
+        const down = results.filter(result => result.status === 'down');
+        const ready = !this.shuttingDown && !down.some(result => result.required);
+        let status = down.length ? 'degraded' : 'ready';
+        if (!ready) status = this.shuttingDown ? 'shutting_down' : 'unavailable';
+
+        const result = { ready, status, timestamp: new Date().toISOString(), dependencies };
+        this.emit('checked', result);
+        return result;
+    }
+}
+
+function createHealthService(config) {
+    return new HealthService(config);
+}
+
+module.exports = {
+    HealthService,
+    createHealthService
+};
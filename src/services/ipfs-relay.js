@@ -0,0 +1,132 @@
+/**
+ * Relay for messages arriving over the IPFS PubSub fallback transport
+ *
+ * Messages are spread over a fixed set of `chat-relay-<n>` topics by
+ * recipient or group, so a server listens for every user, online or not,
+ * with `topicCount` subscriptions however many users there are. Every
+ * server must use the same count. The relay verifies each envelope
+ * against the sender's published keys (PubSub carries no session, so the
+ * signature is the only proof of origin), drops messages already received
+ * over another transport, stores the rest and emits 'message' for live
+ * delivery. Envelopes must sign the message id, type and link: otherwise
+ * an envelope the sender signed for one message could be replayed as
+ * another, or as a delete of it. Anyone can republish an old payload, so
+ * the message is dated when its envelopes were signed, never by the
+ * payload's timestamp, and envelopes older than the de-duplication window,
+ * whose signatures may have been forgotten, are refused.
+ */
+
+const EventEmitter = require('events');
+const crypto = require('crypto');
+const { MessageError } = require('./message-service');
+const { logger: rootLogger, withContext } = require('../utils/logger');
+
+const logger = rootLogger.child({ component: 'ipfs-relay' });
+
+const DEFAULT_TOPIC_COUNT = 16;
+
+/**
+ * The topic a message is published on: one of `topicCount`, chosen by a
+ * hash of its group or recipient.
+ */
+function relayTopic(message, topicCount = DEFAULT_TOPIC_COUNT) {
+    const key = message.group_id ? `group:${message.group_id}` : `user:${message.recipient_id}`;
+    const hash = crypto.createHash('sha256').update(key).digest();
+    return `chat-relay-${hash.readUInt32BE(0) % topicCount}`;
+}
+
+class IPFSRelay extends EventEmitter {
+    constructor(config = {}) {
+        super();
+
+        this.ipfs = config.ipfsService;
+        this.messageService = config.messageService;
+        this.topicCount = config.topicCount || DEFAULT_TOPIC_COUNT;
+
+        this.subscriptions = new Map();
+    }
+
+    topicFor(message) {
+        return relayTopic(message, this.topicCount);
+    }
+
+    /**
+     * Subscribe to every relay topic. Subscriptions stay open for the
+     * lifetime of the process.
+     */
+    start() {
+        for (let index = 0; index < this.topicCount; index++) {
+            this.watch(`chat-relay-${index}`);
+        }
+    }
+
+    /**
+     * Subscribe to `topic`, accepting only messages that belong on it so a
+     * topic cannot be used to inject messages elsewhere.
+     */
+    watch(topic) {
+        if (this.subscriptions.has(topic)) return;
+
+        const subscription = this.ipfs.pubsubSubscribe(topic);
+        if (!subscription) return;
+
+        subscription.on('message', ({ envelope, from }) => {
+            if (!envelope || typeof envelope !== 'object' || this.topicFor(envelope) !== topic) return;
+            // Each PubSub delivery is traced on its own; the message id links it to the sender's request
+            withContext({ correlation_id: crypto.randomUUID(), message_id: envelope.id, peer: from }, () => {
+                this.handleMessage(envelope, from).catch((error) => {
+                    logger.error('IPFS relay error', { err: error });
+                });
+            });
+        });
+        subscription.on('disconnected', (error) => {
+            if (error) logger.warn('IPFS subscription lost', { topic, err: error });
+        });
+
+        this.subscriptions.set(topic, subscription);
+    }
+
+    async handleMessage(data, from) {
+        let prepared;
+        try {
+            prepared = await this.messageService.prepare(data.sender_id, data, {
+                transport: 'ipfs',
+                requireId: true,
+                requireSigned: true,
+                signedTimestamp: true
+            });
+        } catch (error) {
+            if (!(error instanceof MessageError)) throw error;
+            logger.warn('Dropped IPFS message', { message_id: data.id, peer: from, reason: error.message, details: error.details });
+            return;
+        }
+
+        // Already received over WebSocket/HTTP or an earlier PubSub delivery
+        if (prepared.duplicate) return;
+
+        const message = await this.messageService.accept(prepared.message);
+        logger.info('Relayed IPFS message', {
+            message_id: message.id,
+            ...(message.group_id ? { group_id: message.group_id } : { recipient_id: message.recipient_id })
+        });
+        this.emit('message', message);
+    }
+
+    cleanup() {
+        for (const subscription of this.subscriptions.values()) {
+            subscription.close();
+        }
+        this.subscriptions.clear();
+        this.removeAllListeners();
+    }
+}
+
+function createIPFSRelay(config) {
+    return new IPFSRelay(config);
+}
+
+module.exports = {
+    IPFSRelay,
+    createIPFSRelay,
+    relayTopic
+};
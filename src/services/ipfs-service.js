@@ -1,10 +1,116 @@
 /**
  * IPFS Service Integration for Fallback Transport
+ *
+ * Content, PubSub and IPNS names go through a FallbackStore (see
+ * fallback-store.js): a Kubo node, memory or a local directory.
+ *
+ * The node may come up after the chat server or go away at any time:
+ * the service keeps reconnecting with backoff while it is down, fails
+ * calls fast meanwhile and emits 'connected' and 'disconnected' (with the
+ * error) on every change.
  */
 
 const axios = require('axios');
-const FormData = require('form-data');
 const EventEmitter = require('events');
+const crypto = require('crypto');
+const { Readable } = require('stream');
+const { validateEnvelope } = require('../shared/e2e-envelope');
+const { VERSION: MAILBOX_VERSION, validateMailbox } = require('../shared/mailbox');
+const { CODEC_RAW, CODEC_DAG_PB, isCid, parseCid, parseCidBytes, formatCid, verifyBlock } = require('../utils/cid');
+const { decodePBNode, decodeUnixFS } = require('../utils/unixfs');
+const { createPinManager } = require('./pin-manager');
+const { createFallbackStore } = require('./fallback-store');
+const logger = require('../utils/logger').logger.child({ component: 'ipfs' });
+
+const MESSAGE_ENVELOPE_VERSION = '1.0';
+
+// Errors that mean the node could not be reached at all, as opposed to
+// the node answering with an error or a slow request timing out
+const CONNECTION_ERRORS = new Set([
+    'ECONNREFUSED', 'ECONNRESET', 'EHOSTUNREACH', 'ENETUNREACH', 'ENOTFOUND', 'EAI_AGAIN', 'EPIPE'
+]);
+
+function isConnectionError(error) {
+    if (error.response) return [502, 503, 504].includes(error.response.status);
+    return CONNECTION_ERRORS.has(error.code);
+}
+
+/**
+ * Name of the Kubo key whose IPNS name points to a user's mailbox.
+ */
+function mailboxKeyName(userId) {
+    return `mailbox-${userId}`;
+}
+
+/**
+ * Problems with the end-to-end encrypted content of a stored message: one
+ * envelope, or for group messages a map of member id → envelope.
+ */
+function encryptedContentErrors(content, groupId) {
+    if (!groupId) return validateEnvelope(content);
+    if (!content || typeof content !== 'object' || Array.isArray(content)) {
+        return ['encrypted_content must map member ids to envelopes'];
+    }
+    const envelopes = Object.values(content);
+    return envelopes.length ? envelopes.flatMap(validateEnvelope) : ['encrypted_content has no envelopes'];
+}
+
+// Field that carries the id of the message each message_type points at
+const LINKED_MESSAGE_FIELDS = {
+    reply: 'parent_id',
+    edit: 'target_id',
+    delete: 'target_id'
+};
+
+/**
+ * Check a message envelope read back from IPFS (see createMessageEnvelope).
+ * Returns a list of problems, empty when it is well formed.
+ */
+function validateMessageEnvelope(envelope) {
+    if (!envelope || typeof envelope !== 'object' || Array.isArray(envelope)) {
+        return ['message must be a JSON object'];
+    }
+
+    const errors = [];
+    if (envelope.type !== 'message') errors.push('type must be message');
+    if (envelope.version !== MESSAGE_ENVELOPE_VERSION) errors.push(`version must be ${MESSAGE_ENVELOPE_VERSION}`);
+    if (typeof envelope.nonce !== 'string' || !/^[0-9a-f]{32}$/.test(envelope.nonce)) {
+        errors.push('nonce must be 16 bytes of hex');
+    }
+    if (typeof envelope.timestamp !== 'string' || Number.isNaN(Date.parse(envelope.timestamp))) {
+        errors.push('timestamp must be an ISO 8601 string');
+    }
+    if (typeof envelope.sender_id !== 'string' || !envelope.sender_id) {
+        errors.push('sender_id must be a non-empty string');
+    }
+    if (!envelope.group_id && (typeof envelope.recipient_id !== 'string' || !envelope.recipient_id)) {
+        errors.push('recipient_id or group_id required');
+    }
+    // Chain fields, absent on messages stored before conversation chains
+    if (envelope.seq !== undefined) {
+        if (!Number.isInteger(envelope.seq) || envelope.seq < 1) errors.push('seq must be a positive integer');
+        if (envelope.prev !== null && !isCid(envelope.prev)) errors.push('prev must be a CID or null');
+        if (typeof envelope.conversation_id !== 'string' || !envelope.conversation_id) {
+            errors.push('conversation_id must be a non-empty string');
+        }
+    }
+    // Replies, edits and deletes name the message they point at
+    if (envelope.message_type !== undefined) {
+        const link = LINKED_MESSAGE_FIELDS[envelope.message_type];
+        if (!link) {
+            errors.push(`message_type must be one of ${Object.keys(LINKED_MESSAGE_FIELDS).join(', ')}`);
+        } else if (typeof envelope[link] !== 'string' || !envelope[link]) {
+            errors.push(`${link} must be a non-empty string`);
+        }
+    }
+    // Chain entries keep the content apart; older messages carry it inline
+    if (envelope.content_cid !== undefined) {
+        if (!isCid(envelope.content_cid)) errors.push('content_cid must be a CID');
+    } else {
+        errors.push(...encryptedContentErrors(envelope.encrypted_content, envelope.group_id));
+    }
+    return errors;
+}
 
 class IPFSService extends EventEmitter {
     constructor(config = {}) {
@@ -13,89 +119,689 @@ class IPFSService extends EventEmitter {
         this.config = {
             apiUrl: config.apiUrl || 'http://ipfs:5001/api/v0',
             gateways: config.gateways || ['https://cloudflare-ipfs.com', 'https://ipfs.io'],
-            pubsubEnabled: config.pubsubEnabled || true,
-            timeout: config.timeout || 15000
+            pubsubEnabled: config.pubsubEnabled ?? true,
+            timeout: config.timeout || 15000,
+            // Per source when fetching verified content
+            fetchTimeout: config.fetchTimeout || 5000,
+            maxFetchBytes: config.maxFetchBytes || 10 * 1024 * 1024,
+            // IPNS publishing waits for the DHT and can take a minute or more
+            publishTimeout: config.publishTimeout || 2 * 60 * 1000,
+            ipnsLifetime: config.ipnsLifetime || '48h',
+            // Retries of idempotent calls after connection errors
+            retries: config.retries ?? 2,
+            retryDelay: config.retryDelay || 250,
+            // Consecutive connection errors that mark the node down
+            failureThreshold: config.failureThreshold || 3,
+            minReconnectDelay: config.minReconnectDelay || 1000,
+            maxReconnectDelay: config.maxReconnectDelay || 60000
         };
 
-        this.api = axios.create({
-            baseURL: this.config.apiUrl,
-            timeout: this.config.timeout
-        });
+        this.store = typeof config.store === 'object' && config.store !== null
+            ? config.store
+            : createFallbackStore({
+                backend: config.store,
+                apiUrl: this.config.apiUrl,
+                timeout: this.config.timeout,
+                path: config.storePath
+            });
 
+        // connecting → connected ⇄ disconnected; calls fail fast while disconnected
+        this.state = 'connecting';
         this.isConnected = false;
+        this.failures = 0;
+        this.lastError = null;
+        this.reconnectAttempt = 0;
+        this.reconnectTimer = null;
+        this.nextReconnectAt = null;
+        this.closed = false;
+
+        this.subscriptions = new Set();
+        // Kubo key name -> promise of its IPNS name
+        this.keys = new Map();
+
+        // Ownership, expiry and quotas of everything this server pins
+        this.pins = createPinManager({
+            ipfsService: this,
+            pinRepository: config.pinRepository,
+            ...config.pins
+        });
+
         this.init();
     }
 
+    /**
+     * First connection attempt. If the node is not up yet the service
+     * keeps reconnecting in the background.
+     */
     async init() {
         try {
             await this.checkConnection();
-            this.isConnected = true;
-            console.log('✅ IPFS service connected');
-            this.emit('connected');
         } catch (error) {
-            console.error('❌ IPFS service connection failed:', error.message);
-            this.isConnected = false;
-            this.emit('disconnected', error);
+            // Reported through markDown
         }
     }
 
+    /**
+     * Ping the store. Bypasses the circuit breaker, so it also serves as
+     * the reconnect probe.
+     */
     async checkConnection() {
-        const response = await this.api.post('/version');
-        return response.data;
+        try {
+            const version = await this.store.ping();
+            this.markUp();
+            return version;
+        } catch (error) {
+            this.recordFailure(error, { probe: true });
+            throw error;
+        }
     }
 
-    async addBuffer(buffer, options = {}) {
-        const formData = new FormData();
-        formData.append('file', buffer, { 
-            filename: options.filename || 'payload.bin'
-        });
+    /**
+     * Run `operation(store)`. Fails with code IPFS_UNAVAILABLE when the
+     * node cannot be reached, right away while it is marked down.
+     * `idempotent` operations are retried after connection errors first.
+     *
+     * Emits 'operation' with { operation: name, duration_s, error } once
+     * the call settles, retries included.
+     */
+    async call(name, operation, options = {}) {
+        const started = process.hrtime.bigint();
+        let failure = null;
+        try {
+            return await this.attempt(operation, options);
+        } catch (error) {
+            failure = error;
+            throw error;
+        } finally {
+            const duration = Number(process.hrtime.bigint() - started) / 1e9;
+            this.emit('operation', { operation: name, duration_s: duration, error: failure });
+        }
+    }
 
-        const response = await this.api.post('/add', formData, {
-            headers: formData.getHeaders(),
-            params: { pin: options.pin !== false }
-        });
+    async attempt(operation, options) {
+        const attempts = options.idempotent ? this.config.retries + 1 : 1;
+
+        for (let attempt = 0; ; attempt++) {
+            if (this.state === 'disconnected') throw this.unavailableError();
 
-        const cid = response.data.Hash;
-        console.log(`📎 Added to IPFS: ${cid}`);
+            try {
+                const result = await operation(this.store);
+                this.markUp();
+                return result;
+            } catch (error) {
+                if (!isConnectionError(error)) throw error;
+                this.recordFailure(error);
+                if (attempt + 1 >= attempts) throw this.unavailableError();
+                await new Promise(resolve => setTimeout(resolve, this.config.retryDelay * 2 ** attempt));
+            }
+        }
+    }
+
+    unavailableError() {
+        const error = new Error(`IPFS node unavailable: ${this.lastError?.message || 'not connected'}`);
+        error.code = 'IPFS_UNAVAILABLE';
+        return error;
+    }
+
+    markUp() {
+        this.failures = 0;
+        this.reconnectAttempt = 0;
+        this.nextReconnectAt = null;
+        clearTimeout(this.reconnectTimer);
+        this.reconnectTimer = null;
+        if (this.state === 'connected') return;
+
+        this.state = 'connected';
+        this.isConnected = true;
+        this.lastError = null;
+        logger.info('IPFS service connected', { backend: this.store.backend });
+        this.subscriptions.forEach(subscription => subscription.reconnectNow());
+        this.emit('connected');
+    }
+
+    /**
+     * Count a connection error. A failed probe, or failureThreshold
+     * consecutive errors from other calls, mark the node down.
+     */
+    recordFailure(error, { probe = false } = {}) {
+        this.lastError = error;
+        if (this.state === 'disconnected') {
+            if (probe) this.scheduleReconnect();
+            return;
+        }
+
+        this.failures++;
+        if (probe || this.failures >= this.config.failureThreshold) {
+            this.markDown(error);
+        }
+    }
+
+    markDown(error) {
+        this.state = 'disconnected';
+        this.isConnected = false;
+        this.failures = 0;
+        logger.error('IPFS service connection failed', { err: error });
+        this.emit('disconnected', error);
+        this.scheduleReconnect();
+    }
+
+    scheduleReconnect() {
+        if (this.closed || this.reconnectTimer) return;
+
+        const delay = Math.min(
+            this.config.minReconnectDelay * 2 ** this.reconnectAttempt,
+            this.config.maxReconnectDelay
+        );
+        this.reconnectAttempt++;
+        this.nextReconnectAt = new Date(Date.now() + delay);
+        this.reconnectTimer = setTimeout(() => {
+            this.reconnectTimer = null;
+            this.checkConnection().catch(() => {});
+        }, delay);
+        this.reconnectTimer.unref?.();
+    }
+
+    /**
+     * Connection state for status endpoints.
+     */
+    connectionStatus() {
+        return {
+            state: this.state,
+            connected: this.isConnected,
+            last_error: this.lastError?.message || null,
+            reconnect_attempts: this.reconnectAttempt,
+            next_reconnect_at: this.nextReconnectAt
+        };
+    }
+
+    /**
+     * Add a buffer. Pinned content (the default) is recorded for
+     * `options.owner` and `options.conversationId` with an optional
+     * `options.ttlMs`, and refused with a QUOTA_EXCEEDED error when it
+     * does not fit the owner's or the global quota.
+     */
+    async addBuffer(buffer, options = {}) {
+        const pin = options.pin !== false;
+        if (pin) await this.pins.checkQuota(options.owner, buffer.length);
+
+        const cid = await this.call('add', store => store.put(buffer, { pin, filename: options.filename }));
+        if (pin) {
+            await this.pins.record(cid, {
+                owner: options.owner,
+                conversationId: options.conversationId,
+                kind: options.kind,
+                size: buffer.length,
+                ttlMs: options.ttlMs
+            });
+        }
+        logger.debug('Added to IPFS', { cid, size: buffer.length, kind: options.kind, pinned: pin });
         return cid;
     }
 
-    async addJSON(data) {
+    async addJSON(data, options = {}) {
         const buffer = Buffer.from(JSON.stringify(data), 'utf8');
-        return this.addBuffer(buffer, { filename: 'data.json' });
+        return this.addBuffer(buffer, { filename: 'data.json', ...options });
     }
 
-    async cat(cid) {
-        const response = await this.api.post('/cat', null, {
-            params: { arg: cid },
-            responseType: 'arraybuffer'
-        });
-        return Buffer.from(response.data);
+    /**
+     * Read content by CID. `offset` and `length` select a byte range.
+     */
+    async cat(cid, options = {}) {
+        return this.call('cat', store => store.get(cid, { offset: options.offset, length: options.length }), { idempotent: true });
+    }
+
+    async unpin(cid) {
+        await this.call('unpin', store => store.unpin(cid), { idempotent: true });
+    }
+
+    /**
+     * Garbage-collect unpinned blocks from the repo.
+     */
+    async gc() {
+        await this.call('gc', store => store.gc());
+    }
+
+    /**
+     * IPNS name of the key `name`, generating the key on first use.
+     */
+    ensureKey(name) {
+        if (!this.keys.has(name)) {
+            const pending = this.call('key_gen', store => store.ensureKey(name));
+            pending.catch(() => this.keys.delete(name));
+            this.keys.set(name, pending);
+        }
+        return this.keys.get(name);
+    }
+
+    /**
+     * Point the IPNS name of key `options.key` (default: the node's own)
+     * at `cid`. Resolves once the record is published.
+     */
+    async publishName(cid, options = {}) {
+        return this.call('name_publish', store => store.publishName(cid, {
+            key: options.key || 'self',
+            lifetime: options.lifetime || this.config.ipnsLifetime,
+            ttl: options.ttl || '1m',
+            timeout: this.config.publishTimeout
+        }));
+    }
+
+    /**
+     * Resolve an IPNS name to the CID it currently points to.
+     */
+    async resolveName(name) {
+        const cid = await this.call(
+            'name_resolve',
+            store => store.resolveName(name, { timeout: this.config.publishTimeout }),
+            { idempotent: true }
+        );
+        if (!isCid(cid)) throw new Error(`${name} does not point to a CID`);
+        return cid;
+    }
+
+    /**
+     * Store a mailbox index listing `entries` (see shared/mailbox.js) and
+     * publish it under the user's IPNS name. Returns { name, cid, index }.
+     */
+    async publishMailbox(userId, entries) {
+        const key = mailboxKeyName(userId);
+        const name = await this.ensureKey(key);
+        const index = {
+            type: 'mailbox',
+            version: MAILBOX_VERSION,
+            owner_id: userId,
+            updated_at: new Date().toISOString(),
+            entries
+        };
+
+        // Server-maintained, so not counted against the user's quota
+        const cid = await this.addJSON(index, { filename: 'mailbox.json', kind: 'mailbox' });
+        await this.publishName(cid, { key });
+        return { name, cid, index };
+    }
+
+    /**
+     * Resolve a mailbox name and read its index, verified against the CID.
+     * Error codes: NOT_FOUND, INVALID_MAILBOX.
+     */
+    async resolveMailbox(name) {
+        const cid = await this.resolveName(name);
+        const { data } = await this.fetchVerified(cid);
+
+        let index;
+        try {
+            index = JSON.parse(data.toString('utf8'));
+        } catch (error) {
+            index = null;
+        }
+
+        const errors = validateMailbox(index);
+        if (errors.length) {
+            const error = new Error('Not a valid mailbox');
+            error.code = 'INVALID_MAILBOX';
+            error.details = errors;
+            throw error;
+        }
+        return { name, cid, index };
+    }
+
+    async repoStat() {
+        return this.call('repo_stat', store => store.stat(), { idempotent: true });
+    }
+
+    /**
+     * Store a (client-side encrypted) stream of any size as fixed-size
+     * chunks plus a JSON manifest listing them. Only `chunkSize` bytes are
+     * buffered at a time. Chunks and manifest are pinned for
+     * `options.owner`. Returns the manifest CID and manifest; on failure
+     * the chunks added so far are unpinned.
+     */
+    async addChunked(stream, options = {}) {
+        const chunkSize = options.chunkSize || 1024 * 1024;
+        const maxBytes = options.maxBytes || Infinity;
+        const pinOptions = {
+            owner: options.owner,
+            conversationId: options.conversationId,
+            ttlMs: options.ttlMs,
+            kind: 'attachment'
+        };
+        const hash = crypto.createHash('sha256');
+        const chunks = [];
+        let pending = [];
+        let pendingSize = 0;
+        let size = 0;
+
+        const addChunk = async (buffer) => {
+            const cid = await this.addBuffer(buffer, { filename: `chunk-${chunks.length}.bin`, ...pinOptions });
+            chunks.push({ cid, size: buffer.length });
+        };
+
+        // Leave the source open on errors so an HTTP request can still be answered
+        const source = typeof stream.iterator === 'function'
+            ? stream.iterator({ destroyOnReturn: false })
+            : stream;
+
+        try {
+            for await (const data of source) {
+                size += data.length;
+                if (size > maxBytes) {
+                    const error = new Error(`Attachment exceeds ${maxBytes} bytes`);
+                    error.code = 'TOO_LARGE';
+                    throw error;
+                }
+
+                hash.update(data);
+                pending.push(data);
+                pendingSize += data.length;
+
+                while (pendingSize >= chunkSize) {
+                    const buffer = Buffer.concat(pending, pendingSize);
+                    await addChunk(buffer.subarray(0, chunkSize));
+                    pending = [buffer.subarray(chunkSize)];
+                    pendingSize = buffer.length - chunkSize;
+                }
+            }
+
+            if (pendingSize > 0 || chunks.length === 0) {
+                await addChunk(Buffer.concat(pending, pendingSize));
+            }
+
+            const manifest = {
+                type: 'attachment',
+                version: '1.0',
+                size,
+                chunk_size: chunkSize,
+                sha256: hash.digest('hex'),
+                chunks
+            };
+            const cid = await this.addJSON(manifest, pinOptions);
+            return { cid, manifest };
+        } catch (error) {
+            await Promise.all(chunks.map(chunk => this.pins.discard(chunk.cid, pinOptions).catch(() => {})));
+            throw error;
+        }
+    }
+
+    async getManifest(cid) {
+        const manifest = JSON.parse((await this.cat(cid)).toString('utf8'));
+        if (manifest.type !== 'attachment' || !Array.isArray(manifest.chunks)) {
+            throw new Error('Not an attachment manifest');
+        }
+        return manifest;
+    }
+
+    /**
+     * Stream bytes `start`..`end` (inclusive) of a chunked attachment,
+     * fetching one chunk at a time through cat().
+     */
+    createAttachmentStream(manifest, start = 0, end = manifest.size - 1) {
+        const service = this;
+
+        async function* readRange() {
+            let chunkStart = 0;
+            for (const chunk of manifest.chunks) {
+                const chunkEnd = chunkStart + chunk.size - 1;
+                if (chunkEnd >= start && chunkStart <= end) {
+                    const offset = Math.max(start - chunkStart, 0);
+                    const length = Math.min(end, chunkEnd) - (chunkStart + offset) + 1;
+                    yield await service.cat(chunk.cid, { offset, length });
+                }
+                if (chunkEnd >= end) break;
+                chunkStart += chunk.size;
+            }
+        }
+
+        return Readable.from(readRange());
     }
 
     async pubsubPublish(topic, data) {
         if (!this.config.pubsubEnabled) return;
         
         const message = typeof data === 'string' ? data : JSON.stringify(data);
-        await this.api.post('/pubsub/pub', null, {
-            params: { arg: [topic, message] }
-        });
+        await this.call('pubsub_publish', store => store.publish(topic, message));
         
-        console.log(`📡 Published to ${topic}`);
+        logger.debug('Published to PubSub', { topic, size: message.length });
     }
 
+    /**
+     * Subscribe to a topic. Returns the store's subscription, which emits
+     * parsed envelopes as 'message' events and reconnects on its own, or
+     * null when PubSub is disabled.
+     */
+    pubsubSubscribe(topic, options = {}) {
+        if (!this.config.pubsubEnabled) return null;
+
+        const subscription = this.store.subscribe(topic, options);
+        this.subscriptions.add(subscription);
+
+        const close = subscription.close.bind(subscription);
+        subscription.close = () => {
+            this.subscriptions.delete(subscription);
+            close();
+        };
+
+        logger.info('Subscribed to PubSub topic', { topic });
+        return subscription;
+    }
+
+    /**
+     * Store a message's end-to-end encrypted content as an IPFS object of
+     * its own, pinned with `options` (see addBuffer), and return its CID.
+     * The content must already be a valid envelope (for group messages, a
+     * map of member id → envelope); plaintext is rejected.
+     */
+    async addMessageContent(encryptedContent, groupId, options = {}) {
+        const errors = encryptedContentErrors(encryptedContent, groupId);
+        if (errors.length) {
+            throw new Error(`Invalid encrypted envelope: ${errors.join(', ')}`);
+        }
+        return this.addJSON(encryptedContent, { kind: 'message_content', ...options });
+    }
+
+    /**
+     * Wrap a message for storage on IPFS, with content_cid pointing at
+     * content stored by addMessageContent, or the encrypted content inline.
+     * Messages in a conversation chain also pass message_id,
+     * conversation_id, prev and seq; edits and deletes pass message_type
+     * and target_id, replies message_type and parent_id.
+     */
     async createMessageEnvelope(messageData) {
+        if (messageData.content_cid === undefined) {
+            const errors = encryptedContentErrors(messageData.encrypted_content, messageData.group_id);
+            if (errors.length) {
+                throw new Error(`Invalid encrypted envelope: ${errors.join(', ')}`);
+            }
+        }
+
+        logger.debug('Message envelope created', {
+            message_id: messageData.message_id,
+            conversation_id: messageData.conversation_id,
+            seq: messageData.seq
+        });
         return {
             type: messageData.type || 'message',
-            version: '1.0',
+            version: MESSAGE_ENVELOPE_VERSION,
             timestamp: new Date().toISOString(),
             sender_id: messageData.sender_id,
             recipient_id: messageData.recipient_id,
-            encrypted_content: messageData.encrypted_content,
+            ...(messageData.group_id && { group_id: messageData.group_id }),
+            ...(messageData.seq !== undefined && {
+                message_id: messageData.message_id,
+                conversation_id: messageData.conversation_id,
+                prev: messageData.prev,
+                seq: messageData.seq
+            }),
+            ...(messageData.message_type && {
+                message_type: messageData.message_type,
+                ...(messageData.target_id && { target_id: messageData.target_id }),
+                ...(messageData.parent_id && { parent_id: messageData.parent_id })
+            }),
+            ...(messageData.content_cid !== undefined
+                ? { content_cid: messageData.content_cid }
+                : { encrypted_content: messageData.encrypted_content }),
             nonce: require('crypto').randomBytes(16).toString('hex')
         };
     }
 
+    /**
+     * Read a message stored with createMessageEnvelope/addJSON, verified
+     * against its CID, and return it normalized with the source it came
+     * from. Errors carry a code: NOT_FOUND when no source returned valid
+     * content, INVALID_ENVELOPE when the content is not a message.
+     *
+     * Content stored apart is fetched too unless `options.content` is
+     * false; once it has been released and collected the message comes
+     * back with encrypted_content null and content_missing.
+     */
+    async getMessage(cid, options = {}) {
+        const { data, source } = await this.fetchVerified(cid);
+
+        let envelope;
+        try {
+            envelope = JSON.parse(data.toString('utf8'));
+        } catch (error) {
+            envelope = null;
+        }
+
+        const errors = validateMessageEnvelope(envelope);
+        if (errors.length) {
+            const error = new Error('Not a valid message envelope');
+            error.code = 'INVALID_ENVELOPE';
+            error.details = errors;
+            throw error;
+        }
+
+        const message = {
+            cid,
+            type: envelope.type,
+            version: envelope.version,
+            sender_id: envelope.sender_id,
+            recipient_id: envelope.recipient_id || null,
+            encrypted_content: envelope.encrypted_content,
+            timestamp: envelope.timestamp,
+            nonce: envelope.nonce,
+            source
+        };
+        if (envelope.group_id) message.group_id = envelope.group_id;
+        if (envelope.seq !== undefined) {
+            Object.assign(message, {
+                message_id: envelope.message_id,
+                conversation_id: envelope.conversation_id,
+                prev: envelope.prev,
+                seq: envelope.seq
+            });
+        }
+        if (envelope.message_type !== undefined) {
+            const link = LINKED_MESSAGE_FIELDS[envelope.message_type];
+            Object.assign(message, { message_type: envelope.message_type, [link]: envelope[link] });
+        }
+        if (envelope.content_cid !== undefined) {
+            message.content_cid = envelope.content_cid;
+            message.encrypted_content = null;
+            if (options.content !== false) {
+                message.encrypted_content = await this.getMessageContent(envelope.content_cid, envelope.group_id);
+                if (message.encrypted_content === null) message.content_missing = true;
+            }
+        }
+        return message;
+    }
+
+    /**
+     * Encrypted content stored by addMessageContent, or null when no
+     * source has it any more.
+     */
+    async getMessageContent(contentCid, groupId) {
+        let data;
+        try {
+            ({ data } = await this.fetchVerified(contentCid));
+        } catch (error) {
+            if (error.code === 'NOT_FOUND') return null;
+            throw error;
+        }
+
+        let content;
+        try {
+            content = JSON.parse(data.toString('utf8'));
+        } catch (error) {
+            content = null;
+        }
+        const errors = encryptedContentErrors(content, groupId);
+        if (errors.length) {
+            const error = new Error('Not valid message content');
+            error.code = 'INVALID_ENVELOPE';
+            error.details = errors;
+            throw error;
+        }
+        return content;
+    }
+
+    /**
+     * Fetch content by CID block by block, from the local node first and
+     * then from each configured gateway in turn (trustless raw blocks).
+     * Every block is checked against the CID that links to it, so a
+     * gateway cannot substitute content. Returns { data, source }.
+     */
+    async fetchVerified(cid) {
+        const root = parseCid(cid);
+        const timeout = this.config.fetchTimeout;
+
+        const sources = [{
+            name: 'local',
+            getBlock: blockCid => this.call('block_get', store => store.getBlock(blockCid, { timeout }), { idempotent: true })
+        }, ...this.config.gateways.map(gateway => ({
+            name: gateway,
+            getBlock: async (blockCid) => {
+                const response = await axios.get(`${gateway.replace(/\/+$/, '')}/ipfs/${blockCid}`, {
+                    params: { format: 'raw' },
+                    headers: { Accept: 'application/vnd.ipld.raw' },
+                    responseType: 'arraybuffer',
+                    maxContentLength: this.config.maxFetchBytes,
+                    timeout
+                });
+                return Buffer.from(response.data);
+            }
+        }))];
+
+        const failures = [];
+        for (const source of sources) {
+            try {
+                const data = await this.readVerifiedDag(root, source.getBlock, { bytes: 0 });
+                return { data, source: source.name };
+            } catch (error) {
+                failures.push(`${source.name}: ${error.message}`);
+            }
+        }
+
+        const error = new Error(`Could not retrieve ${cid}`);
+        error.code = 'NOT_FOUND';
+        error.details = failures;
+        throw error;
+    }
+
+    async readVerifiedDag(cid, getBlock, budget) {
+        const block = await getBlock(formatCid(cid.bytes));
+        if (!verifyBlock(cid, block)) {
+            throw new Error('content does not match its CID');
+        }
+
+        budget.bytes += block.length;
+        if (budget.bytes > this.config.maxFetchBytes) {
+            throw new Error('content too large');
+        }
+
+        if (cid.codec === CODEC_RAW) return block;
+        if (cid.codec !== CODEC_DAG_PB) {
+            throw new Error(`unsupported codec 0x${cid.codec.toString(16)}`);
+        }
+
+        const node = decodePBNode(block);
+        const parts = [decodeUnixFS(node.data).data];
+        for (const link of node.links) {
+            parts.push(await this.readVerifiedDag(parseCidBytes(link.hash), getBlock, budget));
+        }
+        return Buffer.concat(parts);
+    }
+
     getGatewayUrlsForCid(cid) {
         return this.config.gateways.map(gateway => 
             `${gateway.replace(/\/+$/, '')}/ipfs/${cid}`
@@ -104,36 +810,35 @@ class IPFSService extends EventEmitter {
 
     async healthCheck() {
         try {
-            const nodeInfo = await this.getNodeInfo();
-            const peers = await this.getSwarmPeers();
-            
+            const health = await this.call('health', store => store.health(), { idempotent: true });
+
             return {
                 status: 'healthy',
-                nodeId: nodeInfo.ID,
-                peerCount: peers.length,
-                pubsubEnabled: this.config.pubsubEnabled
+                backend: health.backend,
+                nodeId: health.node_id,
+                peerCount: health.peer_count,
+                pubsubEnabled: this.config.pubsubEnabled,
+                connection: this.connectionStatus()
             };
         } catch (error) {
             return {
                 status: 'unhealthy',
-                error: error.message
+                error: error.message,
+                connection: this.connectionStatus()
             };
         }
     }
 
-    async getNodeInfo() {
-        const response = await this.api.post('/id');
-        return response.data;
-    }
-
-    async getSwarmPeers() {
-        const response = await this.api.post('/swarm/peers');
-        return response.data.Peers || [];
-    }
-
     async cleanup() {
+        this.closed = true;
+        clearTimeout(this.reconnectTimer);
+        this.pins.stop();
+        for (const subscription of this.subscriptions) {
+            subscription.close();
+        }
+        this.store.close();
         this.removeAllListeners();
-        console.log('✅ IPFS service cleanup completed');
+        logger.info('IPFS service cleanup completed');
     }
 }
 
@@ -143,5 +848,7 @@ function createIPFSService(config) {
 
 module.exports = {
     IPFSService,
-    createIPFSService
+    createIPFSService,
+    validateMessageEnvelope,
+    mailboxKeyName
 };
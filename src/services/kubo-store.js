@@ -0,0 +1,274 @@
+/**
+ * FallbackStore backed by a Kubo node's RPC API
+ */
+
+const axios = require('axios');
+const FormData = require('form-data');
+const EventEmitter = require('events');
+
+/**
+ * Kubo (>= 0.11) expects PubSub topics and returns message data as
+ * multibase strings; we use base64url with the 'u' prefix.
+ */
+function encodeMultibase(value) {
+    return 'u' + Buffer.from(value, 'utf8').toString('base64url');
+}
+
+function decodeMultibase(value) {
+    if (typeof value !== 'string') return '';
+    if (value.startsWith('u')) {
+        return Buffer.from(value.slice(1), 'base64url').toString('utf8');
+    }
+    // Older Kubo versions send plain base64
+    return Buffer.from(value, 'base64').toString('utf8');
+}
+
+/**
+ * Long-lived subscription to a PubSub topic over Kubo's streaming
+ * /pubsub/sub endpoint. Reconnects with exponential backoff until closed.
+ *
+ * Events:
+ *   'message'      { from, seqno, topic, envelope } for each JSON payload
+ *   'invalid'      { from, topic, data } for payloads that are not JSON
+ *   'subscribed'   stream (re)established
+ *   'disconnected' stream lost, with the error if any
+ */
+class PubSubSubscription extends EventEmitter {
+    constructor(api, topic, options = {}) {
+        super();
+
+        this.api = api;
+        this.topic = topic;
+        this.options = {
+            minReconnectDelay: options.minReconnectDelay || 1000,
+            maxReconnectDelay: options.maxReconnectDelay || 30000
+        };
+
+        this.closed = false;
+        this.attempt = 0;
+        this.controller = null;
+        this.reconnectTimer = null;
+        this.connect();
+    }
+
+    async connect() {
+        if (this.closed) return;
+
+        this.controller = new AbortController();
+        let buffer = '';
+
+        try {
+            const response = await this.api.post('/pubsub/sub', null, {
+                params: { arg: encodeMultibase(this.topic) },
+                responseType: 'stream',
+                timeout: 0,
+                signal: this.controller.signal
+            });
+
+            this.attempt = 0;
+            this.emit('subscribed');
+
+            const stream = response.data;
+            stream.on('data', (chunk) => {
+                buffer += chunk.toString('utf8');
+                let newline;
+                while ((newline = buffer.indexOf('\n')) !== -1) {
+                    const line = buffer.slice(0, newline).trim();
+                    buffer = buffer.slice(newline + 1);
+                    if (line) this.handleLine(line);
+                }
+            });
+            stream.on('error', (error) => this.handleDisconnect(error));
+            stream.on('end', () => this.handleDisconnect());
+        } catch (error) {
+            this.handleDisconnect(error);
+        }
+    }
+
+    handleLine(line) {
+        let entry;
+        try {
+            entry = JSON.parse(line);
+        } catch (error) {
+            return;
+        }
+
+        const data = decodeMultibase(entry.data);
+        try {
+            this.emit('message', {
+                from: entry.from,
+                seqno: entry.seqno,
+                topic: this.topic,
+                envelope: JSON.parse(data)
+            });
+        } catch (error) {
+            this.emit('invalid', { from: entry.from, topic: this.topic, data });
+        }
+    }
+
+    handleDisconnect(error) {
+        if (this.closed || this.reconnectTimer) return;
+
+        this.emit('disconnected', error);
+        const delay = Math.min(
+            this.options.minReconnectDelay * 2 ** this.attempt,
+            this.options.maxReconnectDelay
+        );
+        this.attempt++;
+        this.reconnectTimer = setTimeout(() => {
+            this.reconnectTimer = null;
+            this.connect();
+        }, delay);
+    }
+
+    /**
+     * Skip the remaining backoff, e.g. once the node is reachable again.
+     */
+    reconnectNow() {
+        if (this.closed || !this.reconnectTimer) return;
+        clearTimeout(this.reconnectTimer);
+        this.reconnectTimer = null;
+        this.attempt = 0;
+        this.connect();
+    }
+
+    close() {
+        this.closed = true;
+        clearTimeout(this.reconnectTimer);
+        this.reconnectTimer = null;
+        if (this.controller) this.controller.abort();
+        this.removeAllListeners();
+    }
+}
+
+class KuboStore {
+    constructor(config = {}) {
+        this.backend = 'kubo';
+        this.api = axios.create({
+            baseURL: config.apiUrl || 'http://ipfs:5001/api/v0',
+            timeout: config.timeout || 15000
+        });
+    }
+
+    async put(buffer, options = {}) {
+        const formData = new FormData();
+        formData.append('file', buffer, {
+            filename: options.filename || 'payload.bin'
+        });
+
+        const response = await this.api.post('/add', formData, {
+            headers: formData.getHeaders(),
+            params: { pin: options.pin !== false }
+        });
+        return response.data.Hash;
+    }
+
+    async get(cid, options = {}) {
+        const params = { arg: cid };
+        if (options.offset) params.offset = options.offset;
+        if (options.length !== undefined) params.length = options.length;
+
+        const response = await this.api.post('/cat', null, {
+            params,
+            responseType: 'arraybuffer',
+            timeout: options.timeout
+        });
+        return Buffer.from(response.data);
+    }
+
+    async getBlock(cid, options = {}) {
+        const response = await this.api.post('/block/get', null, {
+            params: { arg: cid },
+            responseType: 'arraybuffer',
+            timeout: options.timeout
+        });
+        return Buffer.from(response.data);
+    }
+
+    async unpin(cid) {
+        await this.api.post('/pin/rm', null, { params: { arg: cid } });
+    }
+
+    async gc() {
+        // The reply streams one line per removed block; we only wait for it to end
+        await this.api.post('/repo/gc', null, { responseType: 'text', timeout: 0 });
+    }
+
+    async stat() {
+        const response = await this.api.post('/repo/stat');
+        return {
+            repo_size: response.data.RepoSize,
+            storage_max: response.data.StorageMax,
+            num_objects: response.data.NumObjects
+        };
+    }
+
+    async publish(topic, data) {
+        const formData = new FormData();
+        formData.append('file', Buffer.from(data, 'utf8'), { filename: 'data' });
+
+        await this.api.post('/pubsub/pub', formData, {
+            headers: formData.getHeaders(),
+            params: { arg: encodeMultibase(topic) }
+        });
+    }
+
+    subscribe(topic, options = {}) {
+        return new PubSubSubscription(this.api, topic, options);
+    }
+
+    async ensureKey(name) {
+        const list = await this.api.post('/key/list');
+        const existing = (list.data.Keys || []).find(key => key.Name === name);
+        if (existing) return existing.Id;
+
+        const response = await this.api.post('/key/gen', null, { params: { arg: name, type: 'ed25519' } });
+        return response.data.Id;
+    }
+
+    async publishName(cid, options = {}) {
+        const response = await this.api.post('/name/publish', null, {
+            params: {
+                arg: `/ipfs/${cid}`,
+                key: options.key || 'self',
+                lifetime: options.lifetime,
+                ttl: options.ttl,
+                'allow-offline': true
+            },
+            timeout: options.timeout
+        });
+        return { name: response.data.Name, value: response.data.Value };
+    }
+
+    async resolveName(name, options = {}) {
+        const response = await this.api.post('/name/resolve', null, {
+            params: { arg: name, recursive: true, nocache: true },
+            timeout: options.timeout
+        });
+        return /^\/ipfs\/([^/]+)$/.exec(response.data.Path || '')?.[1] || null;
+    }
+
+    async ping() {
+        const response = await this.api.post('/version');
+        return response.data;
+    }
+
+    async health() {
+        const [id, peers] = await Promise.all([
+            this.api.post('/id'),
+            this.api.post('/swarm/peers')
+        ]);
+        return {
+            backend: this.backend,
+            node_id: id.data.ID,
+            peer_count: (peers.data.Peers || []).length
+        };
+    }
+
+    close() {}
+}
+
+module.exports = {
+    KuboStore,
+    PubSubSubscription
+};
@@ -0,0 +1,120 @@
+/**
+ * IPNS mailboxes for server-less inbox discovery
+ *
+ * Keeps each user's mailbox index (see shared/mailbox.js) in step with
+ * their offline queue: messages already stored on IPFS that they have not
+ * acknowledged yet. Changes are batched per user and published under the
+ * user's IPNS name, so a client that can only reach an IPFS gateway still
+ * finds its pending messages.
+ *
+ * Emits 'published' with { user_id, name, cid, entries } after each publish.
+ */
+
+const EventEmitter = require('events');
+const { mailboxKeyName } = require('./ipfs-service');
+const logger = require('../utils/logger').logger.child({ component: 'mailbox' });
+
+class MailboxService extends EventEmitter {
+    constructor(config = {}) {
+        super();
+
+        this.config = {
+            // IPNS publishing is slow; collect changes for a while first
+            publishDelayMs: config.publishDelayMs ?? 5000,
+            maxEntries: config.maxEntries || 500
+        };
+
+        this.ipfs = config.ipfsService;
+        this.delivery = config.deliveryService;
+
+        this.timers = new Map();
+        this.running = new Map();
+        // userId -> { cid, digest } of the last published index
+        this.published = new Map();
+    }
+
+    /**
+     * IPNS name of a user's mailbox.
+     */
+    async getName(userId) {
+        return this.ipfs.ensureKey(mailboxKeyName(userId));
+    }
+
+    /**
+     * Republish a user's mailbox after the publish delay. Calls during the
+     * delay are folded into one publish.
+     */
+    schedule(userId) {
+        if (this.timers.has(userId)) return;
+        const timer = setTimeout(() => {
+            this.timers.delete(userId);
+            this.publish(userId).catch((error) => {
+                logger.warn('Mailbox publish failed', { user_id: userId, err: error });
+            });
+        }, this.config.publishDelayMs);
+        timer.unref?.();
+        this.timers.set(userId, timer);
+    }
+
+    /**
+     * Publish a user's mailbox now unless it is unchanged. Publishes for
+     * one user run one at a time. Resolves to { name, cid, entries, changed }.
+     */
+    publish(userId) {
+        const previous = this.running.get(userId) || Promise.resolve();
+        const result = previous.catch(() => {}).then(() => this.publishNow(userId));
+
+        this.running.set(userId, result);
+        result.catch(() => {}).finally(() => {
+            if (this.running.get(userId) === result) this.running.delete(userId);
+        });
+        return result;
+    }
+
+    async publishNow(userId) {
+        const pending = await this.delivery.pending(userId);
+        const entries = pending
+            .filter(message => message.ipfs_cid)
+            .slice(-this.config.maxEntries)
+            // The index is public: nothing but the CID, see shared/mailbox.js
+            .map(message => ({ cid: message.ipfs_cid }));
+
+        const digest = entries.map(entry => entry.cid).join(',');
+        const last = this.published.get(userId);
+        if (last && last.digest === digest) {
+            return { name: await this.getName(userId), cid: last.cid, entries, changed: false };
+        }
+
+        const { name, cid } = await this.ipfs.publishMailbox(userId, entries);
+        this.published.set(userId, { cid, digest });
+        if (last) {
+            await this.ipfs.pins.release({ cid: last.cid, owner_id: null }).catch(() => {});
+        }
+
+        logger.info('Mailbox published', { user_id: userId, pending: entries.length, name, cid });
+        this.emit('published', { user_id: userId, name, cid, entries });
+        return { name, cid, entries, changed: true };
+    }
+
+    /**
+     * Resolve a user's mailbox through IPNS, as a gateway client would.
+     */
+    async resolve(userId) {
+        return this.ipfs.resolveMailbox(await this.getName(userId));
+    }
+
+    cleanup() {
+        this.timers.forEach(timer => clearTimeout(timer));
+        this.timers.clear();
+        this.removeAllListeners();
+    }
+}
+
+function createMailboxService(config) {
+    return new MailboxService(config);
+}
+
+module.exports = {
+    MailboxService,
+    createMailboxService
+};
@@ -0,0 +1,327 @@
+/**
+ * In-memory stand-in for the subset of the node-redis v4 client used by the
+ * Redis-backed stores and the Socket.IO Redis adapter. Lets those run in
+ * tests and local development without a Redis server. State is per
+ * process; clients from duplicate() share it, so several instances in one
+ * process see each other's keys and publishes.
+ */
+
+const EventEmitter = require('events');
+
+class MemoryRedisClient extends EventEmitter {
+    constructor(shared = { data: new Map(), expiries: new Map(), subscriptions: new Set() }) {
+        super();
+        this.shared = shared;
+        this.data = shared.data;
+        this.expiries = shared.expiries;
+        this.isOpen = true;
+        this.isReady = true;
+    }
+
+    async connect() {}
+
+    async quit() {
+        for (const subscription of this.shared.subscriptions) {
+            if (subscription.client === this) this.shared.subscriptions.delete(subscription);
+        }
+    }
+
+    duplicate() {
+        return new MemoryRedisClient(this.shared);
+    }
+
+    async ping() {
+        return 'PONG';
+    }
+
+    expireIfNeeded(key) {
+        const expiresAt = this.expiries.get(key);
+        if (expiresAt !== undefined && expiresAt <= Date.now()) {
+            this.data.delete(key);
+            this.expiries.delete(key);
+        }
+    }
+
+    read(key, type) {
+        this.expireIfNeeded(key);
+        const value = this.data.get(key);
+        if (value === undefined) return undefined;
+        if (type && !(value instanceof type)) {
+            throw new Error('WRONGTYPE Operation against a key holding the wrong kind of value');
+        }
+        return value;
+    }
+
+    write(key, type) {
+        let value = this.read(key, type);
+        if (value === undefined) {
+            value = new type();
+            this.data.set(key, value);
+        }
+        return value;
+    }
+
+    dropIfEmpty(key, value) {
+        if (value.size === 0) this.data.delete(key);
+    }
+
+    // Strings
+
+    async get(key) {
+        const value = this.read(key);
+        return value === undefined ? null : String(value);
+    }
+
+    async set(key, value, options = {}) {
+        this.expireIfNeeded(key);
+        if (options.NX && this.data.has(key)) return null;
+
+        this.data.set(key, String(value));
+        this.expiries.delete(key);
+        if (options.PX) this.expiries.set(key, Date.now() + options.PX);
+        if (options.EX) this.expiries.set(key, Date.now() + options.EX * 1000);
+        return 'OK';
+    }
+
+    async del(keys) {
+        let removed = 0;
+        for (const key of [].concat(keys)) {
+            this.expireIfNeeded(key);
+            if (this.data.delete(key)) removed++;
+            this.expiries.delete(key);
+        }
+        return removed;
+    }
+
+    async incrBy(key, amount) {
+        const value = Number(this.read(key) || 0) + amount;
+        this.data.set(key, String(value));
+        return value;
+    }
+
+    async incr(key) {
+        return this.incrBy(key, 1);
+    }
+
+    async decrBy(key, amount) {
+        return this.incrBy(key, -amount);
+    }
+
+    async decr(key) {
+        return this.incrBy(key, -1);
+    }
+
+    async pExpire(key, ms) {
+        if (this.read(key) === undefined) return false;
+        this.expiries.set(key, Date.now() + ms);
+        return true;
+    }
+
+    async pTTL(key) {
+        if (this.read(key) === undefined) return -2;
+        const expiresAt = this.expiries.get(key);
+        return expiresAt === undefined ? -1 : expiresAt - Date.now();
+    }
+
+    // Sets
+
+    async sAdd(key, members) {
+        const set = this.write(key, Set);
+        let added = 0;
+        for (const member of [].concat(members)) {
+            if (!set.has(String(member))) {
+                set.add(String(member));
+                added++;
+            }
+        }
+        return added;
+    }
+
+    async sRem(key, members) {
+        const set = this.read(key, Set);
+        if (!set) return 0;
+        let removed = 0;
+        for (const member of [].concat(members)) {
+            if (set.delete(String(member))) removed++;
+        }
+        this.dropIfEmpty(key, set);
+        return removed;
+    }
+
+    async sCard(key) {
+        return this.read(key, Set)?.size || 0;
+    }
+
+    async sMembers(key) {
+        return [...(this.read(key, Set) || [])];
+    }
+
+    // Hashes
+
+    async hSet(key, field, value) {
+        const hash = this.write(key, Map);
+        const added = hash.has(field) ? 0 : 1;
+        hash.set(field, String(value));
+        return added;
+    }
+
+    async hGet(key, field) {
+        return this.read(key, Map)?.get(field) ?? null;
+    }
+
+    async hDel(key, fields) {
+        const hash = this.read(key, Map);
+        if (!hash) return 0;
+        let removed = 0;
+        for (const field of [].concat(fields)) {
+            if (hash.delete(field)) removed++;
+        }
+        this.dropIfEmpty(key, hash);
+        return removed;
+    }
+
+    async hGetAll(key) {
+        return Object.fromEntries(this.read(key, Map) || []);
+    }
+
+    // Sorted sets, stored as Map<member, score>
+
+    async zAdd(key, entries, options = {}) {
+        const zset = this.write(key, SortedSet);
+        let added = 0;
+        for (const { score, value } of [].concat(entries)) {
+            if (zset.has(String(value))) {
+                if (options.NX) continue;
+            } else {
+                added++;
+            }
+            zset.set(String(value), Number(score));
+        }
+        return added;
+    }
+
+    async zRem(key, members) {
+        const zset = this.read(key, SortedSet);
+        if (!zset) return 0;
+        let removed = 0;
+        for (const member of [].concat(members)) {
+            if (zset.delete(String(member))) removed++;
+        }
+        this.dropIfEmpty(key, zset);
+        return removed;
+    }
+
+    async zRange(key, start, stop) {
+        const zset = this.read(key, SortedSet);
+        if (!zset) return [];
+        const members = [...zset.entries()]
+            .sort((a, b) => a[1] - b[1] || (a[0] < b[0] ? -1 : 1))
+            .map(([member]) => member);
+        const end = stop < 0 ? members.length + stop + 1 : stop + 1;
+        return members.slice(start, end);
+    }
+
+    async zCard(key) {
+        return this.read(key, SortedSet)?.size || 0;
+    }
+
+    // Pub/sub. Listeners are called asynchronously, as they would be by a
+    // server, with (message, channel); as Buffers when subscribed with
+    // bufferMode
+
+    async subscribe(channels, listener, bufferMode = false) {
+        for (const channel of [].concat(channels)) {
+            this.shared.subscriptions.add({ client: this, channel, listener, bufferMode });
+        }
+    }
+
+    async pSubscribe(patterns, listener, bufferMode = false) {
+        for (const pattern of [].concat(patterns)) {
+            this.shared.subscriptions.add({ client: this, pattern: globToRegExp(pattern), source: pattern, listener, bufferMode });
+        }
+    }
+
+    async unsubscribe(channels, listener) {
+        this.dropSubscriptions(channels, listener, subscription => subscription.channel);
+    }
+
+    async pUnsubscribe(patterns, listener) {
+        this.dropSubscriptions(patterns, listener, subscription => subscription.source);
+    }
+
+    dropSubscriptions(names, listener, nameOf) {
+        const wanted = names === undefined ? null : new Set([].concat(names));
+        for (const subscription of this.shared.subscriptions) {
+            if (subscription.client !== this || nameOf(subscription) === undefined) continue;
+            if (wanted && !wanted.has(nameOf(subscription))) continue;
+            if (listener && subscription.listener !== listener) continue;
+            this.shared.subscriptions.delete(subscription);
+        }
+    }
+
+    /**
+     * Deliver to every matching subscription and resolve to the number of
+     * clients that received the message.
+     */
+    async publish(channel, message) {
+        const receivers = new Set();
+        for (const subscription of this.shared.subscriptions) {
+            const matches = subscription.pattern
+                ? subscription.pattern.test(channel)
+                : subscription.channel === channel;
+            if (!matches) continue;
+
+            receivers.add(subscription.client);
+            const { listener, bufferMode } = subscription;
+            setImmediate(() => bufferMode
+                ? listener(Buffer.from(message), Buffer.from(channel))
+                : listener(message.toString(), channel));
+        }
+        return receivers.size;
+    }
+
+    // Sharded pub/sub behaves like the plain kind on a single node
+    async sSubscribe(channels, listener, bufferMode) {
+        return this.subscribe(channels, listener, bufferMode);
+    }
+
+    async sUnsubscribe(channels, listener) {
+        return this.unsubscribe(channels, listener);
+    }
+
+    async sPublish(channel, message) {
+        return this.publish(channel, message);
+    }
+
+    /**
+     * Only PUBSUB NUMSUB for a single channel, which the Socket.IO adapter
+     * uses to count server instances.
+     */
+    async sendCommand(args) {
+        const [command, subcommand, channel] = args.map(String);
+        if (command.toUpperCase() !== 'PUBSUB' || !['NUMSUB', 'SHARDNUMSUB'].includes(subcommand.toUpperCase())) {
+            throw new Error(`ERR unsupported command '${args.join(' ')}'`);
+        }
+        const clients = new Set();
+        for (const subscription of this.shared.subscriptions) {
+            if (subscription.channel === channel) clients.add(subscription.client);
+        }
+        return [channel, clients.size];
+    }
+}
+
+class SortedSet extends Map {}
+
+function globToRegExp(pattern) {
+    const source = pattern.replace(/[.+^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*').replace(/\?/g, '.');
+    return new RegExp(`^${source}$`);
+}
+
+function createMemoryRedisClient() {
+    return new MemoryRedisClient();
+}
+
+module.exports = {
+    MemoryRedisClient,
+    createMemoryRedisClient
+};
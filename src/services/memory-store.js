@@ -0,0 +1,184 @@
+/**
+ * FallbackStore kept in this process, for tests and offline development
+ *
+ * Content is addressed like IPFS raw blocks (CIDv1, sha2-256), so CIDs
+ * verify the same way as Kubo's. PubSub and IPNS names only reach this
+ * process; everything is lost on restart.
+ */
+
+const EventEmitter = require('events');
+const crypto = require('crypto');
+const { cidForBlock, formatCid } = require('../utils/cid');
+
+const CODEC_LIBP2P_KEY = 0x72;
+
+function notFoundError(cid) {
+    const error = new Error(`${cid} not found`);
+    error.code = 'ENOENT';
+    return error;
+}
+
+/**
+ * A new IPNS-style name: a libp2p-key CID of a fresh Ed25519 public key.
+ */
+function generateName() {
+    const { publicKey } = crypto.generateKeyPairSync('ed25519');
+    const raw = publicKey.export({ format: 'der', type: 'spki' }).subarray(-32);
+    // Protobuf PublicKey { Type: Ed25519, Data: raw }, inlined with the identity hash
+    const key = Buffer.concat([Buffer.from([0x08, 0x01, 0x12, raw.length]), raw]);
+    return formatCid(Buffer.concat([Buffer.from([1, CODEC_LIBP2P_KEY, 0x00, key.length]), key]));
+}
+
+/**
+ * Subscription to a LocalPubSub topic, with the same events as Kubo's
+ * PubSubSubscription.
+ */
+class LocalSubscription extends EventEmitter {
+    constructor(pubsub, topic) {
+        super();
+        this.pubsub = pubsub;
+        this.topic = topic;
+        setImmediate(() => this.emit('subscribed'));
+    }
+
+    deliver(from, seqno, data) {
+        try {
+            this.emit('message', { from, seqno, topic: this.topic, envelope: JSON.parse(data) });
+        } catch (error) {
+            this.emit('invalid', { from, topic: this.topic, data });
+        }
+    }
+
+    reconnectNow() {}
+
+    close() {
+        this.pubsub.unsubscribe(this);
+        this.removeAllListeners();
+    }
+}
+
+/**
+ * PubSub between the subscriptions of one process.
+ */
+class LocalPubSub {
+    constructor(nodeId) {
+        this.nodeId = nodeId;
+        this.topics = new Map();
+    }
+
+    publish(topic, data) {
+        const seqno = crypto.randomBytes(8).toString('hex');
+        for (const subscription of this.topics.get(topic) || []) {
+            setImmediate(() => subscription.deliver(this.nodeId, seqno, data));
+        }
+    }
+
+    subscribe(topic) {
+        const subscription = new LocalSubscription(this, topic);
+        if (!this.topics.has(topic)) this.topics.set(topic, new Set());
+        this.topics.get(topic).add(subscription);
+        return subscription;
+    }
+
+    unsubscribe(subscription) {
+        const subscribers = this.topics.get(subscription.topic);
+        if (!subscribers) return;
+        subscribers.delete(subscription);
+        if (!subscribers.size) this.topics.delete(subscription.topic);
+    }
+
+    close() {
+        this.topics.forEach(subscribers => subscribers.forEach(subscription => subscription.close()));
+    }
+}
+
+class MemoryStore {
+    constructor(config = {}) {
+        this.backend = 'memory';
+        this.nodeId = config.nodeId || `memory-${crypto.randomBytes(8).toString('hex')}`;
+
+        this.blocks = new Map();
+        this.pinned = new Set();
+        this.keys = new Map();
+        this.names = new Map();
+        this.pubsub = new LocalPubSub(this.nodeId);
+    }
+
+    async put(buffer, options = {}) {
+        const cid = cidForBlock(buffer);
+        this.blocks.set(cid, Buffer.from(buffer));
+        if (options.pin !== false) this.pinned.add(cid);
+        return cid;
+    }
+
+    async get(cid, options = {}) {
+        const block = await this.getBlock(cid);
+        const offset = options.offset || 0;
+        const end = options.length === undefined ? block.length : offset + options.length;
+        return block.subarray(offset, end);
+    }
+
+    async getBlock(cid) {
+        const block = this.blocks.get(cid);
+        if (!block) throw notFoundError(cid);
+        return block;
+    }
+
+    async unpin(cid) {
+        this.pinned.delete(cid);
+    }
+
+    async gc() {
+        for (const cid of this.blocks.keys()) {
+            if (!this.pinned.has(cid)) this.blocks.delete(cid);
+        }
+    }
+
+    async stat() {
+        let size = 0;
+        this.blocks.forEach(block => { size += block.length; });
+        return { repo_size: size, storage_max: null, num_objects: this.blocks.size };
+    }
+
+    async publish(topic, data) {
+        this.pubsub.publish(topic, data);
+    }
+
+    subscribe(topic) {
+        return this.pubsub.subscribe(topic);
+    }
+
+    async ensureKey(name) {
+        if (!this.keys.has(name)) this.keys.set(name, generateName());
+        return this.keys.get(name);
+    }
+
+    async publishName(cid, options = {}) {
+        const name = await this.ensureKey(options.key || 'self');
+        this.names.set(name, cid);
+        return { name, value: `/ipfs/${cid}` };
+    }
+
+    async resolveName(name) {
+        return this.names.get(name) || null;
+    }
+
+    async ping() {
+        return { Version: this.backend };
+    }
+
+    async health() {
+        return { backend: this.backend, node_id: this.nodeId, peer_count: 0 };
+    }
+
+    close() {
+        this.pubsub.close();
+    }
+}
+
+module.exports = {
+    MemoryStore,
+    LocalPubSub,
+    generateName,
+    notFoundError
+};
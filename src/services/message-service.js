@@ -0,0 +1,432 @@
+/**
+ * Validation, de-duplication and storage of chat messages
+ *
+ * Shared by the REST endpoint, the socket handler and the IPFS relay so a
+ * message is checked the same way whichever transport carried it. Sending
+ * is split in two so callers can add transport details between the steps:
+ *
+ *   prepare()  validate input, verify envelopes and claim the message id
+ *   accept()   store the message and queue it for every recipient
+ *
+ * Direct messages have `recipient_id` and one envelope. Group messages have
+ * `group_id` and `encrypted_content` as a map of member id → envelope, with
+ * an envelope for every member except the sender (the sender may add one
+ * for their own devices).
+ *
+ * Envelopes of the current version sign the message id, type and link
+ * (target_id or parent_id), which must match the message they arrive in;
+ * a message without an id takes the one its envelopes sign.
+ *
+ * An envelope is only accepted once: its signature is remembered for the
+ * de-duplication window, and relayed messages, whose sender is not
+ * connected to vouch for them, must have been signed within that window.
+ *
+ * Clients may add a `client_msg_id` idempotency key. A retry with the same
+ * key within the de-duplication window, over any transport, is answered
+ * with the message the key was first used for instead of a new one.
+ *
+ * Edits and deletes are messages of their own with `type` 'edit' or
+ * 'delete' and `target_id`, the message they change. Only its sender may
+ * send them; they go to the same recipients, carry a signed envelope like
+ * any message (an edit the new content, a delete whatever the client puts
+ * in it) and travel, queue and archive the same way. Accepting a delete
+ * purges the ciphertext of the original and its edits and emits 'purged'
+ * with the purged records so their IPFS copies can be released.
+ *
+ * Replies are messages with `type` 'reply' and `parent_id`. They go to
+ * the parent's conversation, which any participant may reply in, and are
+ * counted on the parent (`reply_count`, `last_reply_at`). Threads are one
+ * level deep: a reply to a reply is refused.
+ *
+ * Messages in conversations with a message TTL get `expires_at`.
+ */
+
+const EventEmitter = require('events');
+const crypto = require('crypto');
+const { validate: isUuid } = require('uuid');
+const { directConversationId, groupConversationId } = require('../utils/conversation');
+const { messageRecipients, isUserMessage } = require('../utils/messages');
+const { parseAttachmentRefs } = require('../utils/attachments');
+const { signedMessage } = require('./envelope-verifier');
+
+const CLIENT_MSG_ID_PATTERN = /^[\w.:-]{1,64}$/;
+const EVENT_TYPES = ['edit', 'delete'];
+// How far ahead of our clock a signed envelope timestamp may be
+const MAX_CLOCK_SKEW_MS = 5 * 60 * 1000;
+const MESSAGE_TYPES = ['reply', ...EVENT_TYPES];
+
+/**
+ * Fields that drop a message's ciphertext and attachment references.
+ * Group messages keep a null per member, since the keys say who it was
+ * delivered to.
+ */
+function purgedFields(message) {
+    const fields = {
+        encrypted_content: message.group_id
+            ? Object.fromEntries(Object.keys(message.encrypted_content || {}).map(userId => [userId, null]))
+            : null
+    };
+    if (message.attachments) fields.attachments = [];
+    if (message.reactions) fields.reactions = [];
+    return fields;
+}
+
+class MessageError extends Error {
+    constructor(message, status = 400, details, code) {
+        super(message);
+        this.name = 'MessageError';
+        this.status = status;
+        this.details = details;
+        // Error code for clients (src/utils/errors.js); the status implies one otherwise
+        if (code) this.code = code;
+    }
+}
+
+class MessageService extends EventEmitter {
+    constructor(config = {}) {
+        super();
+
+        this.messages = config.messageRepository;
+        this.delivery = config.deliveryService;
+        this.groups = config.groupRepository;
+        this.verifyEnvelope = config.verifyEnvelope;
+        this.recentIds = config.recentIds;
+        this.clientMsgIds = config.clientMsgIds;
+        // Signatures of accepted envelopes, kept for signatureWindowMs
+        this.signatures = config.signatures;
+        this.signatureWindowMs = config.signatureWindowMs || 24 * 60 * 60 * 1000;
+        this.settings = config.conversationSettings || null;
+    }
+
+    /**
+     * Claim a client-supplied message id. Returns false if a message with
+     * this id was already received over any transport.
+     */
+    async claimId(id) {
+        return (await this.recentIds.claim(id)) && !(await this.messages.findById(id));
+    }
+
+    clientMsgKey(senderId, clientMsgId) {
+        return `${senderId}:${clientMsgId}`;
+    }
+
+    async duplicateOf(id, clientMsgId) {
+        const stored = await this.messages.findById(id);
+        return { message: stored || { id, ...(clientMsgId && { client_msg_id: clientMsgId }) }, duplicate: true };
+    }
+
+    /**
+     * Build a message from `senderId`. Resolves to { message, duplicate };
+     * for duplicates `message` is the stored copy (or just the id while the
+     * first copy is still being stored). Throws MessageError for bad input.
+     *
+     * @param {object} options
+     * @param {string} options.transport   Recorded on the message
+     * @param {boolean} [options.requireId] Reject messages without an id
+     * @param {boolean} [options.requireSigned] Reject envelopes that do not
+     *                                     sign the message id, type and link
+     * @param {boolean} [options.signedTimestamp] Date the message when its
+     *                                     envelopes were signed, which must be
+     *                                     within the signature window; else now
+     */
+    async prepare(senderId, input, options = {}) {
+        const { id, type, encrypted_content, client_msg_id } = input || {};
+        let { recipient_id, group_id } = input || {};
+
+        if (id !== undefined && !isUuid(id)) {
+            throw new MessageError('id must be a UUID');
+        }
+        if (client_msg_id !== undefined && (typeof client_msg_id !== 'string' || !CLIENT_MSG_ID_PATTERN.test(client_msg_id))) {
+            throw new MessageError('client_msg_id must be 1-64 letters, digits or _ . : -');
+        }
+        if (options.requireId && id === undefined) {
+            throw new MessageError('id required');
+        }
+        if (type !== undefined && !MESSAGE_TYPES.includes(type)) {
+            throw new MessageError(`type must be one of ${MESSAGE_TYPES.join(', ')}`);
+        }
+
+        // Replies, edits and deletes go where the message they point at went
+        let target = null;
+        if (type !== undefined) {
+            target = type === 'reply' ? await this.findParent(senderId, input) : await this.findTarget(senderId, input);
+            ({ recipient_id, group_id } = this.addressFor(target, senderId, { recipient_id, group_id }));
+        }
+        if (!encrypted_content || (!recipient_id && !group_id)) {
+            throw new MessageError('recipient_id or group_id, and encrypted_content required');
+        }
+        if (recipient_id && group_id) {
+            throw new MessageError('Use either recipient_id or group_id, not both');
+        }
+
+        const { attachments, error: attachmentError } = parseAttachmentRefs(input.attachments);
+        if (attachmentError) {
+            throw new MessageError(attachmentError);
+        }
+        if (type === 'delete' && attachments.length) {
+            throw new MessageError('A delete carries no attachments');
+        }
+
+        const signed = signedMessage(group_id ? Object.values(encrypted_content)[0] : encrypted_content);
+        const chosenId = id ?? signed?.id;
+        if (chosenId !== undefined && !isUuid(chosenId)) {
+            throw new MessageError('id must be a UUID');
+        }
+        const messageId = chosenId ?? crypto.randomUUID();
+
+        const expected = {
+            message: {
+                id: messageId,
+                type: target ? type : null,
+                target_id: target && type !== 'reply' ? target.id : null,
+                parent_id: target && type === 'reply' ? target.id : null
+            },
+            requireSigned: Boolean(options.requireSigned)
+        };
+        const envelopeErrors = group_id
+            ? await this.verifyGroupEnvelopes(senderId, group_id, encrypted_content, expected)
+            : await this.verifyEnvelope(encrypted_content, { ...expected, senderId, recipientId: recipient_id });
+        if (envelopeErrors.length) {
+            throw new MessageError('Invalid encrypted envelope', 400, envelopeErrors, 'INVALID_ENVELOPE');
+        }
+
+        const envelopes = group_id ? Object.values(encrypted_content) : [encrypted_content];
+        const receivedAt = Date.now();
+        let timestamp = new Date(receivedAt);
+        if (options.signedTimestamp) {
+            const signedAt = Math.min(...envelopes.map(envelope => Date.parse(envelope.timestamp)));
+            if (signedAt < receivedAt - this.signatureWindowMs || signedAt > receivedAt + MAX_CLOCK_SKEW_MS) {
+                throw new MessageError('Envelope timestamp is too old or in the future', 400, undefined, 'INVALID_ENVELOPE');
+            }
+            timestamp = new Date(Math.min(signedAt, receivedAt));
+        }
+
+        // Retries carry the same client_msg_id; answer them with the first message
+        if (client_msg_id !== undefined) {
+            const firstId = await this.clientMsgIds.remember(this.clientMsgKey(senderId, client_msg_id), messageId);
+            if (firstId) return this.duplicateOf(firstId, client_msg_id);
+        }
+
+        // A client sending the same message over several transports reuses its id
+        if (chosenId && !await this.claimId(chosenId)) {
+            return this.duplicateOf(chosenId, client_msg_id);
+        }
+
+        // The same envelope under another id is a replay
+        if (!await this.claimSignatures(envelopes)) {
+            await this.releaseIds(senderId, messageId, client_msg_id);
+            throw new MessageError('Envelope has already been used for another message', 409);
+        }
+
+        const message = {
+            id: messageId,
+            conversation_id: group_id ? groupConversationId(group_id) : directConversationId(senderId, recipient_id),
+            sender_id: senderId,
+            recipient_id: group_id ? null : recipient_id,
+            encrypted_content,
+            transport: options.transport,
+            timestamp,
+            status: 'sent'
+        };
+        if (group_id) message.group_id = group_id;
+        if (target) {
+            message.type = type;
+            message[type === 'reply' ? 'parent_id' : 'target_id'] = target.id;
+        }
+        if (attachments.length) message.attachments = attachments;
+        if (client_msg_id !== undefined) message.client_msg_id = client_msg_id;
+
+        // From arrival, so a backdated envelope cannot shorten its own life
+        const ttlMs = await this.messageTtl(message.conversation_id);
+        if (ttlMs) message.expires_at = new Date(receivedAt + ttlMs);
+
+        return { message, duplicate: false };
+    }
+
+    /**
+     * The message an edit or delete from `senderId` points at.
+     */
+    async findTarget(senderId, { target_id }) {
+        if (!isUuid(target_id)) {
+            throw new MessageError('target_id must be a UUID');
+        }
+
+        const target = await this.messages.findById(target_id);
+        if (!target) {
+            throw new MessageError('Message not found', 404);
+        }
+        if (!isUserMessage(target)) {
+            throw new MessageError('Only messages and replies can be edited or deleted');
+        }
+        if (target.sender_id !== senderId) {
+            throw new MessageError('Only the sender can edit or delete a message', 403);
+        }
+        if (target.deleted_at) {
+            throw new MessageError('Message has been deleted', 409);
+        }
+        return target;
+    }
+
+    /**
+     * The message a reply from `senderId` answers; messages the sender
+     * cannot see are reported as not found.
+     */
+    async findParent(senderId, { parent_id }) {
+        if (!isUuid(parent_id)) {
+            throw new MessageError('parent_id must be a UUID');
+        }
+
+        const parent = await this.messages.findById(parent_id);
+        if (!parent || (parent.sender_id !== senderId && !messageRecipients(parent).includes(senderId))) {
+            throw new MessageError('Message not found', 404);
+        }
+        if (parent.type) {
+            throw new MessageError('Replies can only be made to messages, not to replies or events');
+        }
+        if (parent.deleted_at) {
+            throw new MessageError('Message has been deleted', 409);
+        }
+        return parent;
+    }
+
+    /**
+     * Addressing for a message from `senderId` in `original`'s
+     * conversation. A recipient_id or group_id the client sent anyway must
+     * agree with it.
+     */
+    addressFor(original, senderId, claimed) {
+        let address = { recipient_id: undefined, group_id: original.group_id };
+        if (!original.group_id) {
+            const recipientId = original.sender_id === senderId ? original.recipient_id : original.sender_id;
+            address = { recipient_id: recipientId, group_id: undefined };
+        }
+
+        if ((claimed.recipient_id != null && claimed.recipient_id !== address.recipient_id)
+            || (claimed.group_id != null && claimed.group_id !== address.group_id)) {
+            throw new MessageError('recipient_id and group_id must match the original message');
+        }
+        return address;
+    }
+
+    /**
+     * Milliseconds new messages in the conversation live, 0 for ever.
+     */
+    async messageTtl(conversationId) {
+        if (!this.settings) return 0;
+        const settings = await this.settings.get(conversationId);
+        return settings?.message_ttl_ms || 0;
+    }
+
+    /**
+     * Claim the signatures of a message's envelopes. Returns false, holding
+     * none of them, if any was already claimed within the signature window.
+     */
+    async claimSignatures(envelopes) {
+        const claimed = [];
+        for (const { signature } of envelopes) {
+            if (!await this.signatures.claim(signature)) {
+                await Promise.all(claimed.map(seen => this.signatures.release(seen)));
+                return false;
+            }
+            claimed.push(signature);
+        }
+        return true;
+    }
+
+    async releaseIds(senderId, messageId, clientMsgId) {
+        const releases = [this.recentIds.release(messageId)];
+        if (clientMsgId) {
+            releases.push(this.clientMsgIds.release(this.clientMsgKey(senderId, clientMsgId)));
+        }
+        await Promise.all(releases).catch(() => {});
+    }
+
+    /**
+     * Store a prepared message and queue it. If that fails the id,
+     * client_msg_id and envelope signatures are released, so the client's
+     * retry is not taken for a duplicate of a message that was never
+     * stored.
+     */
+    async accept(message) {
+        try {
+            await this.messages.save(message);
+            await this.delivery.enqueue(message);
+        } catch (error) {
+            const envelopes = message.group_id ? Object.values(message.encrypted_content) : [message.encrypted_content];
+            await Promise.all([
+                this.releaseIds(message.sender_id, message.id, message.client_msg_id),
+                ...envelopes.map(({ signature }) => this.signatures.release(signature))
+            ]).catch(() => {});
+            throw error;
+        }
+        if (message.type) await this.applyEvent(message);
+        return message;
+    }
+
+    /**
+     * Count an accepted reply on its parent, record an edit on its
+     * original, or purge the original of a delete and every edit of it.
+     * Purged records keep their ids and receipts so queues and history
+     * stay consistent.
+     */
+    async applyEvent(event) {
+        if (event.type === 'reply') {
+            await this.messages.recordReply(event.parent_id, event.timestamp);
+            return;
+        }
+        if (event.type === 'edit') {
+            await this.messages.update(event.target_id, { edited_at: event.timestamp, edit_id: event.id });
+            return;
+        }
+
+        const target = await this.messages.findById(event.target_id);
+        if (!target) return;
+        const edits = (await this.messages.listByTarget(target.id)).filter(message => message.type === 'edit');
+
+        await this.messages.update(target.id, { ...purgedFields(target), deleted_at: event.timestamp, delete_id: event.id });
+        await Promise.all(edits.map(edit => this.messages.update(edit.id, purgedFields(edit))));
+        this.emit('purged', [target, ...edits]);
+    }
+
+    /**
+     * Check a group message: the sender is a member and there is a valid
+     * envelope for each other member and none for outsiders.
+     */
+    async verifyGroupEnvelopes(senderId, groupId, envelopes, expected = {}) {
+        const group = await this.groups.findById(groupId);
+        const memberIds = group ? group.members.map(member => member.user_id) : [];
+        if (!memberIds.includes(senderId)) {
+            throw new MessageError('Not a member of this group', 403);
+        }
+        if (typeof envelopes !== 'object' || Array.isArray(envelopes)) {
+            return ['encrypted_content must map member ids to envelopes'];
+        }
+
+        const errors = [];
+        for (const userId of Object.keys(envelopes)) {
+            if (!memberIds.includes(userId)) errors.push(`${userId} is not a member of this group`);
+        }
+        for (const userId of memberIds) {
+            if (userId !== senderId && !envelopes[userId]) errors.push(`missing envelope for ${userId}`);
+        }
+        if (errors.length) return errors;
+
+        for (const [userId, envelope] of Object.entries(envelopes)) {
+            const envelopeErrors = await this.verifyEnvelope(envelope, { ...expected, senderId, recipientId: userId });
+            errors.push(...envelopeErrors.map(error => `${userId}: ${error}`));
+        }
+        return errors;
+    }
+}
+
+function createMessageService(config) {
+    return new MessageService(config);
+}
+
+module.exports = {
+    EVENT_TYPES,
+    MESSAGE_TYPES,
+    MessageError,
+    MessageService,
+    createMessageService
+};
@@ -0,0 +1,244 @@
+/**
+ * Prometheus metrics
+ *
+ * A small registry of counters, gauges and histograms rendered in the
+ * Prometheus text format (version 0.0.4) at GET /metrics. Gauges may take
+ * a `collect` function that reads the current value at scrape time.
+ *
+ * Metric names and labels are part of the monitoring contract: dashboards
+ * and alerts depend on them, so rename only with a deprecation period.
+ * Keep label values to small fixed sets (never user or message ids).
+ */
+
+const logger = require('../utils/logger').logger.child({ component: 'metrics' });
+
+const DEFAULT_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+function escapeLabel(value) {
+    return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+function labelKey(labelNames, labels = {}) {
+    return JSON.stringify(labelNames.map(name => labels[name] ?? ''));
+}
+
+function formatLabels(labelNames, values, extra = []) {
+    const pairs = labelNames.map((name, i) => [name, values[i]]).concat(extra);
+    if (!pairs.length) return '';
+    return `{${pairs.map(([name, value]) => `${name}="${escapeLabel(value)}"`).join(',')}}`;
+}
+
+function formatNumber(value) {
+    if (value === Infinity) return '+Inf';
+    if (value === -Infinity) return '-Inf';
+    return String(value);
+}
+
+class Metric {
+    constructor(type, { name, help, labelNames = [] }) {
+        this.type = type;
+        this.name = name;
+        this.help = help;
+        this.labelNames = labelNames;
+        this.values = new Map();
+    }
+
+    header() {
+        return [`# HELP ${this.name} ${this.help}`, `# TYPE ${this.name} ${this.type}`];
+    }
+
+    async render() {
+        const lines = this.header();
+        for (const [key, value] of this.values) {
+            lines.push(`${this.name}${formatLabels(this.labelNames, JSON.parse(key))} ${formatNumber(value)}`);
+        }
+        return lines;
+    }
+}
+
+class Counter extends Metric {
+    constructor(options) {
+        super('counter', options);
+    }
+
+    inc(labels, amount = 1) {
+        const key = labelKey(this.labelNames, labels);
+        this.values.set(key, (this.values.get(key) || 0) + amount);
+    }
+}
+
+class Gauge extends Metric {
+    constructor(options) {
+        super('gauge', options);
+        // Called at scrape time; returns a number or [{ labels, value }]
+        this.collect = options.collect || null;
+    }
+
+    set(labels, value) {
+        this.values.set(labelKey(this.labelNames, labels), value);
+    }
+
+    async render() {
+        if (this.collect) {
+            const collected = await this.collect();
+            this.values.clear();
+            if (Array.isArray(collected)) {
+                collected.forEach(({ labels, value }) => this.set(labels, value));
+            } else if (collected !== null && collected !== undefined) {
+                this.set({}, collected);
+            }
+        }
+        return super.render();
+    }
+}
+
+class Histogram extends Metric {
+    constructor(options) {
+        super('histogram', options);
+        this.buckets = options.buckets || DEFAULT_BUCKETS;
+    }
+
+    observe(labels, seconds) {
+        const key = labelKey(this.labelNames, labels);
+        let series = this.values.get(key);
+        if (!series) {
+            series = { counts: new Array(this.buckets.length).fill(0), sum: 0, count: 0 };
+            this.values.set(key, series);
+        }
+
+        this.buckets.forEach((bound, i) => {
+            if (seconds <= bound) series.counts[i]++;
+        });
+        series.sum += seconds;
+        series.count++;
+    }
+
+    /**
+     * Start a timer; call the returned function with labels to observe.
+     */
+    startTimer() {
+        const started = process.hrtime.bigint();
+        return labels => this.observe(labels, Number(process.hrtime.bigint() - started) / 1e9);
+    }
+
+    async render() {
+        const lines = this.header();
+        for (const [key, series] of this.values) {
+            const values = JSON.parse(key);
+            this.buckets.forEach((bound, i) => {
+                lines.push(`${this.name}_bucket${formatLabels(this.labelNames, values, [['le', formatNumber(bound)]])} ${series.counts[i]}`);
+            });
+            lines.push(`${this.name}_bucket${formatLabels(this.labelNames, values, [['le', '+Inf']])} ${series.count}`);
+            lines.push(`${this.name}_sum${formatLabels(this.labelNames, values)} ${series.sum}`);
+            lines.push(`${this.name}_count${formatLabels(this.labelNames, values)} ${series.count}`);
+        }
+        return lines;
+    }
+}
+
+class MetricsRegistry {
+    constructor() {
+        this.metrics = new Map();
+    }
+
+    register(metric) {
+        if (this.metrics.has(metric.name)) throw new Error(`Metric ${metric.name} already registered`);
+        this.metrics.set(metric.name, metric);
+        return metric;
+    }
+
+    counter(options) {
+        return this.register(new Counter(options));
+    }
+
+    gauge(options) {
+        return this.register(new Gauge(options));
+    }
+
+    histogram(options) {
+        return this.register(new Histogram(options));
+    }
+
+    /**
+     * The exposition text. A collector that fails leaves its metric out
+     * instead of failing the scrape.
+     */
+    async render() {
+        const sections = await Promise.all([...this.metrics.values()].map(async (metric) => {
+            try {
+                return (await metric.render()).join('\n');
+            } catch (error) {
+                logger.warn('Metric not collected', { metric: metric.name, err: error });
+                return null;
+            }
+        }));
+        return `${sections.filter(Boolean).join('\n')}\n`;
+    }
+}
+
+/**
+ * The chat server's metrics. Gauges read live values through the
+ * `collect` callbacks passed in.
+ */
+function createMetrics({ socketCount, queueDepth, ipfsConnected } = {}) {
+    const registry = new MetricsRegistry();
+
+    const metrics = {
+        registry,
+        contentType: 'text/plain; version=0.0.4; charset=utf-8',
+
+        messagesSent: registry.counter({
+            name: 'secure_chat_messages_sent_total',
+            help: 'Messages accepted, by the transport that carried them (primary, ipfs, dual).',
+            labelNames: ['transport']
+        }),
+        ipfsOperationDuration: registry.histogram({
+            name: 'secure_chat_ipfs_operation_duration_seconds',
+            help: 'Duration of IPFS operations, including failed ones.',
+            labelNames: ['operation'],
+            buckets: [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60]
+        }),
+        ipfsOperationErrors: registry.counter({
+            name: 'secure_chat_ipfs_operation_errors_total',
+            help: 'Failed IPFS operations, by error code.',
+            labelNames: ['operation', 'code']
+        }),
+        ipfsConnected: registry.gauge({
+            name: 'secure_chat_ipfs_connected',
+            help: 'Whether the IPFS node is reachable (1) or not (0).',
+            collect: ipfsConnected
+        }),
+        socketConnections: registry.gauge({
+            name: 'secure_chat_socket_connections',
+            help: 'Socket.IO connections open on this instance.',
+            collect: socketCount
+        }),
+        deliveryQueueDepth: registry.gauge({
+            name: 'secure_chat_delivery_queue_depth',
+            help: 'Messages waiting in offline delivery queues.',
+            collect: queueDepth
+        }),
+        rateLimited: registry.counter({
+            name: 'secure_chat_rate_limited_total',
+            help: 'Refused events and connections, by limit bucket and reason (rate, payload, connections, banned).',
+            labelNames: ['event', 'reason']
+        }),
+        httpRequestDuration: registry.histogram({
+            name: 'secure_chat_http_request_duration_seconds',
+            help: 'HTTP request duration by route template.',
+            labelNames: ['method', 'route', 'status_code']
+        })
+    };
+
+    // Every transport is exported from the start so rate() works on the first message
+    ['primary', 'ipfs', 'dual'].forEach(transport => metrics.messagesSent.inc({ transport }, 0));
+    return metrics;
+}
+
+module.exports = {
+    Counter,
+    Gauge,
+    Histogram,
+    MetricsRegistry,
+    createMetrics
+};
@@ -0,0 +1,184 @@
+/**
+ * Pin lifecycle and storage quotas for IPFS content
+ *
+ * Every pin the server makes is recorded with its owner, conversation and
+ * expiry (see repositories/pin-repository.js). Adds are refused once the
+ * owner's live pins or all live pins would exceed their quota. A periodic
+ * sweep drops expired and released records, unpins content no live record
+ * refers to any more, and runs repo GC when anything was unpinned.
+ */
+
+const EventEmitter = require('events');
+const { MemoryPinRepository } = require('../repositories/pin-repository');
+const logger = require('../utils/logger').logger.child({ component: 'pins' });
+
+class PinManager extends EventEmitter {
+    constructor(config = {}) {
+        super();
+
+        this.config = {
+            // 0 disables a quota or expiry
+            userQuotaBytes: config.userQuotaBytes ?? 1024 * 1024 * 1024,
+            globalQuotaBytes: config.globalQuotaBytes ?? 0,
+            defaultTtlMs: config.defaultTtlMs ?? 0,
+            sweepIntervalMs: config.sweepIntervalMs || 60 * 60 * 1000
+        };
+
+        this.ipfs = config.ipfsService;
+        this.records = config.pinRepository || new MemoryPinRepository();
+        this.timer = null;
+        this.sweeping = null;
+    }
+
+    start() {
+        if (this.timer) return;
+        this.timer = setInterval(() => {
+            this.sweep().catch(error => logger.error('Pin sweep error', { err: error }));
+        }, this.config.sweepIntervalMs);
+        this.timer.unref?.();
+    }
+
+    stop() {
+        clearInterval(this.timer);
+        this.timer = null;
+    }
+
+    /**
+     * Throw a QUOTA_EXCEEDED error if pinning `size` more bytes for
+     * `ownerId` would go over the user or global quota.
+     */
+    async checkQuota(ownerId, size) {
+        const { userQuotaBytes, globalQuotaBytes } = this.config;
+
+        if (ownerId && userQuotaBytes) {
+            const usage = await this.records.usage(ownerId);
+            if (usage.bytes + size > userQuotaBytes) {
+                throw quotaError('user', `Storage quota of ${userQuotaBytes} bytes exceeded`);
+            }
+        }
+        if (globalQuotaBytes) {
+            const totals = await this.records.totals();
+            if (totals.bytes + size > globalQuotaBytes) {
+                throw quotaError('global', 'Server storage is full');
+            }
+        }
+    }
+
+    /**
+     * Record a pin. `ttlMs` overrides the default expiry; pass 0 to keep
+     * the content until it is released.
+     */
+    async record(cid, { owner, conversationId, kind, size, ttlMs } = {}) {
+        const ttl = ttlMs ?? this.config.defaultTtlMs;
+        return this.records.upsert({
+            cid,
+            owner_id: owner || null,
+            conversation_id: conversationId || null,
+            kind: kind || 'data',
+            size,
+            expires_at: ttl ? new Date(Date.now() + ttl) : null
+        });
+    }
+
+    /**
+     * Release pins matching { cid, owner_id, conversation_id } (any subset);
+     * the next sweep unpins content nothing else holds.
+     */
+    async release(filter) {
+        const defined = Object.fromEntries(Object.entries(filter).filter(([, value]) => value !== undefined));
+        if (!Object.keys(defined).length) throw new Error('release needs a filter');
+        return this.records.release(defined);
+    }
+
+    /**
+     * Drop one owner's pin right away, unpinning the content unless another
+     * live record still holds it. Used to undo failed adds.
+     */
+    async discard(cid, { owner, conversationId } = {}) {
+        await this.records.remove([{ cid, owner_id: owner || null, conversation_id: conversationId || null }]);
+        if (await this.records.countLive(cid) === 0) {
+            await this.ipfs.unpin(cid).catch(() => {});
+        }
+    }
+
+    async usage(ownerId) {
+        return this.records.usage(ownerId);
+    }
+
+    async report() {
+        return {
+            quotas: {
+                user_bytes: this.config.userQuotaBytes || null,
+                global_bytes: this.config.globalQuotaBytes || null
+            },
+            totals: await this.records.totals(),
+            owners: await this.records.usageByOwner()
+        };
+    }
+
+    /**
+     * Reclaim expired and released pins. Concurrent calls share one run.
+     */
+    sweep() {
+        if (!this.sweeping) {
+            this.sweeping = this.sweepNow().finally(() => {
+                this.sweeping = null;
+            });
+        }
+        return this.sweeping;
+    }
+
+    async sweepNow() {
+        const now = new Date();
+        const unpinned = new Set();
+        let released = 0;
+
+        for (;;) {
+            const records = await this.records.findReclaimable(now);
+            if (!records.length) break;
+
+            await this.records.remove(records);
+            released += records.length;
+
+            for (const cid of new Set(records.map(record => record.cid))) {
+                if (unpinned.has(cid) || await this.records.countLive(cid, now) > 0) continue;
+                try {
+                    await this.ipfs.unpin(cid);
+                } catch (error) {
+                    // Already unpinned, e.g. by an earlier sweep that was interrupted
+                    logger.warn('Unpin failed', { cid, err: error });
+                }
+                unpinned.add(cid);
+            }
+        }
+
+        let gc = false;
+        if (unpinned.size) {
+            await this.ipfs.gc();
+            gc = true;
+        }
+
+        const result = { released, unpinned: unpinned.size, gc };
+        if (released) {
+            logger.info('Pin sweep finished', { released, unpinned: unpinned.size });
+            this.emit('swept', result);
+        }
+        return result;
+    }
+}
+
+function quotaError(scope, message) {
+    const error = new Error(message);
+    error.code = 'QUOTA_EXCEEDED';
+    error.scope = scope;
+    return error;
+}
+
+function createPinManager(config) {
+    return new PinManager(config);
+}
+
+module.exports = {
+    PinManager,
+    createPinManager
+};
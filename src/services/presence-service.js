@@ -0,0 +1,72 @@
+/**
+ * Online/offline presence tracking
+ *
+ * Emits 'changed' with { user_id, status, last_seen } when a user's first
+ * device connects or last device disconnects. Going offline is delayed by a
+ * grace period so a quick reconnect does not produce an offline/online pair.
+ */
+
+const EventEmitter = require('events');
+
+class PresenceService extends EventEmitter {
+    constructor(config = {}) {
+        super();
+
+        this.config = {
+            offlineGraceMs: config.offlineGraceMs ?? 5000
+        };
+
+        this.repository = config.presenceRepository;
+        this.offlineTimers = new Map();
+    }
+
+    async connect(userId, socketId) {
+        const count = await this.repository.addConnection(userId, socketId);
+
+        if (this.offlineTimers.has(userId)) {
+            // Reconnected within the grace period; peers never saw us leave
+            clearTimeout(this.offlineTimers.get(userId));
+            this.offlineTimers.delete(userId);
+        } else if (count === 1) {
+            this.emit('changed', await this.repository.get(userId));
+        }
+    }
+
+    async disconnect(userId, socketId) {
+        const remaining = await this.repository.removeConnection(userId, socketId);
+        if (remaining > 0 || this.offlineTimers.has(userId)) return;
+
+        const timer = setTimeout(async () => {
+            this.offlineTimers.delete(userId);
+            const presence = await this.repository.get(userId);
+            if (presence.status === 'offline') {
+                this.emit('changed', presence);
+            }
+        }, this.config.offlineGraceMs);
+        timer.unref?.();
+        this.offlineTimers.set(userId, timer);
+    }
+
+    async getPresence(userIds) {
+        return Promise.all(userIds.map(userId => this.repository.get(userId)));
+    }
+
+    async isOnline(userId) {
+        return (await this.repository.get(userId)).status === 'online';
+    }
+
+    cleanup() {
+        for (const timer of this.offlineTimers.values()) clearTimeout(timer);
+        this.offlineTimers.clear();
+        this.removeAllListeners();
+    }
+}
+
+function createPresenceService(config) {
+    return new PresenceService(config);
+}
+
+module.exports = {
+    PresenceService,
+    createPresenceService
+};
@@ -0,0 +1,239 @@
+/**
+ * Per-user rate limits, payload caps and temporary bans
+ *
+ * Each user has a token bucket per event type: `count` events may arrive
+ * at once, refilled at `count` per `intervalMs`. Events without limits of
+ * their own share the '*' bucket, so inventing event names buys nothing.
+ * The same buckets cover the HTTP routes that do the same work
+ * (POST /api/messages spends send_encrypted_message tokens) and the IPFS
+ * work behind them (ipfs_publish, ipfs_add).
+ *
+ * Every refusal is a violation; `banAfter` violations within
+ * `banWindowMs` ban the user for `banMs`. Buckets and violation counts
+ * are per instance; bans and connection slots are shared through Redis
+ * when it is configured.
+ */
+
+const EventEmitter = require('events');
+const logger = require('../utils/logger').logger.child({ component: 'rate-limit' });
+
+const per = (count, seconds) => ({ count, intervalMs: seconds * 1000 });
+
+const DEFAULT_RATES = {
+    '*': per(30, 10),
+    send_encrypted_message: per(30, 10),
+    edit_message: per(30, 60),
+    delete_message: per(30, 60),
+    send_reply: per(30, 10),
+    add_reaction: per(60, 60),
+    remove_reaction: per(60, 60),
+    typing: per(30, 10),
+    mark_delivered: per(120, 10),
+    mark_read: per(120, 10),
+    get_presence: per(30, 60),
+    get_groups: per(20, 60),
+    get_transport_status: per(20, 60),
+    create_group: per(10, 60),
+    rename_group: per(30, 60),
+    add_group_members: per(30, 60),
+    remove_group_member: per(30, 60),
+    set_group_role: per(30, 60),
+    ipfs_publish: per(20, 60),
+    ipfs_add: per(30, 60)
+};
+
+// Socket.IO refuses anything over its 1 MB maxHttpBufferSize anyway.
+// Receipts may list 500 message ids (about 19.5 KB)
+const DEFAULT_PAYLOAD_BYTES = {
+    '*': 16 * 1024,
+    mark_delivered: 32 * 1024,
+    mark_read: 32 * 1024,
+    send_encrypted_message: 1000000,
+    edit_message: 1000000,
+    delete_message: 1000000,
+    send_reply: 1000000
+};
+
+class RateLimiter extends EventEmitter {
+    constructor(config = {}) {
+        super();
+
+        this.config = {
+            rates: { ...DEFAULT_RATES, ...config.rates },
+            payloadBytes: { ...DEFAULT_PAYLOAD_BYTES, ...config.payloadBytes },
+            maxConnectionsPerUser: config.maxConnectionsPerUser ?? 10,
+            banAfter: config.banAfter ?? 20,
+            banWindowMs: config.banWindowMs || 60 * 1000,
+            banMs: config.banMs || 5 * 60 * 1000,
+            pruneIntervalMs: config.pruneIntervalMs || 60 * 1000
+        };
+        this.redis = config.redis || null;
+        // Bounds how long slots of a crashed instance count against a user
+        this.connectionTtlMs = config.connectionTtlMs || 24 * 60 * 60 * 1000;
+
+        this.buckets = new Map();
+        this.violations = new Map();
+        this.bans = new Map();
+        this.connections = new Map();
+
+        this.pruneTimer = setInterval(() => this.prune(), this.config.pruneIntervalMs);
+        this.pruneTimer.unref();
+    }
+
+    /**
+     * The bucket an event draws from: its own, or the shared '*' one.
+     */
+    bucketName(event) {
+        return Object.prototype.hasOwnProperty.call(this.config.rates, event) ? event : '*';
+    }
+
+    payloadLimit(event) {
+        return this.config.payloadBytes[event] ?? this.config.payloadBytes['*'];
+    }
+
+    /**
+     * Spend a token from the user's bucket for `event`. Returns
+     * { allowed: true } or { allowed: false, retryAfterMs }.
+     */
+    take(userId, event) {
+        const name = this.bucketName(event);
+        const { count, intervalMs } = this.config.rates[name];
+        const key = `${userId}:${name}`;
+        const now = Date.now();
+
+        const bucket = this.buckets.get(key) || { tokens: count, updatedAt: now };
+        bucket.tokens = Math.min(count, bucket.tokens + (now - bucket.updatedAt) * count / intervalMs);
+        bucket.updatedAt = now;
+        this.buckets.set(key, bucket);
+
+        if (bucket.tokens >= 1) {
+            bucket.tokens -= 1;
+            return { allowed: true };
+        }
+        return { allowed: false, retryAfterMs: Math.ceil((1 - bucket.tokens) * intervalMs / count) };
+    }
+
+    /**
+     * Record a refused event ('connection' for a refused handshake).
+     * Resolves to { banned, banMs }; a ban is announced with 'banned'
+     * (userId, banMs) so every connection of the user can be closed.
+     * Refusals of users already banned are reported but not counted.
+     *
+     * @param {string} reason  rate, payload, connections or banned
+     */
+    async violation(userId, event, reason) {
+        const label = event === 'connection' ? event : this.bucketName(event);
+        this.emit('violation', { user_id: userId, event: label, reason });
+
+        if (!this.config.banAfter || reason === 'banned') return { banned: false };
+
+        const now = Date.now();
+        const recent = (this.violations.get(userId) || []).filter(at => now - at < this.config.banWindowMs);
+        recent.push(now);
+        this.violations.set(userId, recent);
+        if (recent.length < this.config.banAfter) return { banned: false };
+
+        this.violations.delete(userId);
+        await this.ban(userId, this.config.banMs);
+        return { banned: true, banMs: this.config.banMs };
+    }
+
+    async ban(userId, banMs) {
+        const until = Date.now() + banMs;
+        if (this.redis) {
+            await this.redis.set(`chat:ban:${userId}`, String(until), { PX: banMs });
+        } else {
+            this.bans.set(userId, until);
+        }
+        logger.warn('User temporarily banned', { user_id: userId, ban_ms: banMs });
+        this.emit('banned', userId, banMs);
+    }
+
+    /**
+     * Milliseconds left on the user's ban, 0 when there is none.
+     */
+    async bannedFor(userId) {
+        const until = this.redis
+            ? Number(await this.redis.get(`chat:ban:${userId}`))
+            : this.bans.get(userId);
+        const left = until ? until - Date.now() : 0;
+        if (left <= 0 && !this.redis) this.bans.delete(userId);
+        return Math.max(left, 0);
+    }
+
+    /**
+     * Take one of the user's `maxConnectionsPerUser` connection slots.
+     * Resolves to false when they are all taken. With Redis the slot is
+     * taken with an atomic increment and given back when it was one too
+     * many, so concurrent handshakes on any instance cannot all see a free
+     * slot.
+     */
+    async reserveConnection(userId) {
+        const max = this.config.maxConnectionsPerUser;
+        if (!max) return true;
+
+        if (!this.redis) {
+            const count = this.connections.get(userId) || 0;
+            if (count >= max) return false;
+            this.connections.set(userId, count + 1);
+            return true;
+        }
+
+        const key = `chat:connections:${userId}`;
+        const count = await this.redis.incr(key);
+        await this.redis.pExpire(key, this.connectionTtlMs);
+        if (count <= max) return true;
+
+        await this.redis.decr(key);
+        return false;
+    }
+
+    /**
+     * Give back a slot taken by reserveConnection().
+     */
+    async releaseConnection(userId) {
+        if (!this.config.maxConnectionsPerUser) return;
+
+        if (!this.redis) {
+            const count = (this.connections.get(userId) || 0) - 1;
+            if (count > 0) this.connections.set(userId, count);
+            else this.connections.delete(userId);
+            return;
+        }
+
+        await this.redis.decr(`chat:connections:${userId}`);
+    }
+
+    /**
+     * Drop full buckets and expired bans and violations, which carry no
+     * state a fresh entry would not.
+     */
+    prune() {
+        const now = Date.now();
+        for (const [key, bucket] of this.buckets) {
+            const { count, intervalMs } = this.config.rates[key.slice(key.lastIndexOf(':') + 1)];
+            if (bucket.tokens + (now - bucket.updatedAt) * count / intervalMs >= count) this.buckets.delete(key);
+        }
+        for (const [userId, times] of this.violations) {
+            if (now - times[times.length - 1] >= this.config.banWindowMs) this.violations.delete(userId);
+        }
+        for (const [userId, until] of this.bans) {
+            if (until <= now) this.bans.delete(userId);
+        }
+    }
+
+    cleanup() {
+        clearInterval(this.pruneTimer);
+        this.removeAllListeners();
+    }
+}
+
+function createRateLimiter(config) {
+    return new RateLimiter(config);
+}
+
+module.exports = {
+    DEFAULT_RATES,
+    RateLimiter,
+    createRateLimiter
+};
@@ -0,0 +1,115 @@
+/**
+ * Emoji reactions on messages and replies
+ *
+ * Reactions are stored on the message they belong to and synced to the
+ * conversation's participants, but never published over IPFS: they are
+ * metadata about a message, not part of the encrypted conversation.
+ * Anyone who can see a message may react to it, with each emoji once.
+ *
+ * Emits 'added' and 'removed' with (message, reaction) so the server can
+ * tell the other participants.
+ */
+
+const EventEmitter = require('events');
+const { messageRecipients, isUserMessage } = require('../utils/messages');
+
+class ReactionError extends Error {
+    constructor(message, status = 400) {
+        super(message);
+        this.name = 'ReactionError';
+        this.status = status;
+    }
+}
+
+const MAX_EMOJI_LENGTH = 32;
+
+class ReactionService extends EventEmitter {
+    constructor(config = {}) {
+        super();
+
+        this.config = {
+            maxPerUser: config.maxPerUser || 20
+        };
+
+        this.messages = config.messageRepository;
+        this.groups = config.groupRepository;
+    }
+
+    async add(userId, messageId, emoji) {
+        const message = await this.findMessage(userId, messageId, emoji);
+        const own = (message.reactions || []).filter(reaction => reaction.user_id === userId);
+        if (own.some(reaction => reaction.emoji === emoji)) {
+            throw new ReactionError('Already reacted with this emoji', 409);
+        }
+        if (own.length >= this.config.maxPerUser) {
+            throw new ReactionError(`At most ${this.config.maxPerUser} reactions per message`);
+        }
+
+        const reaction = { user_id: userId, emoji, reacted_at: new Date() };
+        // A concurrent add of the same reaction wins; report it as a conflict here
+        if (!await this.messages.addReaction(message.id, reaction)) {
+            throw new ReactionError('Already reacted with this emoji', 409);
+        }
+
+        this.emit('added', message, reaction);
+        return reaction;
+    }
+
+    async remove(userId, messageId, emoji) {
+        const message = await this.findMessage(userId, messageId, emoji);
+        if (!await this.messages.removeReaction(message.id, userId, emoji)) {
+            throw new ReactionError('Reaction not found', 404);
+        }
+
+        const reaction = { user_id: userId, emoji };
+        this.emit('removed', message, reaction);
+        return reaction;
+    }
+
+    /**
+     * A message the user may react to. Messages they cannot see, including
+     * those of groups they have left, are reported as missing.
+     */
+    async findMessage(userId, messageId, emoji) {
+        if (typeof emoji !== 'string' || !emoji || emoji.length > MAX_EMOJI_LENGTH || /\s/.test(emoji)) {
+            throw new ReactionError(`emoji must be 1-${MAX_EMOJI_LENGTH} characters without spaces`);
+        }
+
+        const message = await this.messages.findById(messageId);
+        if (!message || !await this.canSee(userId, message)) {
+            throw new ReactionError('Message not found', 404);
+        }
+        if (!isUserMessage(message)) {
+            throw new ReactionError('Only messages and replies can be reacted to');
+        }
+        if (message.deleted_at) {
+            throw new ReactionError('Message has been deleted', 409);
+        }
+        return message;
+    }
+
+    async canSee(userId, message) {
+        if (message.sender_id !== userId && !messageRecipients(message).includes(userId)) return false;
+        if (!message.group_id) return true;
+
+        const group = await this.groups.findById(message.group_id);
+        return Boolean(group?.members.some(member => member.user_id === userId));
+    }
+
+    /**
+     * Everyone a change to the message's reactions is shown to.
+     */
+    participants(message) {
+        return [...new Set([message.sender_id, ...messageRecipients(message)])];
+    }
+}
+
+function createReactionService(config) {
+    return new ReactionService(config);
+}
+
+module.exports = {
+    ReactionError,
+    ReactionService,
+    createReactionService
+};
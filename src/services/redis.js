@@ -0,0 +1,75 @@
+/**
+ * Redis connection management
+ */
+
+const { createClient } = require('redis');
+const { MemoryRedisClient, createMemoryRedisClient } = require('./memory-redis');
+const logger = require('../utils/logger').logger.child({ component: 'redis' });
+
+let clients = [];
+
+/**
+ * Open the Redis connection. Returns null when no URL is configured so
+ * callers fall back to per-process state. `memory://` selects the in-memory
+ * stand-in, which runs the Redis-backed code paths without a server.
+ * Commands fail fast while Redis is unreachable instead of queueing, so a
+ * Redis outage surfaces as errors rather than hung requests.
+ */
+function connectRedis(url) {
+    if (!url) {
+        logger.warn('REDIS_URL not set, using per-process state');
+        return null;
+    }
+
+    if (url.startsWith('memory://')) {
+        logger.info('Using in-memory Redis stand-in');
+        const client = createMemoryRedisClient();
+        clients.push(client);
+        return client;
+    }
+
+    const client = createClient({ url, disableOfflineQueue: true });
+    client.on('ready', () => logger.info('Redis connected'));
+    client.on('end', () => logger.warn('Redis disconnected'));
+    client.on('error', (error) => logger.error('Redis error', { err: error }));
+    client.connect().catch(() => {});
+
+    clients.push(client);
+    return client;
+}
+
+/**
+ * Create an additional connection that queues commands until Redis is
+ * ready: subscriptions, which need a dedicated client in Redis, and the
+ * Socket.IO adapter's publishes, which it never checks for errors.
+ */
+function duplicateRedis(client) {
+    const duplicate = client.duplicate({ disableOfflineQueue: false });
+    duplicate.on('error', (error) => logger.error('Redis error', { err: error }));
+    if (!duplicate.isOpen) duplicate.connect().catch(() => {});
+
+    clients.push(duplicate);
+    return duplicate;
+}
+
+/**
+ * Whether the client should carry Socket.IO adapter traffic. The in-memory
+ * stand-in only reaches clients in the same process, where the default
+ * adapter already does the job.
+ */
+function supportsPubSub(client) {
+    return Boolean(client) && !(client instanceof MemoryRedisClient);
+}
+
+async function closeRedis() {
+    await Promise.all(clients.map(client => client.quit().catch(() => {})));
+    if (clients.length) logger.info('Redis connection closed');
+    clients = [];
+}
+
+module.exports = {
+    connectRedis,
+    duplicateRedis,
+    supportsPubSub,
+    closeRedis
+};
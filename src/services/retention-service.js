@@ -0,0 +1,135 @@
+/**
+ * Disappearing messages and the release of purged content
+ *
+ * A conversation may set a message TTL. The message service stamps new
+ * messages there with `expires_at`, and their IPFS copies are pinned until
+ * then. A periodic sweep removes expired messages, with the edits and
+ * deletes that point at them, and releases their pins and those of their
+ * attachments so the pin sweep unpins them. Deleted messages are released
+ * the same way right after the delete is accepted.
+ *
+ * Emits 'expired' with the removed messages after each batch and 'ttl'
+ * with the settings whenever a conversation's TTL changes.
+ */
+
+const EventEmitter = require('events');
+const logger = require('../utils/logger').logger.child({ component: 'retention' });
+
+class RetentionService extends EventEmitter {
+    constructor(config = {}) {
+        super();
+
+        this.config = {
+            sweepIntervalMs: config.sweepIntervalMs || 60 * 1000,
+            batchSize: config.batchSize || 500
+        };
+
+        this.messages = config.messageRepository;
+        this.settings = config.conversationSettings;
+        // Without IPFS there is nothing pinned to release
+        this.pins = config.pinManager || null;
+        this.timer = null;
+        this.sweeping = null;
+    }
+
+    start() {
+        if (this.timer) return;
+        this.timer = setInterval(() => {
+            this.sweep().catch(error => logger.error('Expiry sweep error', { err: error }));
+        }, this.config.sweepIntervalMs);
+        this.timer.unref?.();
+    }
+
+    stop() {
+        clearInterval(this.timer);
+        this.timer = null;
+    }
+
+    toSettings(conversationId, settings) {
+        return {
+            conversation_id: conversationId,
+            message_ttl_seconds: Math.round((settings?.message_ttl_ms || 0) / 1000),
+            updated_by: settings?.updated_by || null,
+            updated_at: settings?.updated_at || null
+        };
+    }
+
+    async getTtl(conversationId) {
+        return this.toSettings(conversationId, await this.settings.get(conversationId));
+    }
+
+    /**
+     * Set how long new messages in the conversation live; 0 turns
+     * disappearing messages off. Messages already sent keep their expiry.
+     */
+    async setTtl(conversationId, ttlMs, userId) {
+        const stored = await this.settings.set(conversationId, { message_ttl_ms: ttlMs, updated_by: userId });
+        const settings = this.toSettings(conversationId, stored);
+        this.emit('ttl', settings);
+        return settings;
+    }
+
+    /**
+     * Release the pins of the messages' IPFS content and attachments, held
+     * by their senders. Chain entries stay pinned so the conversation chain
+     * can still be walked; only entries from before content was stored apart
+     * carry it inline and are released whole. Failures are logged; the pins
+     * then expire or stay.
+     */
+    async release(messages) {
+        if (!this.pins) return;
+        for (const message of messages) {
+            const cids = [message.ipfs_content_cid || message.ipfs_cid, ...(message.attachments || []).map(attachment => attachment.cid)];
+            for (const cid of cids.filter(Boolean)) {
+                try {
+                    await this.pins.release({ cid, owner_id: message.sender_id });
+                } catch (error) {
+                    logger.warn('Pin release failed', { message_id: message.id, cid, err: error });
+                }
+            }
+        }
+    }
+
+    /**
+     * Remove expired messages. Concurrent calls share one run.
+     */
+    sweep() {
+        if (!this.sweeping) {
+            this.sweeping = this.sweepNow().finally(() => {
+                this.sweeping = null;
+            });
+        }
+        return this.sweeping;
+    }
+
+    async sweepNow() {
+        let removed = 0;
+
+        for (;;) {
+            const expired = await this.messages.findExpired(new Date(), this.config.batchSize);
+            if (!expired.length) break;
+
+            // Edits and deletes go with the message they point at
+            const events = (await Promise.all(expired.map(message => this.messages.listByTarget(message.id)))).flat();
+            const batch = [...new Map([...expired, ...events].map(message => [message.id, message])).values()];
+
+            await this.release(batch);
+            removed += await this.messages.remove(batch.map(message => message.id));
+            this.emit('expired', batch);
+
+            if (expired.length < this.config.batchSize) break;
+        }
+
+        if (removed) logger.info('Expired messages removed', { removed });
+        return { removed };
+    }
+}
+
+function createRetentionService(config) {
+    return new RetentionService(config);
+}
+
+module.exports = {
+    RetentionService,
+    createRetentionService
+};
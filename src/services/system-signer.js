@@ -0,0 +1,42 @@
+/**
+ * Server signing key for system messages (group membership changes)
+ *
+ * Clients verify system messages with the public key from
+ * /api/keys/system, see verifySystemMessage in shared/e2e-envelope.js.
+ */
+
+const crypto = require('crypto');
+const { systemMessagePayload } = require('../shared/e2e-envelope');
+
+class SystemSigner {
+    /**
+     * @param {string|crypto.KeyObject} privateKey Ed25519 private key, PKCS#8 PEM
+     */
+    constructor(privateKey) {
+        this.privateKey = typeof privateKey === 'string' ? crypto.createPrivateKey(privateKey) : privateKey;
+        if (this.privateKey.asymmetricKeyType !== 'ed25519') {
+            throw new Error('System signing key must be an Ed25519 private key');
+        }
+
+        const { x } = crypto.createPublicKey(this.privateKey).export({ format: 'jwk' });
+        this.publicKey = Buffer.from(x, 'base64url').toString('base64');
+    }
+
+    sign(message) {
+        const payload = Buffer.from(systemMessagePayload(message));
+        return crypto.sign(null, payload, this.privateKey).toString('base64');
+    }
+}
+
+/**
+ * Signer for a PEM key, or for a fresh key when none is configured.
+ */
+function createSystemSigner(privateKeyPem) {
+    if (privateKeyPem) return new SystemSigner(privateKeyPem.replace(/\\n/g, '\n'));
+    return new SystemSigner(crypto.generateKeyPairSync('ed25519').privateKey);
+}
+
+module.exports = {
+    SystemSigner,
+    createSystemSigner
+};
@@ -0,0 +1,198 @@
+/**
+ * Transport health tracking and automatic failover
+ *
+ * Periodically probes each transport (websocket, http, ipfs), tracks
+ * latency and consecutive failures, and picks a sending mode:
+ *
+ *   primary   WebSocket/HTTP healthy, IPFS only on client request
+ *   dual      primary degraded (slow or failing), send over both
+ *   fallback  primary down, IPFS carries the message
+ *
+ * Hysteresis: the first probe sets a transport's health directly; after
+ * that it turns unhealthy after `failureThreshold` consecutive failures
+ * and healthy again after `recoveryThreshold` successes. Degrading the mode happens at once; moving back towards
+ * primary waits until the current mode has held for `minDwellMs`.
+ *
+ * Emits 'changed' with the full status whenever the mode changes.
+ */
+
+const EventEmitter = require('events');
+const logger = require('../utils/logger').logger.child({ component: 'transport' });
+
+const MODES = ['primary', 'dual', 'fallback'];
+
+class TransportManager extends EventEmitter {
+    constructor(config = {}) {
+        super();
+
+        this.config = {
+            probeIntervalMs: config.probeIntervalMs || 10000,
+            probeTimeoutMs: config.probeTimeoutMs || 5000,
+            failureThreshold: config.failureThreshold || 3,
+            recoveryThreshold: config.recoveryThreshold || 3,
+            slowLatencyMs: config.slowLatencyMs || 1000,
+            minDwellMs: config.minDwellMs ?? 30000
+        };
+
+        this.probes = new Map();
+        this.transports = new Map();
+        this.mode = 'primary';
+        this.changedAt = new Date();
+        this.timer = null;
+    }
+
+    /**
+     * Register a probe. `probe` resolves when the transport works and
+     * rejects (or times out) when it does not.
+     */
+    registerProbe(name, probe) {
+        this.probes.set(name, probe);
+        this.transports.set(name, {
+            healthy: null,
+            latency_ms: null,
+            avg_latency_ms: null,
+            consecutive_failures: 0,
+            consecutive_successes: 0,
+            total_failures: 0,
+            last_error: null,
+            last_checked: null
+        });
+    }
+
+    start() {
+        if (this.timer) return;
+        this.probeAll();
+        this.timer = setInterval(() => this.probeAll(), this.config.probeIntervalMs);
+        this.timer.unref?.();
+    }
+
+    stop() {
+        clearInterval(this.timer);
+        this.timer = null;
+    }
+
+    async probeAll() {
+        await Promise.all([...this.probes.keys()].map(name => this.probe(name)));
+        this.evaluate();
+    }
+
+    async probe(name) {
+        const state = this.transports.get(name);
+        const started = Date.now();
+        let timeout;
+
+        try {
+            await Promise.race([
+                this.probes.get(name)(),
+                new Promise((resolve, reject) => {
+                    timeout = setTimeout(() => reject(new Error('Probe timed out')), this.config.probeTimeoutMs);
+                })
+            ]);
+            this.recordSuccess(state, Date.now() - started);
+        } catch (error) {
+            this.recordFailure(state, error);
+        } finally {
+            clearTimeout(timeout);
+            state.last_checked = new Date();
+        }
+    }
+
+    recordSuccess(state, latency) {
+        state.latency_ms = latency;
+        state.avg_latency_ms = state.avg_latency_ms === null
+            ? latency
+            : Math.round(state.avg_latency_ms * 0.8 + latency * 0.2);
+        state.consecutive_failures = 0;
+        state.consecutive_successes++;
+        state.last_error = null;
+
+        if (state.healthy === null
+            || (!state.healthy && state.consecutive_successes >= this.config.recoveryThreshold)) {
+            state.healthy = true;
+        }
+    }
+
+    recordFailure(state, error) {
+        state.latency_ms = null;
+        state.consecutive_successes = 0;
+        state.consecutive_failures++;
+        state.total_failures++;
+        state.last_error = error.message;
+
+        if (state.healthy === null
+            || (state.healthy && state.consecutive_failures >= this.config.failureThreshold)) {
+            state.healthy = false;
+        }
+    }
+
+    isHealthy(name) {
+        return this.transports.get(name)?.healthy === true;
+    }
+
+    isSlow(name) {
+        const state = this.transports.get(name);
+        return Boolean(state) && state.avg_latency_ms !== null && state.avg_latency_ms > this.config.slowLatencyMs;
+    }
+
+    desiredMode() {
+        const primaryUp = this.isHealthy('websocket') && this.isHealthy('http');
+        const primaryDegraded = ['websocket', 'http'].some(name => {
+            const state = this.transports.get(name);
+            return state && (state.consecutive_failures > 0 || this.isSlow(name));
+        });
+
+        if (!this.isHealthy('ipfs')) return 'primary';
+        if (!primaryUp) return 'fallback';
+        if (primaryDegraded) return 'dual';
+        return 'primary';
+    }
+
+    evaluate() {
+        const desired = this.desiredMode();
+        if (desired === this.mode) return;
+
+        const degrading = MODES.indexOf(desired) > MODES.indexOf(this.mode);
+        const dwelled = Date.now() - this.changedAt.getTime() >= this.config.minDwellMs;
+        if (!degrading && !dwelled) return;
+
+        const previous = this.mode;
+        this.mode = desired;
+        this.changedAt = new Date();
+        logger.info('Transport mode changed', { from: previous, to: desired });
+        this.emit('changed', { ...this.getStatus(), previous });
+    }
+
+    /**
+     * Transports to use for one message. The client's preference is a hint:
+     * 'dual' or 'ipfs' adds IPFS when it is healthy, but cannot take IPFS
+     * away when the current mode needs it. Sockets in the recipient's rooms
+     * are always notified since that costs nothing when they are gone.
+     */
+    transportsFor(preference) {
+        const wantsIpfs = preference === 'dual' || preference === 'ipfs' || this.mode !== 'primary';
+        const transports = ['websocket'];
+        if (wantsIpfs && this.isHealthy('ipfs')) transports.push('ipfs');
+        return transports;
+    }
+
+    getStatus() {
+        const transports = {};
+        for (const [name, state] of this.transports) {
+            transports[name] = { ...state };
+        }
+        return {
+            mode: this.mode,
+            changed_at: this.changedAt,
+            transports
+        };
+    }
+}
+
+function createTransportManager(config) {
+    return new TransportManager(config);
+}
+
+module.exports = {
+    TransportManager,
+    createTransportManager
+};
@@ -0,0 +1,139 @@
+/**
+ * Conversation chain verification (reference implementation)
+ *
+ * Every message stored on IPFS carries conversation_id, seq (1 for the
+ * first message) and prev, the CID of the previous message in the same
+ * conversation (null for the first). Starting from the head CID a client
+ * can walk prev links back to the first message and rebuild the history.
+ *
+ * verifyChain checks a set of entries ({ cid, conversation_id, seq, prev })
+ * collected that way, e.g. from /api/conversations/<id>/chain or fetched
+ * from IPFS directly. It does not hash content: entries must come from a
+ * source that checks bytes against CIDs (the server does, and so does any
+ * IPFS node). Runs unchanged in Node and browsers (SecureChatChain).
+ *
+ * Problems reported:
+ *   gap       a prev link points at an entry that is missing, or seq does
+ *             not go down by exactly one along a link
+ *   fork      two entries extend the same prev or share a seq, or entries
+ *             do not lie on the path from the head
+ *   mismatch  an entry belongs to another conversation
+ *   invalid   an entry without a cid or with a bad seq/prev
+ */
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.SecureChatChain = factory();
+    }
+}(typeof self !== 'undefined' ? self : this, function () {
+    /**
+     * @param {Array} entries
+     * @param {object} [options]
+     * @param {string} [options.conversationId] Expected conversation, default that of the first entry
+     * @param {string} [options.head]      CID to walk from, default the highest seq
+     * @param {boolean} [options.complete] Expect the walk to reach seq 1 (default true);
+     *                                     false for a partial export
+     * @returns {{ valid, head, root, length, errors: Array<{ type, cid, detail }> }}
+     */
+    function verifyChain(entries, options = {}) {
+        const errors = [];
+        const reported = new Set();
+
+        // One error per problem type and entry
+        function report(type, cid, detail) {
+            const key = `${type}:${cid}`;
+            if (reported.has(key)) return;
+            reported.add(key);
+            errors.push({ type, cid, detail });
+        }
+
+        const byCid = new Map();
+        const bySeq = new Map();
+        const byPrev = new Map();
+        const conversationId = options.conversationId || entries.find(e => e && e.conversation_id)?.conversation_id;
+
+        for (const entry of entries) {
+            if (!entry || typeof entry.cid !== 'string' || !entry.cid) {
+                report('invalid', null, 'entry without cid');
+                continue;
+            }
+            if (byCid.has(entry.cid)) continue;
+            if (!Number.isInteger(entry.seq) || entry.seq < 1
+                || (entry.prev !== null && typeof entry.prev !== 'string')
+                || (entry.seq === 1) !== (entry.prev === null)) {
+                report('invalid', entry.cid, 'seq must be a positive integer, and prev null only for seq 1');
+                continue;
+            }
+            if (entry.conversation_id !== conversationId) {
+                report('mismatch', entry.cid, `belongs to ${entry.conversation_id}`);
+                continue;
+            }
+
+            byCid.set(entry.cid, entry);
+
+            if (bySeq.has(entry.seq)) {
+                report('fork', entry.cid, `seq ${entry.seq} also used by ${bySeq.get(entry.seq)}`);
+            } else {
+                bySeq.set(entry.seq, entry.cid);
+            }
+
+            if (entry.prev !== null) {
+                if (byPrev.has(entry.prev)) {
+                    report('fork', entry.cid, `${byPrev.get(entry.prev)} also extends ${entry.prev}`);
+                } else {
+                    byPrev.set(entry.prev, entry.cid);
+                }
+            }
+        }
+
+        const headCid = options.head
+            || [...byCid.values()].reduce((best, e) => (!best || e.seq > best.seq ? e : best), null)?.cid
+            || null;
+
+        // Walk from the head back along prev links
+        const onPath = new Set();
+        let current = headCid ? byCid.get(headCid) : null;
+        if (headCid && !current) {
+            report('gap', headCid, 'head entry missing');
+        }
+        let rootCid = null;
+
+        while (current && !onPath.has(current.cid)) {
+            onPath.add(current.cid);
+            rootCid = current.cid;
+            if (current.prev === null) break;
+
+            const previous = byCid.get(current.prev);
+            if (!previous) {
+                if (options.complete !== false) {
+                    report('gap', current.cid, `previous entry ${current.prev} missing`);
+                }
+                break;
+            }
+            if (previous.seq !== current.seq - 1) {
+                report('gap', current.cid, `seq ${current.seq} follows seq ${previous.seq}`);
+            }
+            current = previous;
+        }
+
+        // Entries off the path compete with it, unless a gap cut them off
+        const lowestOnPath = rootCid ? byCid.get(rootCid).seq : Infinity;
+        for (const entry of byCid.values()) {
+            if (!onPath.has(entry.cid) && entry.seq >= lowestOnPath) {
+                report('fork', entry.cid, 'not on the path from the head');
+            }
+        }
+
+        return {
+            valid: errors.length === 0,
+            head: headCid,
+            root: rootCid,
+            length: onPath.size,
+            errors
+        };
+    }
+
+    return { verifyChain };
+}));
@@ -0,0 +1,429 @@
+/**
+ * End-to-end encryption envelope (reference implementation)
+ *
+ * Shared by the server, which only validates envelopes and checks sender
+ * signatures, and by clients, which encrypt and decrypt. The file runs
+ * unchanged in Node (>= 18) and in browsers through WebCrypto; the server
+ * serves it to the demo client at /client/e2e-envelope.js.
+ *
+ * Identity keys, published through /api/keys:
+ *   encryption_key  X25519 public key, raw 32 bytes, base64
+ *   signing_key     Ed25519 public key, raw 32 bytes, base64
+ *   key_signature   Ed25519 signature of encryption_key by signing_key
+ *
+ * Envelope (version 1.1):
+ *   {
+ *     version: '1.1',
+ *     alg: 'x25519-hkdf-sha256-aes256gcm-ed25519',
+ *     sender_id, recipient_id,
+ *     recipient_key_id,   key id of the recipient keys used (hex)
+ *     ephemeral_key,      sender's one-time X25519 public key (base64, 32 bytes)
+ *     nonce,              AES-GCM IV (base64, 12 bytes)
+ *     ciphertext,         AES-256-GCM output incl. 16 byte tag (base64)
+ *     timestamp,          ISO 8601
+ *     message: {          the message the envelope belongs to
+ *       id,               message id (UUID)
+ *       type,             null, 'reply', 'edit' or 'delete'
+ *       target_id,        message an edit or delete changes, else null
+ *       parent_id         message a reply answers, else null
+ *     },
+ *     signature           Ed25519 over the fields above (base64, 64 bytes)
+ *   }
+ *
+ * Version 1.0 envelopes have no `message` and are still accepted, but
+ * their signature does not say which message they belong to, so anyone
+ * holding one could attach it to another message id or turn it into an
+ * edit or delete. Servers only take 1.1 envelopes from peers.
+ *
+ * The AES key is HKDF-SHA256(X25519(ephemeral, recipient), salt =
+ * ephemeral_key || recipient encryption_key, info = INFO). The version,
+ * sender_id and recipient_id are bound as AEAD associated data.
+ *
+ * Group messages carry one envelope per member. Group membership changes
+ * are recorded as server-signed system messages: Ed25519 over
+ * systemMessagePayload(message) with the key from /api/keys/system.
+ */
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.SecureChatE2E = factory();
+    }
+}(typeof self !== 'undefined' ? self : this, function () {
+    const VERSION = '1.1';
+    const VERSIONS = ['1.0', VERSION];
+    const MESSAGE_TYPES = ['reply', 'edit', 'delete'];
+    const ALG = 'x25519-hkdf-sha256-aes256gcm-ed25519';
+    const INFO = 'secure-chat-e2e-v1';
+
+    const KEY_BYTES = 32;
+    const NONCE_BYTES = 12;
+    const TAG_BYTES = 16;
+    const SIGNATURE_BYTES = 64;
+    const MAX_CIPHERTEXT_BYTES = 64 * 1024;
+
+    const webcrypto = typeof globalThis.crypto !== 'undefined' && globalThis.crypto.subtle
+        ? globalThis.crypto
+        : require('crypto').webcrypto;
+    const subtle = webcrypto.subtle;
+
+    const encoder = new TextEncoder();
+    const decoder = new TextDecoder();
+
+    function toBase64(bytes) {
+        let binary = '';
+        for (const byte of new Uint8Array(bytes)) binary += String.fromCharCode(byte);
+        return btoa(binary);
+    }
+
+    function fromBase64(value) {
+        const binary = atob(value);
+        const bytes = new Uint8Array(binary.length);
+        for (let i = 0; i < binary.length; i++) bytes[i] = binary.charCodeAt(i);
+        return bytes;
+    }
+
+    function toHex(bytes) {
+        return Array.from(new Uint8Array(bytes), b => b.toString(16).padStart(2, '0')).join('');
+    }
+
+    function concat(...parts) {
+        const out = new Uint8Array(parts.reduce((n, p) => n + p.length, 0));
+        let offset = 0;
+        for (const part of parts) {
+            out.set(part, offset);
+            offset += part.length;
+        }
+        return out;
+    }
+
+    /**
+     * Decode a base64 field and return its length in bytes, or -1 if the
+     * value is not valid base64.
+     */
+    function decodedLength(value) {
+        if (typeof value !== 'string' || !/^[A-Za-z0-9+/]*={0,2}$/.test(value) || value.length % 4 !== 0) {
+            return -1;
+        }
+        const padding = value.endsWith('==') ? 2 : value.endsWith('=') ? 1 : 0;
+        return (value.length / 4) * 3 - padding;
+    }
+
+    function signingPayload(envelope) {
+        return encoder.encode(JSON.stringify([
+            envelope.version,
+            envelope.alg,
+            envelope.sender_id,
+            envelope.recipient_id,
+            envelope.recipient_key_id,
+            envelope.ephemeral_key,
+            envelope.nonce,
+            envelope.ciphertext,
+            envelope.timestamp,
+            // Absent from 1.0 signatures
+            ...(envelope.version === '1.0' ? [] : [[
+                envelope.message.id,
+                envelope.message.type,
+                envelope.message.target_id,
+                envelope.message.parent_id
+            ]])
+        ]));
+    }
+
+    function associatedData(version, senderId, recipientId) {
+        return encoder.encode(JSON.stringify([version, senderId, recipientId]));
+    }
+
+    function validateMessageRef(message) {
+        if (!message || typeof message !== 'object' || Array.isArray(message)) {
+            return ['message must be an object'];
+        }
+
+        const errors = [];
+        if (typeof message.id !== 'string' || !message.id) errors.push('message.id must be a non-empty string');
+        if (message.type !== null && !MESSAGE_TYPES.includes(message.type)) {
+            errors.push(`message.type must be null or one of ${MESSAGE_TYPES.join(', ')}`);
+        }
+
+        const isEvent = message.type === 'edit' || message.type === 'delete';
+        for (const [field, required] of [['target_id', isEvent], ['parent_id', message.type === 'reply']]) {
+            const value = message[field];
+            if (required ? typeof value !== 'string' || !value : value !== null) {
+                errors.push(`message.${field} must be ${required ? 'a non-empty string' : 'null'} for type ${message.type}`);
+            }
+        }
+        return errors;
+    }
+
+    /**
+     * Check the structure of an envelope without any key material. Returns
+     * a list of problems, empty when the envelope is well formed.
+     */
+    function validateEnvelope(envelope) {
+        const errors = [];
+
+        if (!envelope || typeof envelope !== 'object' || Array.isArray(envelope)) {
+            return ['envelope must be an object'];
+        }
+        if (!VERSIONS.includes(envelope.version)) errors.push(`version must be one of ${VERSIONS.join(', ')}`);
+        if (envelope.alg !== ALG) errors.push(`alg must be ${ALG}`);
+
+        for (const field of ['sender_id', 'recipient_id', 'recipient_key_id']) {
+            if (typeof envelope[field] !== 'string' || !envelope[field]) {
+                errors.push(`${field} must be a non-empty string`);
+            }
+        }
+
+        if (decodedLength(envelope.ephemeral_key) !== KEY_BYTES) {
+            errors.push(`ephemeral_key must be ${KEY_BYTES} bytes of base64`);
+        }
+        if (decodedLength(envelope.nonce) !== NONCE_BYTES) {
+            errors.push(`nonce must be ${NONCE_BYTES} bytes of base64`);
+        }
+        const ciphertextLength = decodedLength(envelope.ciphertext);
+        if (ciphertextLength < TAG_BYTES || ciphertextLength > MAX_CIPHERTEXT_BYTES) {
+            errors.push(`ciphertext must be base64 between ${TAG_BYTES} and ${MAX_CIPHERTEXT_BYTES} bytes`);
+        }
+        if (decodedLength(envelope.signature) !== SIGNATURE_BYTES) {
+            errors.push(`signature must be ${SIGNATURE_BYTES} bytes of base64`);
+        }
+        if (typeof envelope.timestamp !== 'string' || Number.isNaN(Date.parse(envelope.timestamp))) {
+            errors.push('timestamp must be an ISO 8601 string');
+        }
+        if (envelope.version === VERSION) errors.push(...validateMessageRef(envelope.message));
+
+        return errors;
+    }
+
+    function importSigningKey(signingKey) {
+        return subtle.importKey('raw', fromBase64(signingKey), { name: 'Ed25519' }, false, ['verify']);
+    }
+
+    /**
+     * Verify the sender signature of a structurally valid envelope against
+     * the sender's published Ed25519 key.
+     */
+    async function verifyEnvelope(envelope, senderSigningKey) {
+        try {
+            const key = await importSigningKey(senderSigningKey);
+            return await subtle.verify({ name: 'Ed25519' }, key, fromBase64(envelope.signature), signingPayload(envelope));
+        } catch (error) {
+            return false;
+        }
+    }
+
+    /**
+     * Bytes signed by the server for a system message: the id, group,
+     * timestamp and event, in a fixed order.
+     */
+    function systemMessagePayload(message) {
+        return encoder.encode(JSON.stringify([
+            message.id,
+            message.group_id,
+            new Date(message.timestamp).toISOString(),
+            message.event
+        ]));
+    }
+
+    async function verifySystemMessage(message, systemSigningKey) {
+        try {
+            const key = await importSigningKey(systemSigningKey);
+            return await subtle.verify({ name: 'Ed25519' }, key, fromBase64(message.signature), systemMessagePayload(message));
+        } catch (error) {
+            return false;
+        }
+    }
+
+    /**
+     * Key id of a published key bundle: first 16 bytes of
+     * SHA-256(encryption_key || signing_key), hex encoded.
+     */
+    async function computeKeyId(encryptionKey, signingKey) {
+        const digest = await subtle.digest('SHA-256', concat(fromBase64(encryptionKey), fromBase64(signingKey)));
+        return toHex(digest.slice(0, 16));
+    }
+
+    /**
+     * Check that a published bundle has well formed keys and that the
+     * encryption key is signed by the signing key.
+     */
+    async function verifyKeyBundle(bundle) {
+        if (!bundle
+            || decodedLength(bundle.encryption_key) !== KEY_BYTES
+            || decodedLength(bundle.signing_key) !== KEY_BYTES
+            || decodedLength(bundle.key_signature) !== SIGNATURE_BYTES) {
+            return false;
+        }
+        try {
+            const key = await importSigningKey(bundle.signing_key);
+            return await subtle.verify(
+                { name: 'Ed25519' },
+                key,
+                fromBase64(bundle.key_signature),
+                fromBase64(bundle.encryption_key)
+            );
+        } catch (error) {
+            return false;
+        }
+    }
+
+    /**
+     * Generate a new identity. Returns the private identity (keep on the
+     * device, see exportIdentity) and the public bundle to publish.
+     */
+    async function generateIdentity() {
+        const encryption = await subtle.generateKey({ name: 'X25519' }, true, ['deriveBits']);
+        const signing = await subtle.generateKey({ name: 'Ed25519' }, true, ['sign', 'verify']);
+
+        const encryptionKey = new Uint8Array(await subtle.exportKey('raw', encryption.publicKey));
+        const signature = await subtle.sign({ name: 'Ed25519' }, signing.privateKey, encryptionKey);
+
+        return {
+            encryption,
+            signing,
+            bundle: {
+                encryption_key: toBase64(encryptionKey),
+                signing_key: toBase64(await subtle.exportKey('raw', signing.publicKey)),
+                key_signature: toBase64(signature)
+            }
+        };
+    }
+
+    async function exportIdentity(identity) {
+        return {
+            encryption: await subtle.exportKey('jwk', identity.encryption.privateKey),
+            signing: await subtle.exportKey('jwk', identity.signing.privateKey),
+            bundle: identity.bundle
+        };
+    }
+
+    async function importIdentity(exported) {
+        const publicJwk = ({ d, key_ops, ...jwk }) => jwk;
+        return {
+            encryption: {
+                privateKey: await subtle.importKey('jwk', exported.encryption, { name: 'X25519' }, true, ['deriveBits']),
+                publicKey: await subtle.importKey('jwk', publicJwk(exported.encryption), { name: 'X25519' }, true, [])
+            },
+            signing: {
+                privateKey: await subtle.importKey('jwk', exported.signing, { name: 'Ed25519' }, true, ['sign']),
+                publicKey: await subtle.importKey('jwk', publicJwk(exported.signing), { name: 'Ed25519' }, true, ['verify'])
+            },
+            bundle: exported.bundle
+        };
+    }
+
+    async function deriveMessageKey(privateKey, publicKeyBytes, salt, usage) {
+        const publicKey = await subtle.importKey('raw', publicKeyBytes, { name: 'X25519' }, false, []);
+        const shared = await subtle.deriveBits({ name: 'X25519', public: publicKey }, privateKey, 256);
+        const hkdfKey = await subtle.importKey('raw', shared, 'HKDF', false, ['deriveKey']);
+        return subtle.deriveKey(
+            { name: 'HKDF', hash: 'SHA-256', salt, info: encoder.encode(INFO) },
+            hkdfKey,
+            { name: 'AES-GCM', length: 256 },
+            false,
+            [usage]
+        );
+    }
+
+    /**
+     * Encrypt `plaintext` (string) for a recipient.
+     *
+     * @param {object} params
+     * @param {string} params.plaintext
+     * @param {string} params.senderId
+     * @param {object} params.senderIdentity   result of generateIdentity/importIdentity
+     * @param {string} params.recipientId
+     * @param {object} params.recipientKeys    recipient's published bundle incl. key_id
+     * @param {object} [params.message]        { id, type, target_id, parent_id } of the message
+     *                                         the envelope is sent in; id defaults to a new UUID.
+     *                                         Every envelope of a group message needs the same one
+     */
+    async function encryptMessage({ plaintext, senderId, senderIdentity, recipientId, recipientKeys, message = {} }) {
+        const recipientKey = fromBase64(recipientKeys.encryption_key);
+        const ephemeral = await subtle.generateKey({ name: 'X25519' }, true, ['deriveBits']);
+        const ephemeralKey = new Uint8Array(await subtle.exportKey('raw', ephemeral.publicKey));
+        const nonce = webcrypto.getRandomValues(new Uint8Array(NONCE_BYTES));
+
+        const aesKey = await deriveMessageKey(ephemeral.privateKey, recipientKey, concat(ephemeralKey, recipientKey), 'encrypt');
+        const ciphertext = await subtle.encrypt(
+            { name: 'AES-GCM', iv: nonce, additionalData: associatedData(VERSION, senderId, recipientId) },
+            aesKey,
+            encoder.encode(plaintext)
+        );
+
+        const envelope = {
+            version: VERSION,
+            alg: ALG,
+            sender_id: senderId,
+            recipient_id: recipientId,
+            recipient_key_id: recipientKeys.key_id || await computeKeyId(recipientKeys.encryption_key, recipientKeys.signing_key),
+            ephemeral_key: toBase64(ephemeralKey),
+            nonce: toBase64(nonce),
+            ciphertext: toBase64(ciphertext),
+            timestamp: new Date().toISOString(),
+            message: {
+                id: message.id || webcrypto.randomUUID(),
+                type: message.type || null,
+                target_id: message.target_id || null,
+                parent_id: message.parent_id || null
+            }
+        };
+
+        const signature = await subtle.sign({ name: 'Ed25519' }, senderIdentity.signing.privateKey, signingPayload(envelope));
+        envelope.signature = toBase64(signature);
+        return envelope;
+    }
+
+    /**
+     * Verify and decrypt an envelope addressed to `identity`. Throws if the
+     * envelope is malformed, the signature does not match the sender's
+     * signing key, or decryption fails.
+     */
+    async function decryptMessage(envelope, identity, senderSigningKey) {
+        const errors = validateEnvelope(envelope);
+        if (errors.length) {
+            throw new Error(`Invalid envelope: ${errors.join(', ')}`);
+        }
+        if (!await verifyEnvelope(envelope, senderSigningKey)) {
+            throw new Error('Invalid envelope signature');
+        }
+
+        const recipientKey = fromBase64(identity.bundle.encryption_key);
+        const ephemeralKey = fromBase64(envelope.ephemeral_key);
+        const aesKey = await deriveMessageKey(
+            identity.encryption.privateKey,
+            ephemeralKey,
+            concat(ephemeralKey, recipientKey),
+            'decrypt'
+        );
+
+        const plaintext = await subtle.decrypt(
+            {
+                name: 'AES-GCM',
+                iv: fromBase64(envelope.nonce),
+                additionalData: associatedData(envelope.version, envelope.sender_id, envelope.recipient_id)
+            },
+            aesKey,
+            fromBase64(envelope.ciphertext)
+        );
+        return decoder.decode(plaintext);
+    }
+
+    return {
+        VERSION,
+        VERSIONS,
+        ALG,
+        validateEnvelope,
+        verifyEnvelope,
+        verifyKeyBundle,
+        systemMessagePayload,
+        verifySystemMessage,
+        computeKeyId,
+        generateIdentity,
+        exportIdentity,
+        importIdentity,
+        encryptMessage,
+        decryptMessage
+    };
+}));
@@ -0,0 +1,131 @@
+/**
+ * IPNS mailboxes (reference implementation)
+ *
+ * Every user has an IPNS name (GET /api/mailbox) that points to their
+ * mailbox index: the messages still waiting for them, as CIDs of the
+ * message envelopes stored on IPFS.
+ *
+ * Index (version 1.1):
+ *   {
+ *     type: 'mailbox',
+ *     version: '1.1',
+ *     owner_id,
+ *     updated_at,   ISO 8601; ignore an index older than one already seen
+ *     entries: [{ cid }]
+ *   }
+ *
+ * The index is public, so entries name nothing but the CID: who sent a
+ * message and in which conversation is only in the envelope it points to.
+ * Version 1.0 indexes also listed message_id, sender_id, conversation_id
+ * and timestamp per entry and are still accepted.
+ *
+ * A client that cannot reach the chat server reads its inbox through any
+ * IPFS gateway with fetchMailbox and fetchMailboxMessages. The gateway is
+ * trusted to resolve the name, but not with content: every message is
+ * end-to-end encrypted and signed by its sender, so decryptMessage from
+ * e2e-envelope.js rejects anything a gateway altered. Runs unchanged in
+ * Node (>= 18) and browsers (SecureChatMailbox).
+ */
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.SecureChatMailbox = factory();
+    }
+}(typeof self !== 'undefined' ? self : this, function () {
+    const VERSION = '1.1';
+    const VERSIONS = ['1.0', VERSION];
+
+    // CIDv0 or base32 CIDv1, as stored by the server
+    const CID_PATTERN = /^(Qm[1-9A-HJ-NP-Za-km-z]{44}|b[a-z2-7]{50,})$/;
+
+    /**
+     * Problems with a mailbox index; empty when it is well formed.
+     */
+    function validateMailbox(index) {
+        if (!index || typeof index !== 'object' || Array.isArray(index)) {
+            return ['mailbox must be a JSON object'];
+        }
+
+        const errors = [];
+        if (index.type !== 'mailbox') errors.push('type must be mailbox');
+        if (!VERSIONS.includes(index.version)) errors.push(`version must be one of ${VERSIONS.join(', ')}`);
+        if (typeof index.owner_id !== 'string' || !index.owner_id) {
+            errors.push('owner_id must be a non-empty string');
+        }
+        if (typeof index.updated_at !== 'string' || Number.isNaN(Date.parse(index.updated_at))) {
+            errors.push('updated_at must be an ISO 8601 string');
+        }
+        if (!Array.isArray(index.entries)) {
+            errors.push('entries must be an array');
+        } else {
+            index.entries.forEach((entry, i) => {
+                if (!entry || typeof entry.cid !== 'string' || !CID_PATTERN.test(entry.cid)) {
+                    errors.push(`entries[${i}].cid must be a CID`);
+                }
+            });
+        }
+        return errors;
+    }
+
+    function gatewayUrl(gateway, path) {
+        return `${gateway.replace(/\/+$/, '')}${path}`;
+    }
+
+    async function fetchJSON(url, options) {
+        const fetchImpl = options.fetch || globalThis.fetch;
+        const response = await fetchImpl(url, {
+            headers: { Accept: 'application/json' },
+            signal: options.signal
+        });
+        if (!response.ok) throw new Error(`${url} returned ${response.status}`);
+        return response.json();
+    }
+
+    /**
+     * Resolve an IPNS mailbox name through a gateway and return the index.
+     * Pass `ownerId` to reject an index published for someone else.
+     *
+     * @param {string} gateway  e.g. https://ipfs.io
+     * @param {string} name     IPNS name from /api/mailbox
+     * @param {object} [options] { ownerId, fetch, signal }
+     */
+    async function fetchMailbox(gateway, name, options = {}) {
+        const index = await fetchJSON(gatewayUrl(gateway, `/ipns/${name}`), options);
+
+        const errors = validateMailbox(index);
+        if (options.ownerId && index && index.owner_id !== options.ownerId) {
+            errors.push(`mailbox belongs to ${index.owner_id}`);
+        }
+        if (errors.length) {
+            const error = new Error('Not a valid mailbox');
+            error.details = errors;
+            throw error;
+        }
+        return index;
+    }
+
+    /**
+     * Fetch the message envelopes listed in a mailbox index. Returns one
+     * result per entry: { entry, message } or { entry, error }.
+     */
+    async function fetchMailboxMessages(gateway, index, options = {}) {
+        return Promise.all(index.entries.map(async (entry) => {
+            try {
+                const message = await fetchJSON(gatewayUrl(gateway, `/ipfs/${entry.cid}`), options);
+                return { entry, message };
+            } catch (error) {
+                return { entry, error: error.message };
+            }
+        }));
+    }
+
+    return {
+        VERSION,
+        VERSIONS,
+        validateMailbox,
+        fetchMailbox,
+        fetchMailboxMessages
+    };
+}));
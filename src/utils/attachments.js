@@ -0,0 +1,33 @@
+/**
+ * Attachment references carried by messages
+ */
+
+const { isCid } = require('./cid');
+
+const MAX_ATTACHMENTS = 10;
+
+/**
+ * Validate the optional `attachments` field of a message: an array of
+ * { cid, size } manifest references. Returns { attachments } with the
+ * normalized list, or { error }.
+ */
+function parseAttachmentRefs(value) {
+    if (value === undefined) return { attachments: [] };
+    if (!Array.isArray(value) || value.length > MAX_ATTACHMENTS) {
+        return { error: `attachments must be an array of at most ${MAX_ATTACHMENTS} items` };
+    }
+
+    const attachments = [];
+    for (const ref of value) {
+        if (!ref || !isCid(ref.cid) || !Number.isInteger(ref.size) || ref.size < 0) {
+            return { error: 'each attachment needs a manifest cid and an integer size' };
+        }
+        attachments.push({ cid: ref.cid, size: ref.size });
+    }
+    return { attachments };
+}
+
+module.exports = {
+    MAX_ATTACHMENTS,
+    parseAttachmentRefs
+};
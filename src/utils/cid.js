@@ -0,0 +1,182 @@
+/**
+ * Content identifier checks
+ *
+ * Enough of the CID spec to verify blocks fetched from untrusted sources:
+ * CIDv0 (base58btc) and CIDv1 (base32), sha2-256 multihashes, and the
+ * raw and dag-pb codecs.
+ */
+
+const crypto = require('crypto');
+
+// CIDv0 (base58btc, "Qm...") or CIDv1 in base32 ("b...")
+const CID_PATTERN = /^(Qm[1-9A-HJ-NP-Za-km-z]{44}|b[a-z2-7]{58,})$/;
+
+const BASE58_ALPHABET = '123456789ABCDEFGHJKLMNPQRSTUVWXYZabcdefghijkmnopqrstuvwxyz';
+const BASE32_ALPHABET = 'abcdefghijklmnopqrstuvwxyz234567';
+
+const CODEC_RAW = 0x55;
+const CODEC_DAG_PB = 0x70;
+const HASH_SHA2_256 = 0x12;
+
+function isCid(value) {
+    return typeof value === 'string' && CID_PATTERN.test(value);
+}
+
+function decodeBase58(value) {
+    const bytes = [];
+    for (const char of value) {
+        let carry = BASE58_ALPHABET.indexOf(char);
+        if (carry < 0) throw new Error('Invalid base58 character');
+        for (let i = 0; i < bytes.length; i++) {
+            carry += bytes[i] * 58;
+            bytes[i] = carry & 0xff;
+            carry >>= 8;
+        }
+        while (carry > 0) {
+            bytes.push(carry & 0xff);
+            carry >>= 8;
+        }
+    }
+    for (let i = 0; i < value.length && value[i] === '1'; i++) bytes.push(0);
+    return Buffer.from(bytes.reverse());
+}
+
+function encodeBase58(buffer) {
+    const digits = [];
+    for (const byte of buffer) {
+        let carry = byte;
+        for (let i = 0; i < digits.length; i++) {
+            carry += digits[i] << 8;
+            digits[i] = carry % 58;
+            carry = (carry / 58) | 0;
+        }
+        while (carry > 0) {
+            digits.push(carry % 58);
+            carry = (carry / 58) | 0;
+        }
+    }
+    let result = '';
+    for (let i = 0; i < buffer.length && buffer[i] === 0; i++) result += '1';
+    for (let i = digits.length - 1; i >= 0; i--) result += BASE58_ALPHABET[digits[i]];
+    return result;
+}
+
+function decodeBase32(value) {
+    const bytes = [];
+    let bits = 0;
+    let acc = 0;
+    for (const char of value) {
+        const index = BASE32_ALPHABET.indexOf(char);
+        if (index < 0) throw new Error('Invalid base32 character');
+        acc = (acc << 5) | index;
+        bits += 5;
+        if (bits >= 8) {
+            bits -= 8;
+            bytes.push((acc >> bits) & 0xff);
+        }
+    }
+    return Buffer.from(bytes);
+}
+
+function encodeBase32(buffer) {
+    let result = '';
+    let bits = 0;
+    let acc = 0;
+    for (const byte of buffer) {
+        acc = (acc << 8) | byte;
+        bits += 8;
+        while (bits >= 5) {
+            bits -= 5;
+            result += BASE32_ALPHABET[(acc >> bits) & 31];
+        }
+    }
+    if (bits > 0) result += BASE32_ALPHABET[(acc << (5 - bits)) & 31];
+    return result;
+}
+
+/**
+ * Read an unsigned varint at `offset`. Returns [value, nextOffset].
+ */
+function readVarint(buffer, offset) {
+    let value = 0;
+    let shift = 0;
+    for (;;) {
+        if (offset >= buffer.length || shift > 49) throw new Error('Invalid varint');
+        const byte = buffer[offset++];
+        value += (byte & 0x7f) * 2 ** shift;
+        if (!(byte & 0x80)) return [value, offset];
+        shift += 7;
+    }
+}
+
+/**
+ * Parse a binary CID (as found in dag-pb links).
+ */
+function parseCidBytes(bytes) {
+    let version = 0;
+    let codec = CODEC_DAG_PB;
+    let offset = 0;
+
+    if (!(bytes.length === 34 && bytes[0] === HASH_SHA2_256 && bytes[1] === 32)) {
+        [version, offset] = readVarint(bytes, 0);
+        if (version !== 1) throw new Error(`Unsupported CID version ${version}`);
+        [codec, offset] = readVarint(bytes, offset);
+    }
+
+    const [hashCode, lengthOffset] = readVarint(bytes, offset);
+    const [digestLength, digestOffset] = readVarint(bytes, lengthOffset);
+    const digest = bytes.subarray(digestOffset, digestOffset + digestLength);
+    if (digest.length !== digestLength || digestOffset + digestLength !== bytes.length) {
+        throw new Error('Invalid multihash');
+    }
+
+    return { version, codec, hashCode, digest, bytes };
+}
+
+/**
+ * Parse a CID string into { version, codec, hashCode, digest, bytes }.
+ */
+function parseCid(value) {
+    if (!isCid(value)) throw new Error('Invalid CID');
+    const bytes = value.startsWith('Qm') ? decodeBase58(value) : decodeBase32(value.slice(1));
+    return parseCidBytes(bytes);
+}
+
+/**
+ * String form of a binary CID: base58btc for v0, base32 for v1.
+ */
+function formatCid(bytes) {
+    const { version } = parseCidBytes(bytes);
+    return version === 0 ? encodeBase58(bytes) : 'b' + encodeBase32(bytes);
+}
+
+/**
+ * CIDv1 (raw codec, sha2-256) of a block, as the local stores address content.
+ */
+function cidForBlock(block) {
+    const digest = crypto.createHash('sha256').update(block).digest();
+    return formatCid(Buffer.concat([Buffer.from([1, CODEC_RAW, HASH_SHA2_256, digest.length]), digest]));
+}
+
+/**
+ * Check that `block` is the content addressed by `cid` (parsed).
+ */
+function verifyBlock(cid, block) {
+    if (cid.hashCode !== HASH_SHA2_256) {
+        throw new Error(`Unsupported hash function 0x${cid.hashCode.toString(16)}`);
+    }
+    const digest = crypto.createHash('sha256').update(block).digest();
+    return digest.equals(cid.digest);
+}
+
+module.exports = {
+    CODEC_RAW,
+    CODEC_DAG_PB,
+    isCid,
+    parseCid,
+    parseCidBytes,
+    formatCid,
+    cidForBlock,
+    verifyBlock,
+    readVarint
+};
@@ -0,0 +1,39 @@
+/**
+ * Conversation identifiers
+ *
+ * Direct conversations are keyed by both participants in sorted order so
+ * either side derives the same id. Group conversations are keyed by the
+ * group id.
+ */
+
+function directConversationId(userA, userB) {
+    return `dm:${[userA, userB].sort().join(':')}`;
+}
+
+/**
+ * Return the participants of a direct conversation id, or null if the id is
+ * not a direct conversation.
+ */
+function parseDirectConversationId(conversationId) {
+    const parts = typeof conversationId === 'string' ? conversationId.split(':') : [];
+    return parts.length === 3 && parts[0] === 'dm' ? [parts[1], parts[2]] : null;
+}
+
+function groupConversationId(groupId) {
+    return `group:${groupId}`;
+}
+
+/**
+ * Return the group id of a group conversation id, or null.
+ */
+function parseGroupConversationId(conversationId) {
+    const parts = typeof conversationId === 'string' ? conversationId.split(':') : [];
+    return parts.length === 2 && parts[0] === 'group' && parts[1] ? parts[1] : null;
+}
+
+module.exports = {
+    directConversationId,
+    parseDirectConversationId,
+    groupConversationId,
+    parseGroupConversationId
+};
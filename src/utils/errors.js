@@ -0,0 +1,132 @@
+/**
+ * The API error envelope and its stable error codes
+ *
+ * Every failed HTTP request and socket event answers with
+ *
+ *   { error: <message>, code: <CODE>, details?: [...], ...extra }
+ *
+ * `error` is for people and may change; `code` is what clients branch on
+ * and only ever gains new values. Socket errors add the `event` they
+ * answer. Unexpected errors become INTERNAL_ERROR with a generic message
+ * so internals never reach clients; the caller logs the original.
+ */
+
+const ERROR_CODES = {
+    VALIDATION_FAILED: 400,
+    INVALID_JSON: 400,
+    INVALID_ENVELOPE: 400,
+    UNSUPPORTED_PROTOCOL: 400,
+    UNAUTHORIZED: 401,
+    TOKEN_EXPIRED: 401,
+    FORBIDDEN: 403,
+    BANNED: 403,
+    NOT_FOUND: 404,
+    CONFLICT: 409,
+    PAYLOAD_TOO_LARGE: 413,
+    QUOTA_EXCEEDED: 413,
+    UNSUPPORTED_MEDIA_TYPE: 415,
+    RANGE_NOT_SATISFIABLE: 416,
+    INVALID_MAILBOX: 422,
+    RATE_LIMITED: 429,
+    TOO_MANY_CONNECTIONS: 429,
+    INTERNAL_ERROR: 500,
+    UPSTREAM_FAILED: 502,
+    IPFS_UNAVAILABLE: 503,
+    STORAGE_FULL: 507
+};
+
+// Codes for service errors that only carry an HTTP status
+const STATUS_CODES = {
+    400: 'VALIDATION_FAILED',
+    401: 'UNAUTHORIZED',
+    403: 'FORBIDDEN',
+    404: 'NOT_FOUND',
+    409: 'CONFLICT',
+    413: 'PAYLOAD_TOO_LARGE',
+    415: 'UNSUPPORTED_MEDIA_TYPE',
+    416: 'RANGE_NOT_SATISFIABLE',
+    422: 'VALIDATION_FAILED',
+    429: 'RATE_LIMITED'
+};
+
+class ApiError extends Error {
+    /**
+     * @param {string} code     One of ERROR_CODES
+     * @param {string} message
+     * @param {object} [options] { status, details, ...extra fields for the body }
+     */
+    constructor(code, message, { status, details, ...extra } = {}) {
+        super(message);
+        this.name = 'ApiError';
+        this.code = code;
+        this.status = status || ERROR_CODES[code] || 500;
+        this.details = details;
+        this.extra = extra;
+    }
+
+    toJSON() {
+        return {
+            error: this.message,
+            code: this.code,
+            ...(this.details && { details: this.details }),
+            ...this.extra
+        };
+    }
+}
+
+/**
+ * The ApiError to send for `error`. Service errors (MessageError,
+ * GroupError, AuthError) keep their message and status; IPFS errors map
+ * to their codes; anything else is an INTERNAL_ERROR with
+ * `fallbackMessage`.
+ */
+function toApiError(error, fallbackMessage = 'Internal server error') {
+    if (error instanceof ApiError) return error;
+
+    switch (error?.code) {
+        case 'IPFS_UNAVAILABLE':
+            return new ApiError('IPFS_UNAVAILABLE', error.message, { fallback: 'Use primary transport' });
+        case 'QUOTA_EXCEEDED':
+            return error.scope === 'global'
+                ? new ApiError('STORAGE_FULL', error.message)
+                : new ApiError('QUOTA_EXCEEDED', error.message);
+        case 'TOO_LARGE':
+            return new ApiError('PAYLOAD_TOO_LARGE', error.message);
+        default:
+            break;
+    }
+
+    const status = error?.status;
+    if (Number.isInteger(status) && status >= 400 && status < 500) {
+        const code = ERROR_CODES[error.code] ? error.code : (STATUS_CODES[status] || 'VALIDATION_FAILED');
+        return new ApiError(code, error.message, { status, details: error.details });
+    }
+    return new ApiError('INTERNAL_ERROR', fallbackMessage);
+}
+
+/**
+ * Error for next() in Socket.IO middleware. The client's connect_error
+ * carries the envelope and status as `data`.
+ */
+function connectError(error) {
+    const apiError = toApiError(error);
+    const err = new Error(apiError.message);
+    err.data = { status: apiError.status, ...apiError.toJSON() };
+    return err;
+}
+
+/**
+ * Reply to an HTTP request with the envelope for `error`.
+ */
+function sendError(res, error, fallbackMessage) {
+    const apiError = toApiError(error, fallbackMessage);
+    return res.status(apiError.status).json(apiError.toJSON());
+}
+
+module.exports = {
+    ERROR_CODES,
+    ApiError,
+    toApiError,
+    connectError,
+    sendError
+};
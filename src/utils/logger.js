@@ -0,0 +1,165 @@
+/**
+ * Structured logging with correlation ids
+ *
+ * One JSON object per line on stdout (stderr for warn and error):
+ *
+ *   { time, level, msg, component, correlation_id, ...fields, err }
+ *
+ * withContext() runs a function with fields (usually correlation_id,
+ * user_id, socket_id) that every entry logged inside it carries, across
+ * awaits and timers, so one HTTP request or socket event can be followed
+ * through the message service, IPFS storage and PubSub.
+ *
+ * Fields are redacted before output: anything under a sensitive key
+ * (tokens, passwords, ciphertext, raw payloads) is replaced and JWT-like
+ * strings are masked wherever they appear. Errors are reduced to name,
+ * message, code and status, since HTTP client errors carry request
+ * bodies and headers. Only pass ids and sizes, never message content.
+ */
+
+const { AsyncLocalStorage } = require('async_hooks');
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+
+const REDACTED = '[REDACTED]';
+const SENSITIVE_KEYS = new Set([
+    'authorization', 'cookie', 'password', 'secret', 'token', 'access_token', 'refresh_token',
+    'jwt', 'private_key', 'signing_key', 'encrypted_content', 'ciphertext', 'wrapped_key',
+    'payload', 'payload_b64', 'data', 'body', 'envelope', 'content'
+]);
+const JWT_PATTERN = /eyJ[\w-]{5,}\.[\w-]{5,}\.[\w-]{5,}/g;
+const MAX_DEPTH = 5;
+
+const storage = new AsyncLocalStorage();
+
+// Shared by every child logger so configureLogger() reaches all of them
+const settings = {
+    level: LEVELS.info,
+    format: 'json',
+    write: (level, line) => (LEVELS[level] >= LEVELS.warn ? process.stderr : process.stdout).write(`${line}\n`)
+};
+
+function serializeError(error) {
+    return {
+        name: error.name,
+        message: String(error.message).replace(JWT_PATTERN, REDACTED),
+        ...(error.code !== undefined && { code: error.code }),
+        ...((error.status || error.response?.status) && { status: error.status || error.response.status }),
+        ...(settings.level <= LEVELS.debug && error.stack && { stack: error.stack.replace(JWT_PATTERN, REDACTED) })
+    };
+}
+
+/**
+ * Copy of `value` that is safe to log.
+ */
+function redact(value, depth = 0) {
+    if (typeof value === 'string') return value.replace(JWT_PATTERN, REDACTED);
+    if (value === null || typeof value !== 'object') return value;
+    if (value instanceof Error) return serializeError(value);
+    if (Buffer.isBuffer(value) || ArrayBuffer.isView(value)) return `[${value.byteLength} bytes]`;
+    if (value instanceof Date) return value.toISOString();
+    if (depth >= MAX_DEPTH) return '[Object]';
+    if (Array.isArray(value)) return value.map(item => redact(item, depth + 1));
+
+    const result = {};
+    for (const [key, item] of Object.entries(value)) {
+        result[key] = SENSITIVE_KEYS.has(key.toLowerCase()) ? REDACTED : redact(item, depth + 1);
+    }
+    return result;
+}
+
+function formatPretty(entry) {
+    const { time, level, msg, component, correlation_id: correlationId, ...fields } = entry;
+    const prefix = [time, level.toUpperCase().padEnd(5), component && `[${component}]`, correlationId && `(${correlationId})`]
+        .filter(Boolean).join(' ');
+    const rest = Object.keys(fields).length ? ` ${JSON.stringify(fields)}` : '';
+    return `${prefix} ${msg}${rest}`;
+}
+
+class Logger {
+    constructor(bindings = {}) {
+        this.bindings = bindings;
+    }
+
+    /**
+     * Logger whose entries all carry `bindings`, e.g. { component: 'ipfs' }.
+     */
+    child(bindings) {
+        return new Logger({ ...this.bindings, ...bindings });
+    }
+
+    isEnabled(level) {
+        return LEVELS[level] >= settings.level;
+    }
+
+    /**
+     * Log `msg` with optional fields. An Error as the second argument, or
+     * under `err` in the fields, is serialized without its request data.
+     */
+    log(level, msg, fields) {
+        if (!this.isEnabled(level)) return;
+
+        const extra = fields instanceof Error ? { err: fields } : fields;
+        const entry = redact({
+            time: new Date().toISOString(),
+            level,
+            msg,
+            ...this.bindings,
+            ...storage.getStore(),
+            ...extra
+        });
+        settings.write(level, settings.format === 'pretty' ? formatPretty(entry) : JSON.stringify(entry));
+    }
+
+    debug(msg, fields) {
+        this.log('debug', msg, fields);
+    }
+
+    info(msg, fields) {
+        this.log('info', msg, fields);
+    }
+
+    warn(msg, fields) {
+        this.log('warn', msg, fields);
+    }
+
+    error(msg, fields) {
+        this.log('error', msg, fields);
+    }
+}
+
+const logger = new Logger();
+
+/**
+ * Set the level (debug, info, warn, error) and format (json, pretty) of
+ * every logger.
+ */
+function configureLogger(options = {}) {
+    if (options.level) settings.level = LEVELS[options.level];
+    if (options.format) settings.format = options.format;
+    if (options.write) settings.write = options.write;
+}
+
+/**
+ * Run `fn` with `fields` added to every entry logged inside it. Nested
+ * contexts add to the outer one.
+ */
+function withContext(fields, fn) {
+    return storage.run({ ...storage.getStore(), ...fields }, fn);
+}
+
+/**
+ * Fields of the current context, e.g. its correlation_id.
+ */
+function currentContext() {
+    return storage.getStore() || {};
+}
+
+module.exports = {
+    LEVELS,
+    logger,
+    configureLogger,
+    withContext,
+    currentContext,
+    redact
+};
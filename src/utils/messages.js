@@ -0,0 +1,60 @@
+/**
+ * Helpers for stored message records
+ *
+ * Direct messages carry one envelope in `encrypted_content`. Group messages
+ * carry a map of member id → envelope, one per recipient, since envelopes
+ * are encrypted to a single X25519 key.
+ */
+
+// Socket events for message types other than plain messages
+const MESSAGE_EVENTS = {
+    reply: 'new_reply',
+    edit: 'message_edited',
+    delete: 'message_deleted'
+};
+
+/**
+ * User ids a message is delivered to, excluding the sender.
+ */
+function messageRecipients(message) {
+    if (message.type === 'system') return [];
+    if (message.group_id) {
+        return Object.keys(message.encrypted_content || {}).filter(id => id !== message.sender_id);
+    }
+    return [message.recipient_id];
+}
+
+/**
+ * The view of a message for one user: group messages only carry that
+ * user's envelope (null if there is none, e.g. sent before they joined).
+ */
+function messageForUser(message, userId) {
+    if (!message.group_id || message.type === 'system') return message;
+    return {
+        ...message,
+        recipient_id: userId,
+        encrypted_content: message.encrypted_content?.[userId] || null
+    };
+}
+
+/**
+ * Whether a message is one users wrote, a message or a reply, rather than
+ * an edit, delete or system message.
+ */
+function isUserMessage(message) {
+    return !message.type || message.type === 'reply';
+}
+
+/**
+ * The socket event a message is delivered as, live or from the queue.
+ */
+function messageEvent(message) {
+    return MESSAGE_EVENTS[message.type] || 'new_encrypted_message';
+}
+
+module.exports = {
+    isUserMessage,
+    messageEvent,
+    messageRecipients,
+    messageForUser
+};
@@ -0,0 +1,84 @@
+/**
+ * Bounded set of recently seen ids, used to drop duplicates that arrive
+ * over more than one transport before the first copy has been stored.
+ * remember() also keeps a value per id, e.g. the message a client's
+ * idempotency key was first used for.
+ */
+
+class RecentIds {
+    constructor(options = {}) {
+        this.ttlMs = options.ttlMs || 10 * 60 * 1000;
+        this.maxSize = options.maxSize || 10000;
+        this.ids = new Map();
+    }
+
+    /**
+     * Record `id` and return true, or return false if it was already seen
+     * within the TTL.
+     */
+    claim(id) {
+        return this.remember(id, '1') === null;
+    }
+
+    /**
+     * Record `value` under `id` and return null, or return the value
+     * recorded earlier if `id` was already seen within the TTL.
+     */
+    remember(id, value) {
+        const now = Date.now();
+        const entry = this.ids.get(id);
+        if (entry && now - entry.seenAt < this.ttlMs) {
+            return entry.value;
+        }
+
+        this.ids.delete(id);
+        this.ids.set(id, { seenAt: now, value: String(value) });
+
+        // Map keeps insertion order, so the first entries are the oldest
+        while (this.ids.size > this.maxSize) {
+            this.ids.delete(this.ids.keys().next().value);
+        }
+        return null;
+    }
+
+    release(id) {
+        this.ids.delete(id);
+    }
+}
+
+/**
+ * RecentIds shared by all server instances, so a message relayed from
+ * IPFS PubSub by several instances is only accepted once. claim() and
+ * release() are async here.
+ */
+class RedisRecentIds {
+    constructor(client, options = {}) {
+        this.client = client;
+        this.prefix = options.prefix || 'chat:seen';
+        this.ttlMs = options.ttlMs || 10 * 60 * 1000;
+    }
+
+    async claim(id) {
+        return (await this.remember(id, '1')) === null;
+    }
+
+    async remember(id, value) {
+        const key = `${this.prefix}:${id}`;
+        const result = await this.client.set(key, String(value), { NX: true, PX: this.ttlMs });
+        return result === 'OK' ? null : this.client.get(key);
+    }
+
+    async release(id) {
+        await this.client.del(`${this.prefix}:${id}`);
+    }
+}
+
+function createRecentIds(options = {}) {
+    return options.redis ? new RedisRecentIds(options.redis, options) : new RecentIds(options);
+}
+
+module.exports = {
+    RecentIds,
+    RedisRecentIds,
+    createRecentIds
+};
@@ -0,0 +1,18 @@
+/**
+ * Socket.IO room names
+ */
+
+// Every socket of an authenticated user joins this room
+function userRoom(userId) {
+    return `user:${userId}`;
+}
+
+// Sockets watching a user's presence join this room
+function presenceRoom(userId) {
+    return `presence:${userId}`;
+}
+
+module.exports = {
+    userRoom,
+    presenceRoom
+};
@@ -0,0 +1,148 @@
+/**
+ * Request validation against declarative schemas
+ *
+ * A small subset of JSON Schema, enough for the API's request bodies,
+ * query strings, route params and socket payloads:
+ *
+ *   type                 object, array, string, integer, number, boolean
+ *                        (or a list of them)
+ *   enum, pattern, format (uuid, cid, base64, date-time)
+ *   minLength, maxLength, minimum, maximum
+ *   properties, required, items, minItems, maxItems
+ *
+ * Problems are reported as readable strings ("body.limit must be at most
+ * 100") and become the `details` of a VALIDATION_FAILED error. Query
+ * strings and route params arrive as text, so validate() with
+ * `coerce: true` converts numbers and booleans before checking them.
+ */
+
+const { validate: isUuid } = require('uuid');
+const { isCid } = require('./cid');
+
+const BASE64_PATTERN = /^[A-Za-z0-9+/]*={0,2}$/;
+const DATE_TIME_PATTERN = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:\d{2})$/;
+
+const FORMATS = {
+    uuid: value => isUuid(value),
+    cid: value => isCid(value),
+    // Padding is optional, as Buffer.from(value, 'base64') accepts both
+    base64: value => BASE64_PATTERN.test(value) && value.length % 4 !== 1 && (!value.endsWith('=') || value.length % 4 === 0),
+    'date-time': value => DATE_TIME_PATTERN.test(value) && !Number.isNaN(Date.parse(value))
+};
+
+const TYPE_CHECKS = {
+    object: value => value !== null && typeof value === 'object' && !Array.isArray(value),
+    array: value => Array.isArray(value),
+    string: value => typeof value === 'string',
+    integer: value => Number.isInteger(value),
+    number: value => typeof value === 'number' && Number.isFinite(value),
+    boolean: value => typeof value === 'boolean'
+};
+
+function typesOf(schema) {
+    if (!schema.type) return [];
+    return Array.isArray(schema.type) ? schema.type : [schema.type];
+}
+
+/**
+ * Text from a query string or route param as the type the schema wants.
+ * Values that do not convert are left alone for the type check to report.
+ */
+function coerceValue(value, schema) {
+    if (typeof value !== 'string') return value;
+    const types = typesOf(schema);
+    if (types.includes('string')) return value;
+
+    if ((types.includes('integer') || types.includes('number')) && value.trim() !== '') {
+        const number = Number(value);
+        if (Number.isFinite(number)) return number;
+    }
+    if (types.includes('boolean') && (value === 'true' || value === 'false')) {
+        return value === 'true';
+    }
+    return value;
+}
+
+function check(schema, value, path, errors, coerce) {
+    const types = typesOf(schema);
+    if (types.length && !types.some(type => TYPE_CHECKS[type](value))) {
+        errors.push(`${path} must be ${types.map(type => (/^[aeiou]/.test(type) ? `an ${type}` : `a ${type}`)).join(' or ')}`);
+        return value;
+    }
+
+    if (schema.enum && !schema.enum.includes(value)) {
+        errors.push(`${path} must be one of ${schema.enum.join(', ')}`);
+    }
+
+    if (typeof value === 'string') {
+        if (schema.minLength !== undefined && value.length < schema.minLength) {
+            errors.push(schema.minLength === 1 ? `${path} must not be empty` : `${path} must be at least ${schema.minLength} characters`);
+        }
+        if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+            errors.push(`${path} must be at most ${schema.maxLength} characters`);
+        }
+        if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+            errors.push(`${path} has an invalid format`);
+        }
+        if (schema.format && !FORMATS[schema.format](value)) {
+            errors.push(`${path} must be a valid ${schema.format}`);
+        }
+    }
+
+    if (typeof value === 'number') {
+        if (schema.minimum !== undefined && value < schema.minimum) {
+            errors.push(`${path} must be at least ${schema.minimum}`);
+        }
+        if (schema.maximum !== undefined && value > schema.maximum) {
+            errors.push(`${path} must be at most ${schema.maximum}`);
+        }
+    }
+
+    if (Array.isArray(value)) {
+        if (schema.minItems !== undefined && value.length < schema.minItems) {
+            errors.push(`${path} must have at least ${schema.minItems} item${schema.minItems === 1 ? '' : 's'}`);
+        }
+        if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+            errors.push(`${path} must have at most ${schema.maxItems} items`);
+        }
+        if (schema.items) {
+            return value.map((item, i) => check(schema.items, item, `${path}[${i}]`, errors, coerce));
+        }
+    }
+
+    if (TYPE_CHECKS.object(value) && (schema.properties || schema.required)) {
+        const result = { ...value };
+        for (const name of schema.required || []) {
+            if (value[name] === undefined || value[name] === null) {
+                errors.push(`${path}.${name} is required`);
+            }
+        }
+        for (const [name, propertySchema] of Object.entries(schema.properties || {})) {
+            if (value[name] === undefined || (value[name] === null && schema.required?.includes(name))) continue;
+            const raw = coerce ? coerceValue(value[name], propertySchema) : value[name];
+            result[name] = check(propertySchema, raw, `${path}.${name}`, errors, coerce);
+        }
+        return result;
+    }
+
+    return value;
+}
+
+/**
+ * Check `value` against `schema`. Returns { value, errors }, where
+ * `value` has query and param strings converted when `coerce` is set and
+ * `errors` is empty when the value is acceptable.
+ *
+ * @param {object} schema
+ * @param {*} value
+ * @param {object} [options]
+ * @param {string} [options.name]    Prefix for error paths, e.g. 'body'
+ * @param {boolean} [options.coerce] Convert strings to numbers and booleans
+ */
+function validate(schema, value, { name = 'value', coerce = false } = {}) {
+    const errors = [];
+    const result = check(schema, coerce ? coerceValue(value, schema) : value, name, errors, coerce);
+    return { value: result, errors };
+}
+
+module.exports = { validate };
@@ -0,0 +1,75 @@
+/**
+ * Minimal dag-pb / UnixFS decoding
+ *
+ * Just enough to reassemble a file from verified blocks: a dag-pb node is
+ * { Links: [{ Hash, Name, Tsize }], Data } and Data holds a UnixFS message
+ * { Type, Data, filesize, blocksizes }. Files larger than one chunk keep
+ * their content in the linked blocks, in order.
+ */
+
+const { readVarint } = require('./cid');
+
+const UNIXFS_RAW = 0;
+const UNIXFS_FILE = 2;
+
+/**
+ * Iterate protobuf fields as [fieldNumber, wireType, value]; value is a
+ * Buffer for length-delimited fields and a number for varints.
+ */
+function* readFields(buffer) {
+    let offset = 0;
+    while (offset < buffer.length) {
+        let key;
+        [key, offset] = readVarint(buffer, offset);
+        const field = Math.floor(key / 8);
+        const wireType = key & 7;
+
+        if (wireType === 0) {
+            let value;
+            [value, offset] = readVarint(buffer, offset);
+            yield [field, wireType, value];
+        } else if (wireType === 2) {
+            let length;
+            [length, offset] = readVarint(buffer, offset);
+            if (offset + length > buffer.length) throw new Error('Truncated protobuf field');
+            yield [field, wireType, buffer.subarray(offset, offset + length)];
+            offset += length;
+        } else {
+            throw new Error(`Unsupported protobuf wire type ${wireType}`);
+        }
+    }
+}
+
+function decodePBNode(block) {
+    const node = { links: [], data: null };
+    for (const [field, wireType, value] of readFields(block)) {
+        if (field === 1 && wireType === 2) node.data = value;
+        if (field === 2 && wireType === 2) {
+            const link = {};
+            for (const [linkField, linkWire, linkValue] of readFields(value)) {
+                if (linkField === 1 && linkWire === 2) link.hash = linkValue;
+                if (linkField === 3 && linkWire === 0) link.size = linkValue;
+            }
+            if (!link.hash) throw new Error('dag-pb link without hash');
+            node.links.push(link);
+        }
+    }
+    return node;
+}
+
+function decodeUnixFS(data) {
+    const unixfs = { type: null, data: Buffer.alloc(0) };
+    for (const [field, wireType, value] of readFields(data || Buffer.alloc(0))) {
+        if (field === 1 && wireType === 0) unixfs.type = value;
+        if (field === 2 && wireType === 2) unixfs.data = value;
+    }
+    if (unixfs.type !== UNIXFS_FILE && unixfs.type !== UNIXFS_RAW) {
+        throw new Error('Not a UnixFS file');
+    }
+    return unixfs;
+}
+
+module.exports = {
+    decodePBNode,
+    decodeUnixFS
+};
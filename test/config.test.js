@@ -0,0 +1,30 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const { loadConfig, ConfigError } = require('../src/config');
+
+const pem = (type) => crypto.generateKeyPairSync(type, type === 'rsa' ? { modulusLength: 1024 } : {})
+    .privateKey.export({ type: 'pkcs8', format: 'pem' });
+
+describe('SYSTEM_SIGNING_KEY', () => {
+    it('accepts an Ed25519 PEM, with newlines escaped as \\n', () => {
+        const key = pem('ed25519');
+        const config = loadConfig({ SYSTEM_SIGNING_KEY: key.trim().replace(/\n/g, '\\n') });
+        assert.equal(config.systemSigningKey, key.trim());
+    });
+
+    it('refuses a malformed key or one of another type', () => {
+        assert.throws(() => loadConfig({ SYSTEM_SIGNING_KEY: 'not a key' }),
+            error => error instanceof ConfigError && /SYSTEM_SIGNING_KEY must be a PEM private key/.test(error.message));
+        assert.throws(() => loadConfig({ SYSTEM_SIGNING_KEY: pem('rsa') }),
+            error => error instanceof ConfigError && /SYSTEM_SIGNING_KEY must be an ed25519 key/.test(error.message));
+    });
+});
+
+describe('HEALTH_OPTIONAL', () => {
+    it('leaves IPFS out of readiness unless told otherwise', () => {
+        assert.deepEqual(loadConfig({}).health.optional, ['ipfs']);
+        assert.deepEqual(loadConfig({ HEALTH_OPTIONAL: 'none' }).health.optional, ['none']);
+        assert.deepEqual(loadConfig({ HEALTH_OPTIONAL: 'redis,ipfs' }).health.optional, ['redis', 'ipfs']);
+    });
+});
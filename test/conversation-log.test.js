@@ -0,0 +1,73 @@
+const { describe, it, before } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const E2E = require('../src/shared/e2e-envelope');
+const { createIPFSService } = require('../src/services/ipfs-service');
+const { createConversationLog } = require('../src/services/conversation-log');
+const { createRetentionService } = require('../src/services/retention-service');
+const { MemoryChainHeadRepository } = require('../src/repositories/chain-head-repository');
+const { MemoryMessageRepository } = require('../src/repositories/message-repository');
+
+const CONVERSATION = 'dm:alice:bob';
+
+describe('Conversation chain retention', () => {
+    let alice;
+    let bob;
+
+    before(async () => {
+        alice = await E2E.generateIdentity();
+        bob = await E2E.generateIdentity();
+    });
+
+    async function message(overrides = {}) {
+        const id = crypto.randomUUID();
+        return {
+            id,
+            conversation_id: CONVERSATION,
+            sender_id: 'alice',
+            recipient_id: 'bob',
+            encrypted_content: await E2E.encryptMessage({
+                plaintext: 'hello',
+                senderId: 'alice',
+                senderIdentity: alice,
+                recipientId: 'bob',
+                recipientKeys: bob.bundle,
+                message: { id }
+            }),
+            timestamp: new Date(),
+            ...overrides
+        };
+    }
+
+    it('keeps the chain complete after a message content is released and collected', async () => {
+        const ipfs = createIPFSService({ store: 'memory', gateways: [] });
+        const messages = new MemoryMessageRepository();
+        const log = createConversationLog({
+            ipfsService: ipfs,
+            chainHeadRepository: new MemoryChainHeadRepository(),
+            messageRepository: messages
+        });
+        const retention = createRetentionService({ messageRepository: messages, pinManager: ipfs.pins });
+
+        const stored = [];
+        for (const expiresAt of [undefined, new Date(Date.now() + 60 * 1000), undefined]) {
+            const data = await message({ expires_at: expiresAt });
+            await messages.save(data);
+            stored.push(await log.append(data));
+        }
+        assert.notEqual(stored[1].ipfs_content_cid, stored[1].ipfs_cid);
+
+        await retention.release([stored[1]]);
+        assert.equal((await ipfs.pins.sweepNow()).unpinned, 1);
+
+        const chain = await log.export(CONVERSATION);
+        assert.equal(chain.complete, true);
+        assert.equal(chain.missing, null);
+        assert.deepEqual(chain.entries.map(entry => entry.message_id), stored.map(m => m.id));
+        assert.equal(chain.verification.valid, true);
+
+        assert.equal(chain.entries[1].encrypted_content, null);
+        assert.equal(chain.entries[1].content_missing, true);
+        assert.deepEqual(chain.entries[2].encrypted_content, stored[2].encrypted_content);
+    });
+});
@@ -0,0 +1,78 @@
+const { describe, it, before } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const E2E = require('../src/shared/e2e-envelope');
+const { createEnvelopeVerifier } = require('../src/services/envelope-verifier');
+const { MemoryKeyRepository } = require('../src/repositories/key-repository');
+
+describe('Envelope message binding', () => {
+    let alice;
+    let bob;
+    let verify;
+
+    before(async () => {
+        alice = await E2E.generateIdentity();
+        bob = await E2E.generateIdentity();
+        const keys = new MemoryKeyRepository();
+        await keys.put('alice', alice.bundle);
+        await keys.put('bob', bob.bundle);
+        verify = createEnvelopeVerifier(keys);
+    });
+
+    const encrypt = (message) => E2E.encryptMessage({
+        plaintext: 'hello',
+        senderId: 'alice',
+        senderIdentity: alice,
+        recipientId: 'bob',
+        recipientKeys: bob.bundle,
+        message
+    });
+
+    it('accepts an envelope used for the message it signs', async () => {
+        const id = crypto.randomUUID();
+        const targetId = crypto.randomUUID();
+        const envelope = await encrypt({ id, type: 'delete', target_id: targetId });
+
+        assert.equal(envelope.version, '1.1');
+        assert.deepEqual(await verify(envelope, {
+            senderId: 'alice',
+            recipientId: 'bob',
+            message: { id, type: 'delete', target_id: targetId, parent_id: null },
+            requireSigned: true
+        }), []);
+        assert.equal(await E2E.decryptMessage(envelope, bob, alice.bundle.signing_key), 'hello');
+    });
+
+    it('refuses an envelope reused under another id or as a delete', async () => {
+        const id = crypto.randomUUID();
+        const envelope = await encrypt({ id });
+        const expected = { senderId: 'alice', recipientId: 'bob', requireSigned: true };
+
+        const otherId = await verify(envelope, { ...expected, message: { id: crypto.randomUUID(), type: null, target_id: null, parent_id: null } });
+        assert.match(otherId[0], /does not match the message in id$/);
+
+        const asDelete = await verify(envelope, { ...expected, message: { id, type: 'delete', target_id: id, parent_id: null } });
+        assert.match(asDelete[0], /does not match the message in type, target_id$/);
+    });
+
+    it('refuses an envelope whose signed message was changed', async () => {
+        const envelope = await encrypt({ id: crypto.randomUUID() });
+        const forged = { ...envelope, message: { ...envelope.message, type: 'delete', target_id: crypto.randomUUID() } };
+
+        assert.deepEqual(await verify(forged, { senderId: 'alice', recipientId: 'bob', message: forged.message }), [
+            'envelope signature is invalid'
+        ]);
+    });
+
+    it('accepts version 1.0 envelopes only where no signed message is required', async () => {
+        const envelope = await encrypt({ id: crypto.randomUUID() });
+        const { message, ...legacy } = envelope;
+        legacy.version = '1.0';
+        legacy.signature = Buffer.from(await crypto.webcrypto.subtle.sign({ name: 'Ed25519' }, alice.signing.privateKey,
+            Buffer.from(JSON.stringify([legacy.version, legacy.alg, legacy.sender_id, legacy.recipient_id,
+                legacy.recipient_key_id, legacy.ephemeral_key, legacy.nonce, legacy.ciphertext, legacy.timestamp])))).toString('base64');
+
+        assert.deepEqual(await verify(legacy, { senderId: 'alice', recipientId: 'bob', message }), []);
+        assert.match((await verify(legacy, { senderId: 'alice', recipientId: 'bob', requireSigned: true }))[0], /must be version 1\.1/);
+    });
+});
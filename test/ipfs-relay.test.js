@@ -0,0 +1,59 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const EventEmitter = require('events');
+const { createIPFSRelay, relayTopic } = require('../src/services/ipfs-relay');
+
+function fakeIpfs() {
+    const subscriptions = new Map();
+    return {
+        subscriptions,
+        pubsubSubscribe(topic) {
+            const subscription = new EventEmitter();
+            subscription.close = () => subscriptions.delete(topic);
+            subscriptions.set(topic, subscription);
+            return subscription;
+        }
+    };
+}
+
+describe('IPFS relay topics', () => {
+    it('spreads recipients and groups over a fixed set of topics', () => {
+        const topics = new Set();
+        for (let n = 0; n < 1000; n++) {
+            topics.add(relayTopic({ recipient_id: `user-${n}` }, 8));
+            topics.add(relayTopic({ group_id: `group-${n}` }, 8));
+        }
+        assert.deepEqual([...topics].sort(), Array.from({ length: 8 }, (_, n) => `chat-relay-${n}`).sort());
+        assert.equal(relayTopic({ recipient_id: 'bob' }), relayTopic({ recipient_id: 'bob' }));
+    });
+
+    it('subscribes once per topic and only relays messages that belong on it', async () => {
+        const ipfs = fakeIpfs();
+        const prepared = [];
+        const relay = createIPFSRelay({
+            ipfsService: ipfs,
+            topicCount: 4,
+            messageService: {
+                prepare: async (senderId, data) => {
+                    prepared.push(data.id);
+                    return { duplicate: true };
+                }
+            }
+        });
+
+        relay.start();
+        relay.start();
+        assert.equal(ipfs.subscriptions.size, 4);
+
+        const message = { id: 'm1', sender_id: 'alice', recipient_id: 'bob' };
+        const home = relay.topicFor(message);
+        const elsewhere = [...ipfs.subscriptions.keys()].find(topic => topic !== home);
+        ipfs.subscriptions.get(elsewhere).emit('message', { envelope: { ...message, id: 'm0' } });
+        ipfs.subscriptions.get(home).emit('message', { envelope: message });
+        await new Promise(resolve => setImmediate(resolve));
+        assert.deepEqual(prepared, ['m1']);
+
+        relay.cleanup();
+        assert.equal(ipfs.subscriptions.size, 0);
+    });
+});
@@ -0,0 +1,29 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { createIPFSService } = require('../src/services/ipfs-service');
+const { createMailboxService } = require('../src/services/mailbox-service');
+const { validateMailbox } = require('../src/shared/mailbox');
+
+describe('Mailbox index', () => {
+    it('publishes nothing about pending messages but their CIDs', async () => {
+        const ipfs = createIPFSService({ store: 'memory', gateways: [] });
+        const cid = await ipfs.addJSON({ stand_in: 'envelope' });
+        const mailboxes = createMailboxService({
+            ipfsService: ipfs,
+            deliveryService: {
+                pending: async () => [
+                    { id: 'm1', ipfs_cid: cid, sender_id: 'alice', conversation_id: 'dm:alice:bob', timestamp: new Date() },
+                    { id: 'm2', sender_id: 'carol' }
+                ]
+            }
+        });
+
+        await mailboxes.publish('bob');
+        const { index } = await mailboxes.resolve('bob');
+        assert.deepEqual(validateMailbox(index), []);
+        assert.equal(index.version, '1.1');
+        assert.deepEqual(index.entries, [{ cid }]);
+
+        mailboxes.cleanup();
+    });
+});
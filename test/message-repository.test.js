@@ -0,0 +1,149 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+    MemoryMessageRepository,
+    FileMessageRepository,
+    encodeCursor
+} = require('../src/repositories/message-repository');
+
+const CONVERSATION = 'dm:alice:bob';
+
+function message(n, overrides = {}) {
+    return {
+        id: `00000000-0000-4000-8000-${String(n).padStart(12, '0')}`,
+        conversation_id: CONVERSATION,
+        sender_id: 'alice',
+        recipient_id: 'bob',
+        encrypted_content: { n },
+        timestamp: new Date(Date.UTC(2024, 0, 1, 0, 0, n)),
+        status: 'sent',
+        ...overrides
+    };
+}
+
+const ids = page => page.messages.map(m => m.encrypted_content.n);
+
+describe('MemoryMessageRepository paging', () => {
+    let repository;
+
+    beforeEach(async () => {
+        repository = new MemoryMessageRepository();
+        for (let n = 1; n <= 7; n++) await repository.save(message(n));
+        await repository.save(message(99, { conversation_id: 'dm:alice:carol', recipient_id: 'carol' }));
+    });
+
+    it('returns the newest page oldest first', async () => {
+        const page = await repository.listConversation(CONVERSATION, { limit: 3 });
+        assert.deepEqual(ids(page), [5, 6, 7]);
+        assert.equal(page.has_more, true);
+    });
+
+    it('walks back with before cursors without gaps or overlap', async () => {
+        const seen = [];
+        let page = await repository.listConversation(CONVERSATION, { limit: 3 });
+        seen.unshift(...ids(page));
+        while (page.has_more) {
+            page = await repository.listConversation(CONVERSATION, { limit: 3, before: page.cursors.before });
+            seen.unshift(...ids(page));
+        }
+        assert.deepEqual(seen, [1, 2, 3, 4, 5, 6, 7]);
+        assert.deepEqual(ids(page), [1]);
+    });
+
+    it('walks forward with after cursors', async () => {
+        const first = await repository.listConversation(CONVERSATION, { limit: 3, before: encodeCursor(message(4)) });
+        assert.deepEqual(ids(first), [1, 2, 3]);
+
+        const next = await repository.listConversation(CONVERSATION, { limit: 3, after: first.cursors.after });
+        assert.deepEqual(ids(next), [4, 5, 6]);
+        assert.equal(next.has_more, true);
+
+        const last = await repository.listConversation(CONVERSATION, { limit: 3, after: next.cursors.after });
+        assert.deepEqual(ids(last), [7]);
+        assert.equal(last.has_more, false);
+    });
+
+    it('returns an empty page past either end', async () => {
+        const page = await repository.listConversation(CONVERSATION, { after: encodeCursor(message(7)) });
+        assert.deepEqual(page.messages, []);
+        assert.equal(page.has_more, false);
+        assert.deepEqual(page.cursors, { before: null, after: null });
+    });
+
+    it('breaks timestamp ties by id', async () => {
+        const tied = new Date(Date.UTC(2024, 0, 2));
+        const tiedRepository = new MemoryMessageRepository();
+        for (const n of [13, 11, 14, 12]) await tiedRepository.save(message(n, { timestamp: tied }));
+
+        const newest = await tiedRepository.listConversation(CONVERSATION, { limit: 2 });
+        assert.deepEqual(ids(newest), [13, 14]);
+
+        const older = await tiedRepository.listConversation(CONVERSATION, { limit: 2, before: newest.cursors.before });
+        assert.deepEqual(ids(older), [11, 12]);
+        assert.equal(older.has_more, false);
+    });
+
+    it('rejects an invalid cursor', async () => {
+        await assert.rejects(repository.listConversation(CONVERSATION, { before: 'not-a-cursor' }), /Invalid cursor/);
+        await assert.rejects(repository.listConversation(CONVERSATION, { after: Buffer.from('x:1').toString('base64url') }), /Invalid cursor/);
+    });
+
+    it('clamps the page size', async () => {
+        assert.equal((await repository.listConversation(CONVERSATION, { limit: 0 })).messages.length, 7);
+        assert.equal((await repository.listConversation(CONVERSATION, { limit: 'abc' })).messages.length, 7);
+    });
+});
+
+describe('FileMessageRepository persistence', () => {
+    let dir;
+    let filePath;
+
+    beforeEach(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'messages-'));
+        filePath = path.join(dir, 'nested', 'messages.json');
+    });
+
+    afterEach(() => {
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    it('reloads messages and updates after a restart', async () => {
+        const repository = new FileMessageRepository(filePath);
+        for (let n = 1; n <= 4; n++) await repository.save(message(n));
+        await repository.update(message(2).id, { status: 'read' });
+        await repository.close();
+
+        const reopened = new FileMessageRepository(filePath);
+        const page = await reopened.listConversation(CONVERSATION, { limit: 2 });
+        assert.deepEqual(ids(page), [3, 4]);
+
+        const older = await reopened.listConversation(CONVERSATION, { limit: 2, before: page.cursors.before });
+        assert.deepEqual(ids(older), [1, 2]);
+        assert.equal(older.messages[1].status, 'read');
+        assert.ok(older.messages[0].timestamp instanceof Date);
+        await reopened.close();
+    });
+
+    it('writes removals through', async () => {
+        const repository = new FileMessageRepository(filePath);
+        await repository.save(message(1));
+        await repository.save(message(2));
+        await repository.remove([message(1).id]);
+        await repository.close();
+
+        const reopened = new FileMessageRepository(filePath);
+        assert.equal(await reopened.findById(message(1).id), null);
+        assert.equal((await reopened.findById(message(2).id)).encrypted_content.n, 2);
+        await reopened.close();
+    });
+
+    it('starts empty without a file', async () => {
+        const repository = new FileMessageRepository(filePath);
+        const page = await repository.listConversation(CONVERSATION);
+        assert.deepEqual(page.messages, []);
+        assert.equal(fs.existsSync(filePath), false);
+    });
+});
@@ -0,0 +1,108 @@
+const { describe, it, beforeEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const E2E = require('../src/shared/e2e-envelope');
+const { createMessageService, MessageError } = require('../src/services/message-service');
+const { createEnvelopeVerifier } = require('../src/services/envelope-verifier');
+const { MemoryKeyRepository } = require('../src/repositories/key-repository');
+const { MemoryMessageRepository } = require('../src/repositories/message-repository');
+const { createRecentIds } = require('../src/utils/recent-ids');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const RELAYED = { transport: 'ipfs', requireId: true, requireSigned: true, signedTimestamp: true };
+
+describe('MessageService replay protection', () => {
+    let alice;
+    let bob;
+    let keys;
+    let service;
+
+    beforeEach(async () => {
+        alice ||= await E2E.generateIdentity();
+        bob ||= await E2E.generateIdentity();
+        keys = new MemoryKeyRepository();
+        await keys.put('alice', alice.bundle);
+        await keys.put('bob', bob.bundle);
+
+        service = createMessageService({
+            messageRepository: new MemoryMessageRepository(),
+            deliveryService: { enqueue: async () => {} },
+            verifyEnvelope: createEnvelopeVerifier(keys),
+            recentIds: createRecentIds(),
+            clientMsgIds: createRecentIds(),
+            signatures: createRecentIds({ ttlMs: DAY_MS }),
+            signatureWindowMs: DAY_MS
+        });
+    });
+
+    async function relayed(signedAt) {
+        if (signedAt !== undefined) mock.timers.enable({ apis: ['Date'], now: signedAt });
+        try {
+            const id = crypto.randomUUID();
+            const envelope = await E2E.encryptMessage({
+                plaintext: 'hello',
+                senderId: 'alice',
+                senderIdentity: alice,
+                recipientId: 'bob',
+                recipientKeys: bob.bundle,
+                message: { id }
+            });
+            return { id, sender_id: 'alice', recipient_id: 'bob', encrypted_content: envelope };
+        } finally {
+            mock.timers.reset();
+        }
+    }
+
+    it('stores a relayed envelope once, whatever id or client_msg_id it comes with', async () => {
+        const data = await relayed();
+        const { message } = await service.prepare('alice', data, RELAYED);
+        await service.accept(message);
+
+        const again = await service.prepare('alice', { ...data, client_msg_id: 'fresh' }, RELAYED);
+        assert.equal(again.duplicate, true);
+
+        await assert.rejects(service.prepare('alice', { ...data, id: crypto.randomUUID() }, RELAYED),
+            error => /message in id$/.test(error.details[0]));
+    });
+
+    it('refuses an envelope replayed after its message and id were forgotten', async () => {
+        const data = await relayed();
+        const { message } = await service.prepare('alice', data, RELAYED);
+        await service.accept(message);
+
+        // As after retention removed the message and the id window passed
+        await service.messages.remove([data.id]);
+        service.recentIds.release(data.id);
+
+        await assert.rejects(service.prepare('alice', data, RELAYED),
+            error => error instanceof MessageError && error.status === 409);
+        // The refusal releases the id it claimed
+        assert.equal(service.recentIds.claim(data.id), true);
+    });
+
+    it('dates relayed messages by the signed timestamp, never the payload', async () => {
+        const signedAt = Date.now() - 60 * 1000;
+        const data = await relayed(signedAt);
+        const { message } = await service.prepare('alice', { ...data, timestamp: '2000-01-01T00:00:00Z' }, RELAYED);
+        assert.equal(message.timestamp.getTime(), signedAt);
+    });
+
+    it('refuses relayed envelopes signed outside the window', async () => {
+        const stale = await relayed(Date.now() - DAY_MS - 60 * 1000);
+        await assert.rejects(service.prepare('alice', stale, RELAYED), /too old or in the future/);
+
+        const future = await relayed(Date.now() + 10 * 60 * 1000);
+        await assert.rejects(service.prepare('alice', future, RELAYED), /too old or in the future/);
+    });
+
+    it('releases the signature when storing fails, so a retry is accepted', async () => {
+        const data = await relayed();
+        const { message } = await service.prepare('alice', data, RELAYED);
+        service.messages.save = async () => { throw new Error('disk full'); };
+        await assert.rejects(service.accept(message), /disk full/);
+
+        delete service.messages.save;
+        const retry = await service.prepare('alice', data, RELAYED);
+        assert.equal(retry.duplicate, false);
+    });
+});
@@ -0,0 +1,159 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const { once } = require('events');
+const { Server } = require('socket.io');
+const { io: connect } = require('socket.io-client');
+const { createAdapter } = require('@socket.io/redis-adapter');
+const { createMemoryRedisClient } = require('../src/services/memory-redis');
+const { createPresenceService } = require('../src/services/presence-service');
+const { createPresenceRepository } = require('../src/repositories/presence-repository');
+const { createQueueRepository } = require('../src/repositories/queue-repository');
+const { createRateLimiter } = require('../src/services/rate-limiter');
+
+/**
+ * Two server instances sharing one in-memory Redis, as two processes
+ * would share a Redis server.
+ */
+function createInstances(count = 2) {
+    const redis = createMemoryRedisClient();
+    return Array.from({ length: count }, (_, index) => ({
+        instanceId: `instance-${index + 1}`,
+        redis: redis.duplicate()
+    }));
+}
+
+async function startServer(redis) {
+    const httpServer = http.createServer();
+    const io = new Server(httpServer);
+    io.adapter(createAdapter(redis.duplicate(), redis.duplicate()));
+    io.on('connection', socket => socket.join(`user:${socket.handshake.auth.userId}`));
+
+    httpServer.listen(0, '127.0.0.1');
+    await once(httpServer, 'listening');
+    return { io, url: `http://127.0.0.1:${httpServer.address().port}` };
+}
+
+describe('Socket.IO rooms across instances', () => {
+    let servers;
+    const clients = [];
+
+    before(async () => {
+        servers = await Promise.all(createInstances().map(({ redis }) => startServer(redis)));
+    });
+
+    after(async () => {
+        clients.forEach(client => client.disconnect());
+        await Promise.all(servers.map(({ io }) => new Promise(resolve => io.close(resolve))));
+    });
+
+    async function connectTo(server, userId) {
+        const client = connect(server.url, { auth: { userId }, transports: ['websocket'], forceNew: true });
+        clients.push(client);
+        await once(client, 'connect');
+        return client;
+    }
+
+    it('delivers room emits to sockets on the other instance', async () => {
+        const bob = await connectTo(servers[0], 'bob');
+        const received = once(bob, 'new_encrypted_message');
+
+        servers[1].io.to('user:bob').emit('new_encrypted_message', { id: 'm1' });
+        assert.deepEqual((await received)[0], { id: 'm1' });
+    });
+
+    it('finds sockets of every instance', async () => {
+        await connectTo(servers[0], 'carol');
+        await connectTo(servers[1], 'carol');
+
+        const sockets = await servers[1].io.in('user:carol').fetchSockets();
+        assert.equal(sockets.length, 2);
+        assert.equal(await servers[0].io.of('/').adapter.serverCount(), 2);
+    });
+});
+
+describe('Presence across instances', () => {
+    it('keeps a user online while any instance holds a connection', async () => {
+        const services = createInstances().map(({ redis, instanceId }) => createPresenceService({
+            presenceRepository: createPresenceRepository({ redis, instanceId }),
+            offlineGraceMs: 0
+        }));
+        const changes = [];
+        services.forEach(service => service.on('changed', presence => changes.push(presence.status)));
+
+        await services[0].connect('alice', 'socket-1');
+        await services[1].connect('alice', 'socket-1');
+        assert.equal(await services[1].isOnline('alice'), true);
+
+        await services[0].disconnect('alice', 'socket-1');
+        await new Promise(resolve => setTimeout(resolve, 10));
+        assert.equal(await services[0].isOnline('alice'), true);
+
+        await services[1].disconnect('alice', 'socket-1');
+        await new Promise(resolve => setTimeout(resolve, 10));
+        assert.equal(await services[0].isOnline('alice'), false);
+        assert.deepEqual(changes, ['online', 'offline']);
+
+        services.forEach(service => service.cleanup());
+    });
+});
+
+describe('Delivery queues across instances', () => {
+    it('shares queued message ids and the total depth', async () => {
+        const [first, second] = createInstances().map(({ redis }) => createQueueRepository({ redis }));
+
+        await first.push('bob', 'm1');
+        await new Promise(resolve => setTimeout(resolve, 2));
+        await second.push('bob', 'm2');
+        await second.push('bob', 'm1');
+        assert.deepEqual(await second.list('bob'), ['m1', 'm2']);
+        assert.equal(await first.depth(), 2);
+
+        await second.remove('bob', ['m1']);
+        assert.deepEqual(await first.list('bob'), ['m2']);
+        assert.equal(await first.depth(), 1);
+    });
+});
+
+describe('Rate limits across instances', () => {
+    it('enforces a ban issued by another instance', async () => {
+        const limiters = createInstances().map(({ redis }) => createRateLimiter({ redis, banAfter: 2 }));
+
+        assert.equal(await limiters[1].bannedFor('mallory'), 0);
+        await limiters[0].violation('mallory', 'typing', 'rate');
+        const { banned } = await limiters[0].violation('mallory', 'typing', 'rate');
+        assert.equal(banned, true);
+        assert.ok(await limiters[1].bannedFor('mallory') > 0);
+
+        limiters.forEach(limiter => limiter.cleanup());
+    });
+
+    it('shares connection slots, including between concurrent handshakes', async () => {
+        const limiters = createInstances().map(({ redis }) => createRateLimiter({ redis, maxConnectionsPerUser: 3 }));
+
+        const reserved = await Promise.all(Array.from({ length: 8 }, (_, n) =>
+            limiters[n % 2].reserveConnection('alice')));
+        assert.equal(reserved.filter(Boolean).length, 3);
+        assert.equal(await limiters[0].reserveConnection('alice'), false);
+
+        await limiters[1].releaseConnection('alice');
+        assert.equal(await limiters[0].reserveConnection('alice'), true);
+        assert.equal(await limiters[1].reserveConnection('alice'), false);
+
+        limiters.forEach(limiter => limiter.cleanup());
+    });
+});
+
+describe('Connection slots on one instance', () => {
+    it('refuses concurrent handshakes over the limit', async () => {
+        const limiter = createRateLimiter({ maxConnectionsPerUser: 2 });
+
+        const reserved = await Promise.all([1, 2, 3, 4].map(() => limiter.reserveConnection('alice')));
+        assert.deepEqual(reserved, [true, true, false, false]);
+
+        await limiter.releaseConnection('alice');
+        assert.equal(await limiter.reserveConnection('alice'), true);
+
+        limiter.cleanup();
+    });
+});